@@ -13,7 +13,7 @@ module.exports = {
   // Database configuration
   mongoURI: process.env.MONGODB_URI,
   
-  // Encryption key for password hashing
+  // Encryption key for stored secrets (two-factor authentication)
   encryptionKey: process.env.ENCRYPTION_KEY,
   
   // API configuration
@@ -29,7 +29,9 @@ module.exports = {
       ['http://localhost:3000', 'https://ulpdsrd.web.app'],
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'user-type']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+    // Lets the frontend read how long to wait after a throttled login
+    exposedHeaders: ['Retry-After']
   },
   
   // User roles
@@ -39,8 +41,264 @@ module.exports = {
     ADMIN: 'admin'
   },
   
+  // Permission matrix
+  // Maps each permission to the roles allowed to exercise it. Roles are only
+  // ever read from the server-side session, never from the request.
+  permissions: {
+    'records:read': ['instructor', 'chairman', 'admin'],
+    // Department-wide record access; everyone else only sees the courses assigned to them
+    'records:all': ['chairman', 'admin'],
+    'records:create': ['instructor', 'chairman', 'admin'],
+    'records:write': ['chairman', 'admin'],
+    'records:delete': ['admin'],
+    'records:purge': ['admin'],
+    'grades:submit': ['instructor', 'chairman', 'admin'],
+    'grades:approve': ['chairman', 'admin'],
+    'grades:reopen': ['admin'],
+    'periods:manage': ['admin'],
+    'courses:manage': ['chairman', 'admin'],
+    'instructors:reconcile': ['chairman', 'admin'],
+    'instructors:reports': ['chairman', 'admin'],
+    'grading:manage': ['chairman', 'admin'],
+    'mappings:manage': ['chairman', 'admin'],
+    'users:manage': ['admin'],
+    'tokens:manage': ['admin'],
+    'analytics:read': ['instructor', 'chairman', 'admin'],
+    'standing:read': ['chairman', 'admin'],
+    'standing:compute': ['chairman', 'admin'],
+    'logs:read': ['admin'],
+    'logs:write': ['instructor', 'chairman', 'admin'],
+    'logs:manage': ['admin'],
+    'backups:manage': ['admin']
+  },
+  
+  // Login throttling and account lockout
+  loginSecurity: {
+    // Failed attempts before an account is locked, and for how long
+    maxFailedAttempts: parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5,
+    lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+    // Failed attempts from one IP address within the window before it is blocked
+    ipMaxFailedAttempts: parseInt(process.env.LOGIN_IP_MAX_FAILED_ATTEMPTS) || 20,
+    ipWindowMinutes: parseInt(process.env.LOGIN_IP_WINDOW_MINUTES) || 15,
+    // Wait required after each failure, doubling per failure up to the maximum
+    baseDelayMs: 1000,
+    maxDelayMs: 30 * 1000
+  },
+
+  // TOTP two-factor authentication
+  twoFactor: {
+    // Name shown in authenticator apps
+    issuer: process.env.TWO_FACTOR_ISSUER || 'UL Physics Records',
+    // Roles that must enable two-factor authentication (comma-separated, e.g. "chairman,admin")
+    requiredRoles: (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+      .split(',')
+      .map(role => role.trim())
+      .filter(Boolean),
+    // 30-second steps accepted either side of the current one (clock drift)
+    window: 1,
+    // Time allowed between the password and code steps of a login
+    loginTimeoutMinutes: 5,
+    // Wrong codes allowed before the login has to start over
+    maxLoginAttempts: 5,
+    recoveryCodeCount: 10
+  },
+
+  // Outgoing email
+  mail: {
+    // 'smtp' in production; 'file' or 'console' for development
+    // (never defaults to the console in production, where messages carry live reset links)
+    transport: process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console'),
+    from: process.env.MAIL_FROM || 'UL Physics Department <no-reply@ulpdsrd.local>',
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    },
+    fileDir: process.env.MAIL_FILE_DIR || 'logs/mail'
+  },
+
+  // Password reset tokens
+  passwordReset: {
+    // Frontend page that accepts ?token=...
+    url: process.env.PASSWORD_RESET_URL || 'http://localhost:3000/reset-password',
+    tokenTtlMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+    // Admin-initiated resets stay valid longer
+    adminTokenTtlHours: parseInt(process.env.PASSWORD_RESET_ADMIN_TTL_HOURS) || 72
+  },
+
+  // Personal API tokens ("Authorization: Bearer <token>")
+  apiTokens: {
+    prefix: 'ulp_',
+    defaultExpiryDays: parseInt(process.env.API_TOKEN_DEFAULT_EXPIRY_DAYS) || 90,
+    maxExpiryDays: parseInt(process.env.API_TOKEN_MAX_EXPIRY_DAYS) || 365,
+    // How often the last-used time of a token is updated
+    lastUsedIntervalSeconds: 60
+  },
+
   // Session configuration
   sessionSecret: process.env.SESSION_SECRET || 'ul-physics-dept-secret',
+  sessions: {
+    // MongoDB collection holding login sessions
+    collectionName: 'sessions',
+    // Unchanged sessions have their expiry refreshed at most this often
+    touchAfterSeconds: 60,
+    // How often the last-seen time of a session is updated
+    lastSeenIntervalSeconds: parseInt(process.env.SESSION_LAST_SEEN_INTERVAL_SECONDS) || 60
+  },
+  
+  // Trash for deleted student records and users
+  trash: {
+    // Days a deleted item can be restored before it is purged for good
+    retentionDays: parseInt(process.env.TRASH_RETENTION_DAYS) || 30,
+    // How often expired items are purged (0 disables the scheduled purge)
+    purgeIntervalHours: process.env.TRASH_PURGE_INTERVAL_HOURS !== undefined ?
+      parseFloat(process.env.TRASH_PURGE_INTERVAL_HOURS) :
+      24
+  },
+
+  // Two-step confirmation of destructive operations
+  confirmations: {
+    // Minutes a confirmation token stays valid
+    ttlMinutes: parseInt(process.env.CONFIRMATION_TTL_MINUTES) || 5
+  },
+
+  // Database backups
+  backups: {
+    // Directory holding backups (relative to the project root unless absolute)
+    dir: process.env.BACKUP_DIR || 'backups',
+    // How often a scheduled backup is taken (0 disables scheduled backups)
+    intervalHours: process.env.BACKUP_INTERVAL_HOURS !== undefined ?
+      parseFloat(process.env.BACKUP_INTERVAL_HOURS) :
+      24,
+    // Scheduled backups and automatic snapshots kept; older ones are deleted (manual backups are kept)
+    keep: parseInt(process.env.BACKUP_KEEP) || 14,
+    // Documents written per database round trip when restoring
+    restoreChunkSize: 1000
+  },
+
+  // Spreadsheet upload configuration
+  uploads: {
+    maxFileSize: parseInt(process.env.UPLOAD_MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10 MB
+    allowedExtensions: ['.csv', '.xlsx'],
+    // Hours a dry-run preview can be committed before it expires
+    previewTtlHours: parseInt(process.env.UPLOAD_PREVIEW_TTL_HOURS) || 24,
+    // Rows looked up and written per database round trip
+    chunkSize: parseInt(process.env.UPLOAD_CHUNK_SIZE) || 500,
+    // Most rows in one upload (a batch and all its rows are stored as one document)
+    maxRows: parseInt(process.env.UPLOAD_MAX_ROWS) || 10000
+  },
+  
+  // Grading scale configuration
+  gradingScale: {
+    // Scale used for years not covered by a stored grading scale
+    // (override with a JSON array of { min, letter, points } in GRADING_SCALE)
+    defaultBands: process.env.GRADING_SCALE ?
+      JSON.parse(process.env.GRADING_SCALE) :
+      [
+        { min: 90, letter: 'A', points: 4 },
+        { min: 80, letter: 'B', points: 3 },
+        { min: 70, letter: 'C', points: 2 },
+        { min: 60, letter: 'D', points: 1 },
+        { min: 0, letter: 'F', points: 0 }
+      ],
+    // Letters that carry no score and are never checked against the scale
+    nonGradedLetters: ['I', 'W', 'IP'],
+    // What to do when a letter grade disagrees with its numeric grade: 'reject' or 'flag'
+    mismatchPolicy: process.env.GRADE_MISMATCH_POLICY || 'reject'
+  },
+  
+  // Academic period closing configuration
+  periods: {
+    // Longest time an override to change records in a closed period may last
+    maxOverrideHours: parseInt(process.env.PERIOD_OVERRIDE_MAX_HOURS) || 72
+  },
+
+  // GPA configuration
+  gpa: {
+    // Credit hours assumed for records not linked to a catalog course
+    // (null excludes such records from GPA computation)
+    defaultCreditHours: process.env.DEFAULT_CREDIT_HOURS ?
+      parseFloat(process.env.DEFAULT_CREDIT_HOURS) :
+      null
+  },
+  
+  // Grade analytics configuration
+  analytics: {
+    // Letter grades counted as failing in pass/fail rates
+    failingGrades: (process.env.ANALYTICS_FAILING_GRADES || 'F')
+      .split(',')
+      .map(grade => grade.trim().toUpperCase())
+      .filter(Boolean),
+    // Default width of numeric grade histogram buckets
+    histogramBucketSize: 10
+  },
+
+  // Academic standing and honors, evaluated per student and term on the GPA scale,
+  // or on the numeric grade average (0-100) for students without a GPA
+  // Each rule applies when all of its conditions hold: termGpaBelow, termGpaAtLeast,
+  // cumulativeGpaBelow, cumulativeGpaAtLeast, minTermCredits (GPA basis only),
+  // termAverageBelow, termAverageAtLeast, cumulativeAverageBelow, cumulativeAverageAtLeast
+  // (average basis only), minTermCourses, maxTermFailures, previousStanding (list) and,
+  // for honors, standing (list).
+  standing: {
+    // Checked in order; the first matching rule sets the standing, otherwise the
+    // student is in good standing (override with a JSON array in STANDING_RULES)
+    rules: process.env.STANDING_RULES ?
+      JSON.parse(process.env.STANDING_RULES) :
+      [
+        {
+          standing: 'dismissal_candidate',
+          label: 'Dismissal candidate',
+          when: {
+            cumulativeGpaBelow: 2.0,
+            cumulativeAverageBelow: 70,
+            previousStanding: ['probation', 'dismissal_candidate']
+          }
+        },
+        { standing: 'probation', label: 'Probation', when: { cumulativeGpaBelow: 2.0, cumulativeAverageBelow: 70 } },
+        { standing: 'warning', label: 'Academic warning', when: { termGpaBelow: 2.0, termAverageBelow: 70 } }
+      ],
+    // Checked in order; the first matching rule sets the honor
+    // (override with a JSON array in HONOR_RULES)
+    honors: process.env.HONOR_RULES ?
+      JSON.parse(process.env.HONOR_RULES) :
+      [
+        {
+          honor: 'deans_list',
+          label: "Dean's list",
+          when: {
+            termGpaAtLeast: 3.5,
+            termAverageAtLeast: 85,
+            minTermCredits: 6,
+            minTermCourses: 2,
+            maxTermFailures: 0,
+            standing: ['good_standing']
+          }
+        },
+        {
+          honor: 'honor_roll',
+          label: 'Honor roll',
+          when: {
+            termGpaAtLeast: 3.0,
+            termAverageAtLeast: 80,
+            minTermCredits: 6,
+            minTermCourses: 2,
+            maxTermFailures: 0,
+            standing: ['good_standing']
+          }
+        }
+      ]
+  },
+
+  // Transcript configuration
+  transcript: {
+    institution: process.env.TRANSCRIPT_INSTITUTION || 'University of Liberia',
+    department: process.env.TRANSCRIPT_DEPARTMENT || 'Department of Physics',
+    chairmanName: process.env.TRANSCRIPT_CHAIRMAN_NAME || '',
+    chairmanTitle: process.env.TRANSCRIPT_CHAIRMAN_TITLE || 'Chairman, Department of Physics'
+  },
   
   // Other constants
   semesters: ['First', 'Second', 'Third'],
@@ -49,6 +307,7 @@ module.exports = {
   endpoints: {
     students: '/api/students',
     users: '/api/users',
+    courses: '/api/courses',
     auth: '/api/auth'
   }
 };
@@ -0,0 +1,283 @@
+/**
+ * Academic Period Controller
+ * Handles closing and reopening academic periods and granting overrides
+ */
+
+const mongoose = require('mongoose');
+const AcademicPeriod = require('../models/AcademicPeriod');
+const User = require('../models/User');
+const config = require('../config/config');
+const auditTrail = require('../utils/auditTrail');
+const academicTerms = require('../utils/academicTerms');
+
+/**
+ * Get academic periods
+ * @route GET /api/periods
+ */
+exports.getAllPeriods = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.closed !== undefined) filter.closed = req.query.closed === 'true';
+    if (req.query.session) filter.session = req.query.session;
+
+    const periods = await AcademicPeriod.find(filter)
+      .sort({ session: -1, semester: 1 })
+      .populate('overrides.user', 'name username');
+
+    res.status(200).json({
+      success: true,
+      count: periods.length,
+      data: periods
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching academic periods',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Close an academic period to changes
+ * @route POST /api/periods/close
+ * @access Admin only
+ */
+exports.closePeriod = async (req, res) => {
+  try {
+    const { session, note } = req.body;
+    const semester = academicTerms.normalizeSemester(req.body.semester);
+
+    if (!session || !semester) {
+      return res.status(400).json({
+        success: false,
+        message: `Session and semester (${config.semesters.join(', ')}) are required`
+      });
+    }
+
+    let period = await AcademicPeriod.findOne({ session: String(session).trim(), semester });
+
+    if (period && period.closed) {
+      return res.status(400).json({
+        success: false,
+        message: `The ${semester} semester of ${period.session} is already closed`
+      });
+    }
+
+    if (!period) {
+      period = new AcademicPeriod({ session, semester });
+    }
+
+    period.closed = true;
+    period.note = note || period.note;
+    period.closedBy = req.user.id;
+    period.closedAt = new Date();
+    await period.save();
+
+    await auditTrail.record(req, auditTrail.ACTIONS.PERIOD_CLOSE, {
+      targetType: 'AcademicPeriod',
+      targetId: period._id,
+      details: { session: period.session, semester, note: period.note }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Closed the ${semester} semester of ${period.session}`,
+      data: period
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error closing academic period',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Reopen a closed academic period
+ * @route POST /api/periods/:id/reopen
+ * @access Admin only
+ */
+exports.reopenPeriod = async (req, res) => {
+  try {
+    const period = mongoose.Types.ObjectId.isValid(req.params.id) ?
+      await AcademicPeriod.findById(req.params.id) :
+      null;
+
+    if (!period) {
+      return res.status(404).json({
+        success: false,
+        message: 'Academic period not found'
+      });
+    }
+
+    if (!period.closed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Academic period is not closed'
+      });
+    }
+
+    period.closed = false;
+    period.reopenedBy = req.user.id;
+    period.reopenedAt = new Date();
+    await period.save();
+
+    await auditTrail.record(req, auditTrail.ACTIONS.PERIOD_REOPEN, {
+      targetType: 'AcademicPeriod',
+      targetId: period._id,
+      details: { session: period.session, semester: period.semester, reason: req.body.reason }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Reopened the ${period.semester} semester of ${period.session}`,
+      data: period
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error reopening academic period',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Grant a user a time-boxed override to change records in a closed period
+ * Body: { userId, reason, hours } (hours up to config.periods.maxOverrideHours)
+ * @route POST /api/periods/:id/overrides
+ * @access Admin only
+ */
+exports.grantOverride = async (req, res) => {
+  try {
+    const { userId, reason } = req.body;
+    const hours = parseFloat(req.body.hours);
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required for an override'
+      });
+    }
+
+    if (!hours || hours <= 0 || hours > config.periods.maxOverrideHours) {
+      return res.status(400).json({
+        success: false,
+        message: `Hours must be between 0 and ${config.periods.maxOverrideHours}`
+      });
+    }
+
+    const user = mongoose.Types.ObjectId.isValid(userId) ? await User.findById(userId) : null;
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const period = mongoose.Types.ObjectId.isValid(req.params.id) ?
+      await AcademicPeriod.findById(req.params.id) :
+      null;
+
+    if (!period) {
+      return res.status(404).json({
+        success: false,
+        message: 'Academic period not found'
+      });
+    }
+
+    if (!period.closed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Academic period is not closed'
+      });
+    }
+
+    period.overrides.push({
+      user: user._id,
+      reason: String(reason).trim(),
+      grantedBy: req.user.id,
+      expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000)
+    });
+    await period.save();
+
+    const override = period.overrides[period.overrides.length - 1];
+
+    await auditTrail.record(req, auditTrail.ACTIONS.PERIOD_OVERRIDE_GRANT, {
+      targetType: 'AcademicPeriod',
+      targetId: period._id,
+      details: {
+        session: period.session,
+        semester: period.semester,
+        overrideId: override._id,
+        user: user.username,
+        reason: override.reason,
+        expiresAt: override.expiresAt
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Override granted to ${user.username} until ${override.expiresAt.toISOString()}`,
+      data: override
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error granting override',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Revoke an override before it expires
+ * @route DELETE /api/periods/:id/overrides/:overrideId
+ * @access Admin only
+ */
+exports.revokeOverride = async (req, res) => {
+  try {
+    const period = mongoose.Types.ObjectId.isValid(req.params.id) ?
+      await AcademicPeriod.findById(req.params.id) :
+      null;
+    const override = period ? period.overrides.id(req.params.overrideId) : null;
+
+    if (!override) {
+      return res.status(404).json({
+        success: false,
+        message: 'Override not found'
+      });
+    }
+
+    if (override.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Override has already been revoked'
+      });
+    }
+
+    override.revokedBy = req.user.id;
+    override.revokedAt = new Date();
+    await period.save();
+
+    await auditTrail.record(req, auditTrail.ACTIONS.PERIOD_OVERRIDE_REVOKE, {
+      targetType: 'AcademicPeriod',
+      targetId: period._id,
+      details: { session: period.session, semester: period.semester, overrideId: override._id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Override revoked'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking override',
+      error: error.message
+    });
+  }
+};
@@ -3,38 +3,51 @@
  * Handles CRUD operations for activity logs
  */
 
-const mongoose = require('mongoose');
 const ActivityLog = require('../models/ActivityLog');
 const config = require('../config/config');
+const auditTrail = require('../utils/auditTrail');
 
 /**
- * Create a new activity log
+ * Create a new client-side activity log
+ * The actor and IP address are taken from the session and request; entries
+ * are stored with source 'client' so they can never pass for the server-side
+ * audit trail.
  * @route POST /api/logs
  * @access Private
  */
 exports.createLog = async (req, res) => {
   try {
-    const { user, username, userType, action, details, ipAddress } = req.body;
+    const { action, details } = req.body;
     
-    // Create log data object
-    const logData = {
-      username,
-      userType,
-      action,
-      details: details || {},
-      ipAddress
-    };
+    if (!action || typeof action !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Action is required'
+      });
+    }
     
-    // Only include user ID if it's a valid MongoDB ObjectId
-    if (user && user !== 'unknown' && mongoose.Types.ObjectId.isValid(user)) {
-      logData.user = user;
-    } else {
-      console.log('Invalid or missing user ID in activity log, continuing without user reference');
+    // Server-side audit actions cannot be written by clients
+    if (Object.values(auditTrail.ACTIONS).includes(action.trim().toUpperCase())) {
+      return res.status(400).json({
+        success: false,
+        message: `Action '${action}' is reserved for server-side audit entries`
+      });
     }
     
     // Create and save the log
-    const log = new ActivityLog(logData);
+    const log = new ActivityLog({
+      user: req.user.id,
+      username: req.user.name || req.user.username,
+      userType: req.user.userType,
+      action,
+      details: details || {},
+      ipAddress: auditTrail.getClientIp(req),
+      source: 'client',
+      method: req.method,
+      route: req.originalUrl
+    });
     await log.save();
+    req.auditLogged = true;
     
     // Return success status
     res.status(201).json({
@@ -79,6 +92,18 @@ exports.getLogs = async (req, res) => {
       filter.userType = req.query.userType;
     }
     
+    if (req.query.source) {
+      filter.source = req.query.source;
+    }
+    
+    if (req.query.targetType) {
+      filter.targetType = req.query.targetType;
+    }
+    
+    if (req.query.targetId) {
+      filter.targetId = req.query.targetId;
+    }
+    
     if (req.query.action) {
       filter.action = { $regex: new RegExp(req.query.action, 'i') };
     }
@@ -193,22 +218,74 @@ exports.getLogStats = async (req, res) => {
   }
 };
 
+/**
+ * Read the age in days of the logs to clean up
+ * @param {object} req - Express request
+ * @returns {{days: number}}
+ */
+exports.cleanupParams = (req) => ({
+  days: parseInt(req.query.days) || 30 // Default to 30 days
+});
+
+/**
+ * Get the cutoff date for a cleanup
+ * @param {number} days - Age in days of the logs to delete
+ * @returns {Date}
+ */
+const cleanupCutoff = (days) => {
+  const cutoffDate = new Date();
+  cutoffDate.setDate(cutoffDate.getDate() - days);
+  return cutoffDate;
+};
+
+/**
+ * Summarize what a cleanup would delete (shown before it is confirmed)
+ * @param {object} req - Express request
+ * @returns {Promise<object>}
+ */
+exports.cleanupImpact = async (req) => {
+  const { days } = exports.cleanupParams(req);
+  const cutoffDate = cleanupCutoff(days);
+  const filter = { timestamp: { $lt: cutoffDate } };
+
+  const [logs, oldest, sources] = await Promise.all([
+    ActivityLog.countDocuments(filter),
+    ActivityLog.findOne(filter).sort({ timestamp: 1 }).select('timestamp'),
+    ActivityLog.aggregate([
+      { $match: filter },
+      { $group: { _id: '$source', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  return {
+    logs,
+    days,
+    cutoffDate,
+    oldest: oldest ? oldest.timestamp : null,
+    bySource: sources.reduce((result, item) => ({ ...result, [item._id || 'unknown']: item.count }), {})
+  };
+};
+
 /**
  * Delete old activity logs (older than specified days)
+ * Requires two-step confirmation (see middleware/confirmation).
  * @route DELETE /api/logs/cleanup
  * @access Admin only
  */
 exports.cleanupLogs = async (req, res) => {
   try {
-    const days = parseInt(req.query.days) || 30; // Default to 30 days
-    
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - days);
+    const { days } = exports.cleanupParams(req);
+    const cutoffDate = cleanupCutoff(days);
     
     const result = await ActivityLog.deleteMany({
       timestamp: { $lt: cutoffDate }
     });
     
+    await auditTrail.record(req, auditTrail.ACTIONS.LOGS_CLEANUP, {
+      targetType: 'ActivityLog',
+      details: { days, cutoffDate, deletedCount: result.deletedCount }
+    });
+    
     res.status(200).json({
       success: true,
       message: `Successfully deleted ${result.deletedCount} old activity logs`,
@@ -0,0 +1,120 @@
+/**
+ * Analytics Controller
+ * Handles grade analytics over student records. Every endpoint accepts the
+ * same filters as the record list (courseCode, studentId, studentName,
+ * instructor, grade, yearCompleted, semester, status) and an optional
+ * histogram bucketSize; instructors only see their assigned courses.
+ * Only final (approved and locked) grades are analyzed unless a status is given.
+ */
+
+const recordScope = require('../utils/recordScope');
+const gradeAnalytics = require('../utils/gradeAnalytics');
+
+/**
+ * Compute grade statistics for a request
+ * @param {object} req - Express request
+ * @param {string} groupBy - Breakdown (see gradeAnalytics.GROUPS)
+ * @returns {Promise<Array<object>>}
+ */
+const statsFor = async (req, groupBy) => {
+  const bucketSize = gradeAnalytics.parseBucketSize(req.query);
+  const scope = await recordScope.loadScope(req.user);
+  const match = gradeAnalytics.buildMatch(req.query, scope);
+
+  return gradeAnalytics.gradeStats(match, groupBy, { bucketSize });
+};
+
+/**
+ * Get grade statistics across all matching records
+ * @route GET /api/analytics/grades
+ * @access Instructors (assigned courses), Chairman and Admin
+ */
+exports.getGradeSummary = async (req, res) => {
+  try {
+    const [summary] = await statsFor(req, 'all');
+
+    res.status(200).json({
+      success: true,
+      // No matching records yields no group; report empty statistics instead
+      data: summary || gradeAnalytics.summarize(
+        { count: 0, letters: [], numericGrades: [] },
+        gradeAnalytics.parseBucketSize(req.query)
+      )
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error computing grade analytics',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get grade statistics per course
+ * @route GET /api/analytics/courses
+ * @access Instructors (assigned courses), Chairman and Admin
+ */
+exports.getCourseAnalytics = async (req, res) => {
+  try {
+    const courses = await statsFor(req, 'course');
+
+    res.status(200).json({
+      success: true,
+      count: courses.length,
+      data: courses
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error computing course analytics',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get grade statistics per year and semester, oldest first
+ * @route GET /api/analytics/terms
+ * @access Instructors (assigned courses), Chairman and Admin
+ */
+exports.getTermAnalytics = async (req, res) => {
+  try {
+    const terms = await statsFor(req, 'term');
+
+    res.status(200).json({
+      success: true,
+      count: terms.length,
+      data: terms
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error computing term analytics',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get grade trends across years, oldest first, with the change from the previous year
+ * @route GET /api/analytics/trends
+ * @access Instructors (assigned courses), Chairman and Admin
+ */
+exports.getTrends = async (req, res) => {
+  try {
+    const years = await statsFor(req, 'year');
+
+    res.status(200).json({
+      success: true,
+      count: years.length,
+      data: gradeAnalytics.withChanges(years)
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error computing grade trends',
+      error: error.message
+    });
+  }
+};
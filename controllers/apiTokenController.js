@@ -0,0 +1,257 @@
+/**
+ * API Token Controller
+ * Handles personal API tokens for scripted integrations
+ */
+
+const mongoose = require('mongoose');
+const ApiToken = require('../models/ApiToken');
+const config = require('../config/config');
+const auditTrail = require('../utils/auditTrail');
+const apiTokens = require('../utils/apiTokens');
+
+/**
+ * Revoke a token and record it
+ * @param {object} req - Express request
+ * @param {object} apiToken - ApiToken document
+ */
+const revoke = async (req, apiToken) => {
+  apiToken.revokedAt = new Date();
+  apiToken.revokedBy = req.user.id;
+  await apiToken.save();
+
+  await auditTrail.record(req, auditTrail.ACTIONS.API_TOKEN_REVOKE, {
+    targetType: 'ApiToken',
+    targetId: apiToken._id,
+    details: { name: apiToken.name, owner: apiToken.user }
+  });
+};
+
+/**
+ * Get the current user's API tokens
+ * @route GET /api/auth/tokens
+ */
+exports.getMyTokens = async (req, res) => {
+  try {
+    const tokens = await ApiToken.find({ user: req.user.id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: tokens.length,
+      data: tokens.map(apiTokens.toPublic)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching API tokens',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create an API token for the current user
+ * Scopes are permission names (e.g. ["records:read", "records:all"] for a
+ * department-wide read-only token) and must be held by the user's role.
+ * The token is only returned by this request; store it securely.
+ * @route POST /api/auth/tokens
+ */
+exports.createToken = async (req, res) => {
+  try {
+    const { name, scopes } = req.body;
+    const expiresInDays = req.body.expiresInDays === undefined ?
+      config.apiTokens.defaultExpiryDays :
+      Number(req.body.expiresInDays);
+
+    // Tokens must not bypass a pending password change or two-factor enrollment
+    if (req.user.mustChangePassword || req.user.twoFactorSetupRequired) {
+      return res.status(403).json({
+        success: false,
+        message: 'Change your password and set up any required two-factor authentication before creating API tokens'
+      });
+    }
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token name is required'
+      });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one scope (permission name) is required'
+      });
+    }
+
+    const invalid = apiTokens.invalidScopes(req.user, scopes);
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Scopes not available to your account: ${invalid.join(', ')}`
+      });
+    }
+
+    if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > config.apiTokens.maxExpiryDays) {
+      return res.status(400).json({
+        success: false,
+        message: `expiresInDays must be a whole number between 1 and ${config.apiTokens.maxExpiryDays}`
+      });
+    }
+
+    const { token, apiToken } = await apiTokens.createToken(req.user, {
+      name: name.trim(),
+      scopes,
+      expiresInDays
+    });
+
+    await auditTrail.record(req, auditTrail.ACTIONS.API_TOKEN_CREATE, {
+      targetType: 'ApiToken',
+      targetId: apiToken._id,
+      details: { name: apiToken.name, scopes: apiToken.scopes, expiresAt: apiToken.expiresAt }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API token created; copy it now, it will not be shown again',
+      data: {
+        ...apiTokens.toPublic(apiToken),
+        token
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error creating API token',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Revoke one of the current user's API tokens
+ * @route DELETE /api/auth/tokens/:id
+ */
+exports.revokeMyToken = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const apiToken = mongoose.Types.ObjectId.isValid(id) ?
+      await ApiToken.findOne({ _id: id, user: req.user.id }) :
+      null;
+
+    if (!apiToken) {
+      return res.status(404).json({
+        success: false,
+        message: 'API token not found'
+      });
+    }
+
+    if (apiToken.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'API token is already revoked'
+      });
+    }
+
+    await revoke(req, apiToken);
+
+    res.status(200).json({
+      success: true,
+      message: 'API token revoked successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking API token',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get all API tokens
+ * Filter with user=<id> and active=true|false.
+ * @route GET /api/tokens
+ * @access Admin only
+ */
+exports.getAllTokens = async (req, res) => {
+  try {
+    const filter = {};
+    const now = new Date();
+
+    if (req.query.user) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.user)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid user ID'
+        });
+      }
+      filter.user = req.query.user;
+    }
+
+    if (req.query.active === 'true') {
+      filter.revokedAt = null;
+      filter.expiresAt = { $gt: now };
+    } else if (req.query.active === 'false') {
+      filter.$or = [{ revokedAt: { $ne: null } }, { expiresAt: { $lte: now } }];
+    }
+
+    const tokens = await ApiToken.find(filter)
+      .sort({ createdAt: -1 })
+      .populate('user', 'name username userType')
+      .populate('revokedBy', 'name username');
+
+    res.status(200).json({
+      success: true,
+      count: tokens.length,
+      data: tokens.map(apiTokens.toPublic)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching API tokens',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Revoke any API token
+ * @route DELETE /api/tokens/:id
+ * @access Admin only
+ */
+exports.revokeToken = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const apiToken = mongoose.Types.ObjectId.isValid(id) ? await ApiToken.findById(id) : null;
+
+    if (!apiToken) {
+      return res.status(404).json({
+        success: false,
+        message: 'API token not found'
+      });
+    }
+
+    if (apiToken.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'API token is already revoked'
+      });
+    }
+
+    await revoke(req, apiToken);
+
+    res.status(200).json({
+      success: true,
+      message: 'API token revoked successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking API token',
+      error: error.message
+    });
+  }
+};
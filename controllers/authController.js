@@ -4,9 +4,69 @@
  */
 
 const User = require('../models/User');
-const ActivityLog = require('../models/ActivityLog');
 const cryptoUtil = require('../utils/crypto');
 const config = require('../config/config');
+const authMiddleware = require('../middleware/auth');
+const auditTrail = require('../utils/auditTrail');
+const loginThrottle = require('../utils/loginThrottle');
+const passwordReset = require('../utils/passwordReset');
+const logger = require('../utils/logger');
+const sessions = require('../utils/sessions');
+const twoFactor = require('../utils/twoFactor');
+
+/**
+ * Build the login response data
+ * @param {object} user - User document
+ * @returns {object}
+ */
+const loginData = (user) => ({
+  _id: user._id, // Include the user ID needed for activity logging
+  username: user.username,
+  userType: user.userType,
+  name: user.name,
+  email: user.email,
+  // The client must send the user to change their password first
+  mustChangePassword: user.mustChangePassword,
+  // ...or to set up two-factor authentication, when their role requires it
+  twoFactorSetupRequired: twoFactor.setupRequired(user)
+});
+
+/**
+ * Log a user in once all login steps have passed: create the session and record the login
+ * @param {object} req - Express request
+ * @param {object} user - User document
+ * @param {object} details - Extra audit details
+ */
+const completeLogin = async (req, user, details = {}) => {
+  // Clear earlier failed attempts
+  loginThrottle.resetAccount(user);
+
+  // Update last login time
+  user.lastLogin = Date.now();
+  await user.save();
+
+  // Start from a new session ID so one obtained before logging in cannot be reused
+  await new Promise((resolve, reject) => req.session.regenerate(err => (err ? reject(err) : resolve())));
+
+  // Create session (the ID is stored as a string so sessions can be found by user)
+  req.session.user = {
+    id: String(user._id),
+    username: user.username,
+    userType: user.userType,
+    name: user.name,
+    mustChangePassword: user.mustChangePassword,
+    twoFactorSetupRequired: twoFactor.setupRequired(user)
+  };
+  sessions.startSession(req, auditTrail.getClientIp(req));
+
+  // Log login activity
+  await auditTrail.record(req, auditTrail.ACTIONS.LOGIN, {
+    targetType: 'User',
+    targetId: user._id,
+    user: req.session.user,
+    details: { timestamp: new Date(), ...details }
+  });
+};
 
 /**
  * Register a new user
@@ -16,10 +76,10 @@ exports.register = async (req, res) => {
   try {
     const { username, password, userType, name, email } = req.body;
 
-    // Check if user already exists
+    // Check if user already exists (trashed users keep their username and email)
     const existingUser = await User.findOne({ 
       $or: [{ username }, { email }] 
-    });
+    }).withDeleted();
 
     if (existingUser) {
       return res.status(400).json({
@@ -28,18 +88,18 @@ exports.register = async (req, res) => {
       });
     }
 
-    // TEMPORARILY REMOVED: Only admin can create chairman or admin accounts
-    // This allows initial setup of admin users
-    // TO BE RESTORED AFTER INITIAL SETUP
-    /*
-    if ((userType === config.userRoles.CHAIRMAN || userType === config.userRoles.ADMIN) && 
-        (!req.session.user || req.session.user.userType !== config.userRoles.ADMIN)) {
-      return res.status(403).json({
+    // Only admins can register accounts once the system has been set up.
+    // The very first account may be registered without a session so that
+    // the initial administrator can be created.
+    const userCount = await User.countDocuments().withDeleted();
+    if (userCount > 0 && !authMiddleware.hasPermission(req.user, 'users:manage')) {
+      return res.status(req.user ? 403 : 401).json({
         success: false,
-        message: 'Only administrators can create chairman or admin accounts'
+        message: req.user
+          ? 'Only administrators can register new accounts'
+          : 'Authentication required'
       });
     }
-    */
 
     // Encrypt password
     const { salt, hash } = cryptoUtil.encryptPassword(password);
@@ -55,6 +115,13 @@ exports.register = async (req, res) => {
 
     await user.save();
 
+    await auditTrail.record(req, auditTrail.ACTIONS.USER_REGISTER, {
+      targetType: 'User',
+      targetId: user._id,
+      after: user,
+      user: req.user || { id: user._id, username: user.username, name: user.name, userType: user.userType }
+    });
+
     // Return success without password data
     res.status(201).json({
       success: true,
@@ -82,75 +149,199 @@ exports.register = async (req, res) => {
 exports.login = async (req, res) => {
   try {
     const { username, password, userType } = req.body;
+    const ip = auditTrail.getClientIp(req);
 
     // Find user by username
     const user = await User.findOne({ username, userType });
 
-    if (!user) {
-      return res.status(401).json({
+    // Refuse attempts made too soon after earlier failures, or while locked out
+    const wait = loginThrottle.checkAttempt(ip, user);
+    if (wait) {
+      if (wait.reason === 'account_locked') {
+        await auditTrail.record(req, auditTrail.ACTIONS.LOGIN_FAILED, {
+          targetType: 'User',
+          targetId: user._id,
+          details: { username, reason: wait.reason }
+        });
+      }
+
+      res.set('Retry-After', String(wait.retryAfter));
+      return res.status(429).json({
         success: false,
-        message: 'Invalid credentials'
+        message: `Too many failed login attempts. Try again in ${wait.retryAfter} seconds`,
+        retryAfter: wait.retryAfter
       });
     }
 
     // Verify password
-    const isPasswordValid = cryptoUtil.verifyPassword(
+    const isPasswordValid = !!user && cryptoUtil.verifyPassword(
       password,
       user.password.hash,
       user.password.salt
     );
 
     if (!isPasswordValid) {
+      loginThrottle.recordIpFailure(ip);
+
+      let locked = false;
+      if (user) {
+        locked = loginThrottle.recordAccountFailure(user);
+        await user.save();
+      }
+
+      await auditTrail.recordMany(req, [
+        {
+          action: auditTrail.ACTIONS.LOGIN_FAILED,
+          targetType: user ? 'User' : undefined,
+          targetId: user ? user._id : undefined,
+          details: { username, reason: user ? 'invalid_password' : 'unknown_user' }
+        },
+        ...(locked ? [{
+          action: auditTrail.ACTIONS.ACCOUNT_LOCKED,
+          targetType: 'User',
+          targetId: user._id,
+          details: { username, lockedUntil: user.lockedUntil }
+        }] : [])
+      ]);
+
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Update last login time
-    user.lastLogin = Date.now();
-    await user.save();
+    // Deactivated accounts cannot log in
+    if (!user.active) {
+      await auditTrail.record(req, auditTrail.ACTIONS.LOGIN_FAILED, {
+        targetType: 'User',
+        targetId: user._id,
+        details: { username, reason: 'inactive' }
+      });
 
-    // Create session
-    req.session.user = {
-      id: user._id,
-      username: user.username,
-      userType: user.userType,
-      name: user.name
-    };
-    
-    // Log login activity
-    try {
-      const activityLog = new ActivityLog({
-        user: user._id,
-        username: user.name || user.username,
-        userType: user.userType,
-        action: 'LOGIN',
-        details: { timestamp: new Date() },
-        ipAddress: req.ip || req.connection.remoteAddress
+      return res.status(403).json({
+        success: false,
+        message: 'This account has been deactivated'
       });
-      
-      await activityLog.save();
-    } catch (logError) {
-      console.error('Error logging login activity:', logError);
-      // Continue even if logging fails
     }
 
+    // Accounts with two-factor authentication finish logging in at /login/2fa
+    if (user.twoFactor && user.twoFactor.enabled) {
+      req.session.pendingLogin = {
+        userId: String(user._id),
+        expiresAt: Date.now() + config.twoFactor.loginTimeoutMinutes * 60 * 1000,
+        attempts: 0
+      };
+
+      return res.status(200).json({
+        success: true,
+        message: 'Enter the code from your authenticator app or a recovery code',
+        twoFactorRequired: true
+      });
+    }
+
+    await completeLogin(req, user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      data: loginData(user)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error during login',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Finish logging in with a two-factor code
+ * Follows a login that answered twoFactorRequired; send { code } from the
+ * authenticator app or { recoveryCode }.
+ * @route POST /api/auth/login/2fa
+ */
+exports.verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const pending = req.session.pendingLogin;
+    const ip = auditTrail.getClientIp(req);
+
+    if (!pending || pending.expiresAt < Date.now()) {
+      delete req.session.pendingLogin;
+      return res.status(401).json({
+        success: false,
+        message: 'No login is awaiting verification; log in again'
+      });
+    }
+
+    const user = await User.findById(pending.userId).select(twoFactor.SECRET_FIELDS);
+
+    if (!user || !user.active || !user.twoFactor.enabled) {
+      delete req.session.pendingLogin;
+      return res.status(401).json({
+        success: false,
+        message: 'No login is awaiting verification; log in again'
+      });
+    }
+
+    const wait = loginThrottle.checkAttempt(ip, user);
+    if (wait) {
+      res.set('Retry-After', String(wait.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Too many failed login attempts. Try again in ${wait.retryAfter} seconds`,
+        retryAfter: wait.retryAfter
+      });
+    }
+
+    const method = twoFactor.verifyLogin(user, req.body);
+
+    if (!method) {
+      // Wrong codes count towards the account lockout like wrong passwords
+      loginThrottle.recordIpFailure(ip);
+      const locked = loginThrottle.recordAccountFailure(user);
+      await user.save();
+
+      pending.attempts += 1;
+      const restart = pending.attempts >= config.twoFactor.maxLoginAttempts;
+      if (restart) delete req.session.pendingLogin;
+
+      await auditTrail.recordMany(req, [
+        {
+          action: auditTrail.ACTIONS.LOGIN_FAILED,
+          targetType: 'User',
+          targetId: user._id,
+          details: { username: user.username, reason: 'invalid_two_factor_code' }
+        },
+        ...(locked ? [{
+          action: auditTrail.ACTIONS.ACCOUNT_LOCKED,
+          targetType: 'User',
+          targetId: user._id,
+          details: { username: user.username, lockedUntil: user.lockedUntil }
+        }] : [])
+      ]);
+
+      return res.status(401).json({
+        success: false,
+        message: restart ? 'Too many invalid codes; log in again' : 'Invalid verification code'
+      });
+    }
+
+    await completeLogin(req, user, { twoFactor: method });
+
     res.status(200).json({
       success: true,
       message: 'Login successful',
       data: {
-        _id: user._id, // Include the user ID needed for activity logging
-        username: user.username,
-        userType: user.userType,
-        name: user.name,
-        email: user.email
+        ...loginData(user),
+        // Shown so the user knows when to generate new codes
+        recoveryCodesRemaining: user.twoFactor.recoveryCodes.length
       }
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Error during login',
+      message: 'Error verifying login',
       error: error.message
     });
   }
@@ -185,7 +376,8 @@ exports.getProfile = async (req, res) => {
         username: user.username,
         userType: user.userType,
         name: user.name,
-        email: user.email
+        email: user.email,
+        mustChangePassword: user.mustChangePassword
       }
     });
   } catch (error) {
@@ -205,21 +397,12 @@ exports.logout = async (req, res) => {
   try {
     // Log logout activity if user is in session
     if (req.session && req.session.user) {
-      try {
-        const activityLog = new ActivityLog({
-          user: req.session.user.id,
-          username: req.session.user.name || req.session.user.username,
-          userType: req.session.user.userType,
-          action: 'LOGOUT',
-          details: { timestamp: new Date() },
-          ipAddress: req.ip || req.connection.remoteAddress
-        });
-        
-        await activityLog.save();
-      } catch (logError) {
-        console.error('Error logging logout activity:', logError);
-        // Continue even if logging fails
-      }
+      await auditTrail.record(req, auditTrail.ACTIONS.LOGOUT, {
+        targetType: 'User',
+        targetId: req.session.user.id,
+        user: req.session.user,
+        details: { timestamp: new Date() }
+      });
     }
     
     // Destroy session
@@ -246,3 +429,269 @@ exports.logout = async (req, res) => {
     });
   }
 };
+
+/**
+ * Email a password reset link to a user, unless one was sent moments ago
+ * @param {object} req - Express request
+ * @param {object} user - User document
+ */
+const sendPasswordReset = async (req, user) => {
+  if (await passwordReset.issuedRecently(user)) return;
+
+  await passwordReset.issueResetToken(user, {
+    purpose: 'self',
+    requestIp: auditTrail.getClientIp(req)
+  });
+
+  await auditTrail.record(req, auditTrail.ACTIONS.PASSWORD_RESET_REQUEST, {
+    targetType: 'User',
+    targetId: user._id,
+    details: { username: user.username }
+  });
+};
+
+/**
+ * Request a password reset email
+ * Always answers the same way and in the same time (the email is sent in the
+ * background), so it cannot be used to discover accounts.
+ * @route POST /api/auth/forgot-password
+ */
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email, username } = req.body;
+
+    if (!email && !username) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email or username is required'
+      });
+    }
+
+    const user = await User.findOne(email ? { email: String(email).toLowerCase().trim() } : { username: String(username) });
+
+    if (user && user.active) {
+      sendPasswordReset(req, user).catch(error => {
+        logger.error('Error sending password reset email', { username: user.username, error: error.message });
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If an account matches, a password reset link has been sent to its email address'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error requesting password reset',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Set a new password with a reset token
+ * @route POST /api/auth/reset-password
+ */
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const resetToken = await passwordReset.consumeResetToken(token);
+    const user = resetToken ? await User.findById(resetToken.user) : null;
+
+    if (!user || !user.active) {
+      return res.status(400).json({
+        success: false,
+        message: 'This password reset link is invalid or has expired'
+      });
+    }
+
+    passwordReset.setPassword(user, password);
+    // Choosing a new password also lifts a lockout
+    loginThrottle.resetAccount(user);
+    await user.save();
+
+    // Whoever may have been using the old password is logged out
+    const revokedSessions = await sessions.revokeUserSessions(user._id);
+
+    await auditTrail.record(req, auditTrail.ACTIONS.PASSWORD_RESET, {
+      targetType: 'User',
+      targetId: user._id,
+      user: { id: user._id, username: user.username, userType: user.userType, name: user.name },
+      details: { via: 'token', purpose: resetToken.purpose, revokedSessions }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successfully; you can now log in'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting password',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Change the current user's password
+ * Requires the current password; clears a pending forced change.
+ * @route POST /api/auth/change-password
+ */
+exports.changePassword = async (req, res) => {
+  try {
+    const { currentPassword, password } = req.body;
+
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!currentPassword || !cryptoUtil.verifyPassword(currentPassword, user.password.hash, user.password.salt)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    if (cryptoUtil.verifyPassword(password, user.password.hash, user.password.salt)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The new password must be different from the current password'
+      });
+    }
+
+    passwordReset.setPassword(user, password);
+    await user.save();
+
+    req.session.user = { ...req.session.user, mustChangePassword: false };
+
+    // Log out the user's other sessions
+    const revokedSessions = await sessions.revokeUserSessions(user._id, { exceptSessionId: req.sessionID });
+
+    await auditTrail.record(req, auditTrail.ACTIONS.PASSWORD_CHANGE, {
+      targetType: 'User',
+      targetId: user._id,
+      details: { revokedSessions }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Password changed successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error changing password',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List the current user's active sessions
+ * @route GET /api/auth/sessions
+ */
+exports.getSessions = async (req, res) => {
+  try {
+    const data = await sessions.listUserSessions(req.user.id, req.sessionID);
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sessions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Revoke one of the current user's sessions
+ * Revoking the current session logs the user out.
+ * @route DELETE /api/auth/sessions/:sessionId
+ */
+exports.revokeSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const current = sessionId === sessions.publicId(req.sessionID);
+
+    const revoked = current ? true : await sessions.revokeSession(req.user.id, sessionId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await auditTrail.record(req, auditTrail.ACTIONS.SESSION_REVOKE, {
+      targetType: 'User',
+      targetId: req.user.id,
+      details: { session: sessionId, current }
+    });
+
+    if (current) {
+      await new Promise((resolve, reject) => req.session.destroy(err => (err ? reject(err) : resolve())));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: current ? 'Session revoked; you have been logged out' : 'Session revoked successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking session',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Revoke all of the current user's other sessions
+ * With includeCurrent=true the current session is revoked too (logging the user out).
+ * @route DELETE /api/auth/sessions
+ */
+exports.revokeSessions = async (req, res) => {
+  try {
+    const includeCurrent = req.query.includeCurrent === 'true';
+
+    const revokedCount = await sessions.revokeUserSessions(req.user.id, {
+      exceptSessionId: req.sessionID
+    });
+
+    await auditTrail.record(req, auditTrail.ACTIONS.SESSION_REVOKE, {
+      targetType: 'User',
+      targetId: req.user.id,
+      details: { all: true, revokedCount, includeCurrent }
+    });
+
+    if (includeCurrent) {
+      await new Promise((resolve, reject) => req.session.destroy(err => (err ? reject(err) : resolve())));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: includeCurrent ?
+        'All sessions revoked; you have been logged out' :
+        `${revokedCount} other session(s) revoked`,
+      revokedCount: revokedCount + (includeCurrent ? 1 : 0)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking sessions',
+      error: error.message
+    });
+  }
+};
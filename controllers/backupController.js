@@ -0,0 +1,174 @@
+/**
+ * Backup Controller
+ * Handles creating, listing and restoring database backups
+ */
+
+const auditTrail = require('../utils/auditTrail');
+const backups = require('../utils/backups');
+
+/**
+ * Read the collections requested in the body
+ * @param {*} value - Array or comma-separated string of collection names
+ * @returns {string[]}
+ */
+const parseCollections = (value) => {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string' && value.trim()) return value.split(',').map(name => name.trim());
+  return [];
+};
+
+/**
+ * Get available backups, newest first
+ * @route GET /api/backups
+ * @access Admin only
+ */
+exports.getBackups = async (req, res) => {
+  try {
+    const manifests = await backups.listBackups();
+
+    res.status(200).json({
+      success: true,
+      count: manifests.length,
+      data: manifests
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching backups',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a backup's manifest
+ * @route GET /api/backups/:id
+ * @access Admin only
+ */
+exports.getBackup = async (req, res) => {
+  try {
+    const manifest = await backups.readManifest(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: manifest
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error fetching backup',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Take a backup now
+ * Backs up all collections unless collections lists some of them.
+ * @route POST /api/backups
+ * @access Admin only
+ */
+exports.createBackup = async (req, res) => {
+  try {
+    const body = req.body || {};
+
+    const manifest = await backups.createBackup({
+      reason: 'manual',
+      collections: parseCollections(body.collections),
+      note: body.note,
+      user: req.user
+    });
+
+    await auditTrail.record(req, auditTrail.ACTIONS.BACKUP_CREATE, {
+      targetType: 'Backup',
+      targetId: manifest.id,
+      details: { reason: manifest.reason, collections: Object.keys(manifest.collections) }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Backup created successfully',
+      data: manifest
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error creating backup',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Check whether a restore request is a dry run
+ * @param {object} req - Express request
+ * @returns {boolean}
+ */
+exports.isDryRun = (req) => {
+  const value = req.query.dryRun !== undefined ? req.query.dryRun : (req.body || {}).dryRun;
+  return value === true || value === 'true';
+};
+
+/**
+ * Read the backup and collections a restore applies to
+ * @param {object} req - Express request
+ * @returns {{id: string, collections: string[]}}
+ */
+exports.restoreParams = (req) => ({
+  id: req.params.id,
+  collections: parseCollections((req.body || {}).collections)
+});
+
+/**
+ * Summarize what a restore would change (its dry run, shown before it is confirmed)
+ * @param {object} req - Express request
+ * @returns {Promise<object>}
+ */
+exports.restoreImpact = async (req) => {
+  const { id, collections } = exports.restoreParams(req);
+  return backups.restoreBackup(id, { collections, dryRun: true });
+};
+
+/**
+ * Restore a backup, fully or for some collections
+ * With dryRun=true nothing is written: the response reports, per collection,
+ * how many documents would be inserted, updated and deleted. Users missing
+ * from the database are restored without a usable password and need a reset link.
+ * A real restore requires two-step confirmation (see middleware/confirmation).
+ * @route POST /api/backups/:id/restore
+ * @access Admin only
+ */
+exports.restoreBackup = async (req, res) => {
+  try {
+    const dryRun = exports.isDryRun(req);
+    const { id, collections } = exports.restoreParams(req);
+
+    const result = await backups.restoreBackup(id, {
+      collections,
+      dryRun,
+      user: req.user
+    });
+
+    if (!dryRun) {
+      await auditTrail.record(req, auditTrail.ACTIONS.BACKUP_RESTORE, {
+        targetType: 'Backup',
+        targetId: result.backup,
+        details: result
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: dryRun ?
+        `Dry run of restoring backup ${result.backup}; nothing was changed` :
+        `Backup ${result.backup} restored; the previous data was saved as ${result.snapshot}`,
+      data: result
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error restoring backup',
+      error: error.message
+    });
+  }
+};
@@ -4,9 +4,66 @@
  */
 
 const StudentRecord = require('../models/Student');
+const UploadMapping = require('../models/UploadMapping');
+const auditTrail = require('../utils/auditTrail');
+const uploadBatches = require('../utils/uploadBatches');
+const spreadsheetImport = require('../utils/spreadsheetImport');
+const backups = require('../utils/backups');
+const academicPeriods = require('../utils/academicPeriods');
+
+/**
+ * Check whether the request asks for a dry run
+ * @param {object} req - Express request
+ * @returns {boolean}
+ */
+const isDryRun = (req) => {
+  const value = req.query.dryRun !== undefined ? req.query.dryRun : req.body.dryRun;
+  return value === true || value === 'true';
+};
+
+/**
+ * Plan an upload as a batch, then either save it as a preview (dry run) or commit it
+ * A direct upload commits the valid rows and reports the rejected ones, as before.
+ * @param {object} req - Express request
+ * @param {Array<{row: number, record: object, errors: string[]}>} items - Uploaded rows
+ * @param {object} source - { type, fileName, mapping }
+ * @returns {Promise<object>} - The saved batch
+ */
+const runUpload = async (req, items, source) => {
+  const batch = await uploadBatches.planBatch(req, items, source);
+
+  if (isDryRun(req)) {
+    await batch.save();
+    await auditTrail.record(req, auditTrail.ACTIONS.UPLOAD_BATCH_PREVIEW, {
+      targetType: 'UploadBatch',
+      targetId: batch._id,
+      details: { ...source, ...batch.toObject().summary }
+    });
+    return batch;
+  }
+
+  return uploadBatches.commitBatch(batch, req, { skipRejected: true });
+};
+
+/**
+ * Build the upload response message
+ * @param {object} batch - UploadBatch document
+ * @returns {string}
+ */
+const summaryMessage = (batch) => {
+  const { total, create, update, unchanged, reject } = batch.summary;
+
+  if (batch.status === 'preview') {
+    return `Dry run of ${total} records: ${create} to create, ${update} to update, ${unchanged} unchanged, ${reject} rejected`;
+  }
+
+  return `Processed ${total} records: ${create} created, ${update} updated, ${unchanged} unchanged, ${reject} errors`;
+};
 
 /**
  * Bulk upload student records
+ * With dryRun=true nothing is written: the response previews what each row
+ * would do and returns a batchId to commit via POST /api/uploads/:batchId/commit.
  * @route POST /api/students/bulk-upload
  */
 exports.bulkUploadRecords = async (req, res) => {
@@ -20,112 +77,207 @@ exports.bulkUploadRecords = async (req, res) => {
       });
     }
 
-    const results = {
-      created: 0,
-      updated: 0,
-      errors: 0,
-      details: []
-    };
+    const batch = await runUpload(
+      req,
+      records.map((record, index) => ({ row: index + 1, record: record || {} })),
+      { type: 'json' }
+    );
 
-    for (const item of records) {
-      try {
-        // Check if the record already exists (by studentId and courseCode)
-        const existingRecord = await StudentRecord.findOne({
-          studentId: item.studentId,
-          courseCode: item.courseCode
+    res.status(200).json({
+      success: true,
+      message: summaryMessage(batch),
+      batchId: batch._id,
+      status: batch.status,
+      dryRun: batch.status === 'preview',
+      results: uploadBatches.toResults(batch)
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error processing bulk upload',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Bulk upload student records from a CSV or Excel file
+ * Columns are mapped with a saved mapping profile (mappingId), an inline
+ * mapping (JSON object of header name keyed by field), or detected from the headers.
+ * Row numbers in the results refer to rows of the original file.
+ * Supports dryRun=true like the JSON upload.
+ * @route POST /api/students/bulk-upload/file
+ */
+exports.bulkUploadFile = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'A .csv or .xlsx file is required in the "file" field'
+      });
+    }
+
+    let mapping = null;
+    let mappingName = null;
+
+    if (req.body.mappingId) {
+      const profile = await UploadMapping.findById(req.body.mappingId);
+
+      if (!profile) {
+        return res.status(404).json({
+          success: false,
+          message: 'Upload mapping not found'
         });
+      }
 
-        if (existingRecord) {
-          // Update existing record
-          existingRecord.studentName = item.studentName || existingRecord.studentName;
-          existingRecord.courseName = item.courseName || existingRecord.courseName;
-          existingRecord.grade = item.grade || existingRecord.grade;
-          existingRecord.numericGrade = item.numericGrade !== undefined ? item.numericGrade : existingRecord.numericGrade;
-          existingRecord.instructor = item.instructor || existingRecord.instructor;
-          existingRecord.yearCompleted = item.yearCompleted || existingRecord.yearCompleted;
-          existingRecord.semester = item.semester || existingRecord.semester;
-          existingRecord.session = item.session || existingRecord.session;
-          existingRecord.updatedBy = item.updatedBy || existingRecord.updatedBy;
-
-          await existingRecord.save();
-
-          results.updated++;
-          results.details.push({
-            studentId: item.studentId,
-            courseCode: item.courseCode,
-            status: 'updated',
-            id: existingRecord._id
-          });
-        } else {
-          // Create new record
-          const newRecord = new StudentRecord({
-            studentId: item.studentId || '',
-            studentName: item.studentName || '',
-            courseCode: item.courseCode || '',
-            courseName: item.courseName || '',
-            grade: item.grade || '',
-            numericGrade: item.numericGrade !== undefined ? item.numericGrade : 70,
-            instructor: item.instructor || 'Unknown',
-            yearCompleted: item.yearCompleted || new Date().getFullYear(),
-            semester: item.semester || 'First',
-            session: item.session || '',
-            updatedBy: item.updatedBy
-          });
-
-          await newRecord.save();
-
-          results.created++;
-          results.details.push({
-            studentId: item.studentId,
-            courseCode: item.courseCode,
-            status: 'created',
-            id: newRecord._id
-          });
-        }
-      } catch (error) {
-        results.errors++;
-        results.details.push({
-          studentId: item.studentId || 'Unknown',
-          courseCode: item.courseCode || 'Unknown',
-          status: 'error',
-          error: error.message
+      mapping = Object.fromEntries(profile.columns);
+      mappingName = profile.name;
+    } else if (req.body.mapping) {
+      try {
+        mapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : req.body.mapping;
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          message: 'Mapping must be a JSON object of header names keyed by field'
         });
       }
     }
 
+    const rows = await spreadsheetImport.readRows(req.file, { sheet: req.body.sheet });
+    const extracted = spreadsheetImport.extractRecords(rows, mapping);
+
+    if (extracted.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The file contains no data rows'
+      });
+    }
+
+    const batch = await runUpload(req, extracted.items, {
+      type: 'file',
+      fileName: req.file.originalname,
+      mapping: mappingName || (mapping ? 'inline' : 'auto-detected')
+    });
+
     res.status(200).json({
       success: true,
-      message: `Processed ${records.length} records: ${results.created} created, ${results.updated} updated, ${results.errors} errors`,
-      results
+      message: summaryMessage(batch),
+      batchId: batch._id,
+      status: batch.status,
+      dryRun: batch.status === 'preview',
+      fileName: req.file.originalname,
+      headerRow: extracted.headerRow,
+      columns: extracted.columns,
+      results: uploadBatches.toResults(batch)
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Error processing bulk upload',
+      message: error.statusCode ? error.message : 'Error processing bulk upload file',
       error: error.message
     });
   }
 };
 
+/**
+ * Summarize what deleting all student records would affect (shown before it is confirmed)
+ * @returns {Promise<object>}
+ */
+exports.deleteAllImpact = async () => {
+  const [impact] = await StudentRecord.aggregate([
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        years: [
+          { $group: { _id: '$yearCompleted', count: { $sum: 1 } } },
+          { $sort: { _id: 1 } }
+        ],
+        courses: [
+          { $group: { _id: '$courseCode', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } }
+        ],
+        students: [
+          { $group: { _id: '$studentId' } },
+          { $count: 'count' }
+        ]
+      }
+    }
+  ]);
+
+  return {
+    records: impact.total.length > 0 ? impact.total[0].count : 0,
+    students: impact.students.length > 0 ? impact.students[0].count : 0,
+    years: impact.years.map(item => ({ year: item._id, records: item.count })),
+    courses: impact.courses.map(item => ({ courseCode: item._id, records: item.count }))
+  };
+};
+
 /**
  * Delete all student records
+ * Requires two-step confirmation (see middleware/confirmation).
+ * Records are moved to the trash together; restore them all with
+ * POST /api/trash/records/restore { deletedAt } using the returned deletedAt.
+ * Refused while any record is locked or belongs to a closed period the
+ * admin holds no override for. A backup snapshot of the records is taken first.
  * @route DELETE /api/students/all
  * @access Admin only
  */
 exports.deleteAllRecords = async (req, res) => {
   try {
-    // Delete all student records
-    const result = await StudentRecord.deleteMany({});
+    const locked = await StudentRecord.countDocuments({ status: 'locked' });
+    if (locked > 0) {
+      return res.status(423).json({
+        success: false,
+        message: `${locked} records are locked; they must be reopened before all records can be deleted`
+      });
+    }
+
+    // The periods of all records, as record values
+    const periods = await StudentRecord.aggregate([
+      { $group: { _id: { session: '$session', semester: '$semester', yearCompleted: '$yearCompleted' } } },
+      { $replaceWith: '$_id' }
+    ]);
+
+    const periodError = await academicPeriods.periodError(req, periods, { action: 'delete all' });
+    if (periodError) {
+      return res.status(periodError.statusCode).json({
+        success: false,
+        message: periodError.message
+      });
+    }
+
+    const snapshot = await backups.createBackup({
+      reason: 'snapshot',
+      collections: ['students'],
+      note: 'Before deleting all student records',
+      user: req.user
+    });
+
+    const deletedAt = new Date();
+
+    // Move all student records to the trash
+    const result = await StudentRecord.updateMany(
+      {},
+      { $set: { deleted: true, deletedAt, deletedBy: req.user.id } },
+      { timestamps: false }
+    );
+
+    await auditTrail.record(req, auditTrail.ACTIONS.RECORDS_DELETE_ALL, {
+      targetType: 'StudentRecord',
+      details: { deletedCount: result.modifiedCount, trashed: true, deletedAt, snapshot: snapshot.id }
+    });
     
     res.status(200).json({
       success: true,
-      message: 'All student records deleted successfully',
-      deletedCount: result.deletedCount
+      message: 'All student records moved to the trash',
+      deletedCount: result.modifiedCount,
+      deletedAt,
+      snapshot: snapshot.id
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Error deleting all student records',
+      message: error.statusCode ? error.message : 'Error deleting all student records',
       error: error.message
     });
   }
@@ -0,0 +1,383 @@
+/**
+ * Course Controller
+ * Handles CRUD operations for the course catalog
+ */
+
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const User = require('../models/User');
+const StudentRecord = require('../models/Student');
+const config = require('../config/config');
+const auditTrail = require('../utils/auditTrail');
+
+/**
+ * Build a filter matching records whose free-text course code equals a catalog code
+ * Ignores case and whitespace, so "phy 101" matches "PHY101".
+ * @param {string} code - Normalized catalog code
+ * @returns {object}
+ */
+const recordCodeFilter = (code) => {
+  const pattern = code
+    .split('')
+    .map(char => char.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&'))
+    .join('\\s*');
+  return { courseCode: { $regex: new RegExp(`^\\s*${pattern}\\s*$`, 'i') } };
+};
+
+/**
+ * Link all records with a matching course code to a course
+ * @param {object} course - Course document
+ * @returns {Promise<number>} - Number of records linked
+ */
+const linkRecords = async (course) => {
+  const result = await StudentRecord.updateMany(
+    { ...recordCodeFilter(course.code), course: { $ne: course._id } },
+    { $set: { course: course._id } }
+  ).withDeleted(); // Trashed records stay linked for when they are restored
+  return result.modifiedCount;
+};
+
+/**
+ * Get all courses
+ * @route GET /api/courses
+ */
+exports.getAllCourses = async (req, res) => {
+  try {
+    // Filtering
+    const filter = {};
+    if (req.query.active !== undefined) filter.active = req.query.active === 'true';
+    if (req.query.level) filter.level = parseInt(req.query.level);
+    // Courses assigned to an instructor ("me" for the current user)
+    if (req.query.instructor) {
+      const instructor = req.query.instructor === 'me' ? req.user.id : req.query.instructor;
+      if (!mongoose.Types.ObjectId.isValid(instructor)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Instructor must be a user ID or "me"'
+        });
+      }
+      filter.instructors = instructor;
+    }
+
+    const courses = await Course.find(filter)
+      .sort({ code: 1 })
+      .populate('instructors', 'name username');
+
+    res.status(200).json({
+      success: true,
+      count: courses.length,
+      data: courses
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching courses',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a specific course by ID
+ * @route GET /api/courses/:id
+ */
+exports.getCourseById = async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id).populate('instructors', 'name username');
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: course
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching course',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create a new course
+ * Existing records with the same course code are linked to it.
+ * @route POST /api/courses
+ * @access Chairman and Admin only
+ */
+exports.createCourse = async (req, res) => {
+  try {
+    const { code, title, creditHours, level, active } = req.body;
+
+    const existingCourse = await Course.findByCode(code);
+
+    if (existingCourse) {
+      return res.status(400).json({
+        success: false,
+        message: 'A course with this code already exists'
+      });
+    }
+
+    const course = new Course({ code, title, creditHours, level, active });
+    await course.save();
+
+    const linkedRecords = await linkRecords(course);
+
+    await auditTrail.record(req, auditTrail.ACTIONS.COURSE_CREATE, {
+      targetType: 'Course',
+      targetId: course._id,
+      after: course,
+      details: { linkedRecords }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Course created successfully',
+      linkedRecords,
+      data: course
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error creating course',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update a course
+ * @route PUT /api/courses/:id
+ * @access Chairman and Admin only
+ */
+exports.updateCourse = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { code, title, creditHours, level, active } = req.body;
+
+    const course = await Course.findById(id);
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    // Check if updating the code would create a duplicate
+    if (code && Course.normalizeCode(code) !== course.code) {
+      const duplicateCheck = await Course.findOne({
+        code: Course.normalizeCode(code),
+        _id: { $ne: id }
+      });
+
+      if (duplicateCheck) {
+        return res.status(400).json({
+          success: false,
+          message: 'A course with this code already exists'
+        });
+      }
+    }
+
+    const before = course.toObject();
+
+    if (code) course.code = code;
+    if (title) course.title = title;
+    if (creditHours !== undefined) course.creditHours = creditHours;
+    if (level !== undefined) course.level = level;
+    if (active !== undefined) course.active = active;
+
+    await course.save();
+
+    let linkedRecords = 0;
+    if (course.code !== before.code) {
+      // Unlink records of the old code before linking the new one
+      await StudentRecord.updateMany({ course: course._id }, { $unset: { course: 1 } }).withDeleted();
+      linkedRecords = await linkRecords(course);
+    }
+
+    await auditTrail.record(req, auditTrail.ACTIONS.COURSE_UPDATE, {
+      targetType: 'Course',
+      targetId: course._id,
+      before,
+      after: course,
+      details: { linkedRecords }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Course updated successfully',
+      data: course
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating course',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Set the instructors assigned to a course
+ * Instructors only see and enter the records of the courses assigned to them.
+ * Body: { instructorIds: [userId] } (replaces the current assignments)
+ * @route PUT /api/courses/:id/instructors
+ * @access Chairman and Admin only
+ */
+exports.assignInstructors = async (req, res) => {
+  try {
+    const { instructorIds } = req.body;
+
+    if (!Array.isArray(instructorIds) || !instructorIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'instructorIds must be an array of user IDs'
+      });
+    }
+
+    const course = await Course.findById(req.params.id);
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    const uniqueIds = [...new Set(instructorIds.map(String))];
+    const users = await User.find({ _id: { $in: uniqueIds } }).select('name username userType');
+
+    if (users.length !== uniqueIds.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'One or more users not found'
+      });
+    }
+
+    const notInstructor = users.find(user => user.userType !== config.userRoles.INSTRUCTOR);
+    if (notInstructor) {
+      return res.status(400).json({
+        success: false,
+        message: `${notInstructor.username} is not an instructor account`
+      });
+    }
+
+    const before = course.toObject();
+
+    course.instructors = users.map(user => user._id);
+    await course.save();
+
+    await auditTrail.record(req, auditTrail.ACTIONS.COURSE_ASSIGN_INSTRUCTORS, {
+      targetType: 'Course',
+      targetId: course._id,
+      before,
+      after: course,
+      details: { code: course.code, instructors: users.map(user => user.username) }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${users.length} instructors assigned to ${course.code}`,
+      data: { ...course.toObject(), instructors: users }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error assigning course instructors',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete a course
+ * Courses with linked records cannot be deleted; deactivate them instead.
+ * @route DELETE /api/courses/:id
+ * @access Chairman and Admin only
+ */
+exports.deleteCourse = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const course = await Course.findById(id);
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    // Trashed records stay linked and may be restored, so they count too
+    const linkedCount = await StudentRecord.countDocuments({ course: course._id }).withDeleted();
+
+    if (linkedCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Course has ${linkedCount} linked records; deactivate it instead`
+      });
+    }
+
+    await course.deleteOne();
+
+    await auditTrail.record(req, auditTrail.ACTIONS.COURSE_DELETE, {
+      targetType: 'Course',
+      targetId: course._id,
+      before: course
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Course deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting course',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Link existing student records to their catalog courses by course code
+ * @route POST /api/courses/link-records
+ * @access Chairman and Admin only
+ */
+exports.linkAllRecords = async (req, res) => {
+  try {
+    const courses = await Course.find();
+
+    let linkedRecords = 0;
+    for (const course of courses) {
+      linkedRecords += await linkRecords(course);
+    }
+
+    const unlinkedRecords = await StudentRecord.countDocuments({ course: { $exists: false } });
+
+    await auditTrail.record(req, auditTrail.ACTIONS.COURSE_LINK_RECORDS, {
+      targetType: 'Course',
+      details: { linkedRecords, unlinkedRecords }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Linked ${linkedRecords} records to catalog courses`,
+      linkedRecords,
+      unlinkedRecords
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error linking records to courses',
+      error: error.message
+    });
+  }
+};
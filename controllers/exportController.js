@@ -0,0 +1,66 @@
+/**
+ * Export Controller
+ * Handles exporting student records to CSV, XLSX and JSON files
+ */
+
+const StudentRecord = require('../models/Student');
+const auditTrail = require('../utils/auditTrail');
+const recordFilters = require('../utils/recordFilters');
+const recordExport = require('../utils/recordExport');
+const recordScope = require('../utils/recordScope');
+
+/**
+ * Export the student records matching the record list filters
+ * Takes the same filters and sorting as GET /api/students, plus
+ * format (csv, xlsx or json; default csv) and columns (comma-separated).
+ * The whole result set is streamed rather than paged. Instructors only
+ * export the records of the courses assigned to them.
+ * @route GET /api/students/export
+ */
+exports.exportRecords = async (req, res) => {
+  let format;
+  let columns;
+
+  try {
+    format = recordExport.parseFormat(req.query.format);
+    columns = recordExport.parseColumns(req.query.columns);
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  try {
+    const scope = await recordScope.loadScope(req.user);
+    const filter = recordScope.applyScope(recordFilters.buildRecordFilter(req.query), scope);
+
+    const cursor = StudentRecord.find(filter)
+      .sort(recordFilters.buildSortOptions(req.query))
+      .select(columns.join(' '))
+      .lean()
+      .cursor();
+
+    const count = await recordExport.streamRecords(cursor, {
+      format,
+      columns,
+      fileName: `student-records-${new Date().toISOString().slice(0, 10)}`
+    }, res);
+
+    await auditTrail.record(req, auditTrail.ACTIONS.RECORDS_EXPORT, {
+      targetType: 'StudentRecord',
+      details: { format, columns, filter: req.query, count }
+    });
+  } catch (error) {
+    // Once streaming has started the status is sent; cut the download short instead
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting student records',
+      error: error.message
+    });
+  }
+};
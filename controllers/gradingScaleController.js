@@ -0,0 +1,364 @@
+/**
+ * Grading Scale Controller
+ * Handles CRUD operations for grading scales and checks records against them
+ */
+
+const GradingScale = require('../models/GradingScale');
+const StudentRecord = require('../models/Student');
+const auditTrail = require('../utils/auditTrail');
+const recordRevisions = require('../utils/recordRevisions');
+const gradingScale = require('../utils/gradingScale');
+const gradeWorkflow = require('../utils/gradeWorkflow');
+const academicPeriods = require('../utils/academicPeriods');
+const AcademicPeriod = require('../models/AcademicPeriod');
+
+// Number of records written per bulkWrite when validating all records
+const BATCH_SIZE = 500;
+
+/**
+ * Get all grading scales
+ * @route GET /api/grading-scales
+ */
+exports.getAllScales = async (req, res) => {
+  try {
+    const scales = await gradingScale.loadScales();
+
+    res.status(200).json({
+      success: true,
+      count: scales.length,
+      defaultScale: gradingScale.DEFAULT_SCALE,
+      data: scales
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching grading scales',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the grading scale in effect for an academic year (defaults to the current year)
+ * @route GET /api/grading-scales/current
+ */
+exports.getCurrentScale = async (req, res) => {
+  try {
+    const year = parseInt(req.query.year) || new Date().getFullYear();
+    const scales = await gradingScale.loadScales();
+
+    res.status(200).json({
+      success: true,
+      year,
+      data: gradingScale.getScaleForYear(scales, year)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching grading scale',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create a new grading scale
+ * @route POST /api/grading-scales
+ * @access Chairman and Admin only
+ */
+exports.createScale = async (req, res) => {
+  try {
+    const { name, effectiveYear, bands } = req.body;
+
+    const existingScale = await GradingScale.findOne({ effectiveYear });
+
+    if (existingScale) {
+      return res.status(400).json({
+        success: false,
+        message: 'A grading scale for this effective year already exists'
+      });
+    }
+
+    const scale = new GradingScale({
+      name,
+      effectiveYear,
+      bands,
+      createdBy: req.user.id
+    });
+
+    await scale.save();
+
+    await auditTrail.record(req, auditTrail.ACTIONS.GRADING_SCALE_CREATE, {
+      targetType: 'GradingScale',
+      targetId: scale._id,
+      after: scale
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Grading scale created successfully',
+      data: scale
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Error creating grading scale',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update a grading scale
+ * @route PUT /api/grading-scales/:id
+ * @access Chairman and Admin only
+ */
+exports.updateScale = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, effectiveYear, bands } = req.body;
+
+    const scale = await GradingScale.findById(id);
+
+    if (!scale) {
+      return res.status(404).json({
+        success: false,
+        message: 'Grading scale not found'
+      });
+    }
+
+    if (effectiveYear && effectiveYear !== scale.effectiveYear) {
+      const duplicateCheck = await GradingScale.findOne({ effectiveYear, _id: { $ne: id } });
+
+      if (duplicateCheck) {
+        return res.status(400).json({
+          success: false,
+          message: 'A grading scale for this effective year already exists'
+        });
+      }
+    }
+
+    const before = scale.toObject();
+
+    if (name) scale.name = name;
+    if (effectiveYear) scale.effectiveYear = effectiveYear;
+    if (bands) scale.bands = bands;
+
+    await scale.save();
+
+    await auditTrail.record(req, auditTrail.ACTIONS.GRADING_SCALE_UPDATE, {
+      targetType: 'GradingScale',
+      targetId: scale._id,
+      before,
+      after: scale
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Grading scale updated successfully',
+      data: scale
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Error updating grading scale',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete a grading scale
+ * @route DELETE /api/grading-scales/:id
+ * @access Chairman and Admin only
+ */
+exports.deleteScale = async (req, res) => {
+  try {
+    const scale = await GradingScale.findByIdAndDelete(req.params.id);
+
+    if (!scale) {
+      return res.status(404).json({
+        success: false,
+        message: 'Grading scale not found'
+      });
+    }
+
+    await auditTrail.record(req, auditTrail.ACTIONS.GRADING_SCALE_DELETE, {
+      targetType: 'GradingScale',
+      targetId: scale._id,
+      before: scale
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Grading scale deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting grading scale',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Validate all student records against the grading scales
+ * mode=validate (default) updates the gradeMismatch flag of every record;
+ * mode=recompute also rewrites letter grades from numeric grades, except on
+ * locked records and records in closed periods (unless the user holds an
+ * override for the period), which are reported as skipped.
+ * @route POST /api/grading-scales/validate
+ * @access Chairman and Admin only
+ */
+exports.validateRecords = async (req, res) => {
+  try {
+    const mode = req.query.mode || req.body.mode || 'validate';
+
+    if (!['validate', 'recompute'].includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Mode must be one of: validate, recompute'
+      });
+    }
+
+    const scales = await gradingScale.loadScales();
+    const summary = { checked: 0, consistent: 0, mismatched: 0, missingGrade: 0, recomputed: 0, skipped: 0 };
+    const mismatches = [];
+    const skipped = [];
+
+    // Recomputing must respect locks and closed periods like any other grade change
+    const closedPeriods = mode === 'recompute' ?
+      await AcademicPeriod.find({ closed: true }) :
+      [];
+    const closedByKey = new Map(closedPeriods.map(period => [
+      academicPeriods.periodKey(period),
+      period
+    ]));
+    const overridesUsed = new Map();
+
+    /**
+     * Get why a record's letter grade may not be recomputed
+     * @param {object} record - Student record
+     * @returns {string|null}
+     */
+    const recomputeBlocked = (record) => {
+      if (gradeWorkflow.getStatus(record) === 'locked') {
+        return 'Record is locked';
+      }
+
+      const period = closedByKey.get(academicPeriods.periodKey(record));
+      if (!period) return null;
+
+      const override = period.findOverride(req.user.id);
+      if (!override) {
+        return academicPeriods.closedError(period).message;
+      }
+
+      overridesUsed.set(override._id.toString(), { period, override });
+      return null;
+    };
+
+    let operations = [];
+    let revisionEntries = [];
+
+    const flush = async () => {
+      if (operations.length > 0) {
+        await StudentRecord.bulkWrite(operations, { ordered: false });
+      }
+      if (revisionEntries.length > 0) {
+        await recordRevisions.recordRevisions(revisionEntries, req.user);
+      }
+      operations = [];
+      revisionEntries = [];
+    };
+
+    const cursor = StudentRecord.find().lean().cursor();
+
+    for await (const record of cursor) {
+      summary.checked++;
+
+      const band = gradingScale.findBand(
+        gradingScale.getScaleForYear(scales, gradingScale.getRecordYear(record)),
+        record.numericGrade
+      );
+      const gradeCheck = gradingScale.checkGrade(record, scales);
+      const missingGrade = !record.grade && !!band;
+
+      if (missingGrade) summary.missingGrade++;
+      if (gradeCheck.gradeMismatch) {
+        summary.mismatched++;
+        mismatches.push({
+          id: record._id,
+          studentId: record.studentId,
+          courseCode: record.courseCode,
+          grade: record.grade,
+          numericGrade: record.numericGrade,
+          expectedGrade: gradeCheck.expectedGrade
+        });
+      } else if (!missingGrade) {
+        summary.consistent++;
+      }
+
+      const blocked = mode === 'recompute' && band && (gradeCheck.gradeMismatch || missingGrade) ?
+        recomputeBlocked(record) :
+        null;
+
+      if (blocked) {
+        summary.skipped++;
+        skipped.push({
+          id: record._id,
+          studentId: record.studentId,
+          courseCode: record.courseCode,
+          reason: blocked
+        });
+      }
+
+      if (mode === 'recompute' && band && (gradeCheck.gradeMismatch || missingGrade) && !blocked) {
+        operations.push({
+          updateOne: {
+            filter: { _id: record._id },
+            update: { $set: { grade: band.letter, gradeMismatch: false, updatedBy: req.user.id } }
+          }
+        });
+        revisionEntries.push({ record: { ...record, grade: band.letter }, before: record, action: 'update' });
+        summary.recomputed++;
+      } else if (!!record.gradeMismatch !== gradeCheck.gradeMismatch) {
+        operations.push({
+          updateOne: {
+            filter: { _id: record._id },
+            update: { $set: { gradeMismatch: gradeCheck.gradeMismatch } }
+          }
+        });
+      }
+
+      if (operations.length >= BATCH_SIZE) {
+        await flush();
+      }
+    }
+
+    await flush();
+
+    await academicPeriods.logOverrideUse(req, [...overridesUsed.values()], { action: 'recompute letter grades' });
+
+    await auditTrail.record(req, auditTrail.ACTIONS.GRADING_SCALE_VALIDATE, {
+      targetType: 'StudentRecord',
+      details: { mode, ...summary }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Checked ${summary.checked} records: ${summary.mismatched} mismatched, ${summary.missingGrade} missing letter grades, ${summary.recomputed} recomputed` +
+        (summary.skipped ? `, ${summary.skipped} skipped (locked or in a closed period)` : ''),
+      summary,
+      mismatches,
+      skipped
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error validating records against grading scales',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,264 @@
+/**
+ * Instructor Controller
+ * Handles reconciling free-text instructor names on student records with user
+ * accounts, and instructor workload and performance reports
+ */
+
+const mongoose = require('mongoose');
+const StudentRecord = require('../models/Student');
+const User = require('../models/User');
+const config = require('../config/config');
+const auditTrail = require('../utils/auditTrail');
+const instructorNames = require('../utils/instructorNames');
+const recordFilters = require('../utils/recordFilters');
+const gradeAnalytics = require('../utils/gradeAnalytics');
+const instructorReports = require('../utils/instructorReports');
+
+/**
+ * Build the instructor reports for the record list filters of a request
+ * The instructor filter is ignored so the department figures stay department-wide,
+ * and the status filter only selects the grades compared (final grades by default).
+ * @param {object} req - Express request
+ * @returns {Promise<object>} - Result of instructorReports.buildReports
+ */
+const reportsFor = (req) => {
+  const filter = recordFilters.buildRecordFilter({ ...req.query, instructor: undefined, status: undefined });
+
+  return instructorReports.buildReports(gradeAnalytics.castFilter(filter), {
+    gradeStatuses: gradeAnalytics.gradeStatuses(req.query)
+  });
+};
+
+/**
+ * Get instructor name clusters with suggested account matches
+ * Each cluster groups the spelling variants of one surname ("Dr. J. Kollie",
+ * "J Kollie", "Kollie") with their record counts and the instructor accounts
+ * they most likely refer to. With unlinkedOnly=true, only records without an
+ * account are counted.
+ * @route GET /api/instructors/reconciliation
+ */
+exports.getReconciliation = async (req, res) => {
+  try {
+    const match = req.query.unlinkedOnly === 'true' ? { instructorUser: null } : {};
+
+    const names = await StudentRecord.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$instructor',
+          records: { $sum: 1 },
+          linked: { $sum: { $cond: [{ $ifNull: ['$instructorUser', false] }, 1, 0] } },
+          users: { $addToSet: '$instructorUser' }
+        }
+      }
+    ]);
+
+    const users = await User.find({
+      userType: config.userRoles.INSTRUCTOR,
+      active: true
+    }).select('name username instructorAliases');
+
+    const clusters = instructorNames.clusterNames(names.map(entry => ({
+      name: entry._id || '',
+      records: entry.records,
+      linked: entry.linked,
+      linkedUsers: entry.users.filter(Boolean)
+    })));
+
+    const unassigned = names
+      .filter(entry => instructorNames.isPlaceholder(entry._id))
+      .reduce((total, entry) => total + entry.records, 0);
+
+    res.status(200).json({
+      success: true,
+      count: clusters.length,
+      // Records whose instructor is missing or a placeholder such as "Unknown"
+      unassignedRecords: unassigned,
+      data: clusters.map(cluster => ({
+        ...cluster,
+        suggestions: instructorNames.suggestAccounts(cluster, users)
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error building instructor reconciliation',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Apply confirmed instructor name mappings
+ * Body: { mappings: [{ names: [instructor names], userId }] }
+ * Links every record with one of the names to the account and remembers the
+ * names as aliases, so later records with them are linked automatically.
+ * The instructor names on the records are left as entered.
+ * @route POST /api/instructors/reconciliation/apply
+ */
+exports.applyReconciliation = async (req, res) => {
+  try {
+    const { mappings } = req.body;
+
+    const valid = Array.isArray(mappings) && mappings.length > 0 && mappings.every(mapping =>
+      mapping &&
+      Array.isArray(mapping.names) &&
+      mapping.names.length > 0 &&
+      mapping.names.every(name => typeof name === 'string') &&
+      mongoose.Types.ObjectId.isValid(mapping.userId)
+    );
+
+    if (!valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Mappings must be a non-empty array of { names: [instructor names], userId }'
+      });
+    }
+
+    // Each name can only map to one account
+    const allNames = mappings.flatMap(mapping => mapping.names);
+    if (new Set(allNames).size !== allNames.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Each instructor name can only be mapped to one account'
+      });
+    }
+
+    const userIds = [...new Set(mappings.map(mapping => String(mapping.userId)))];
+    const users = await User.find({ _id: { $in: userIds } }).select('name username userType');
+
+    if (users.length !== userIds.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'One or more users not found'
+      });
+    }
+
+    const notInstructor = users.find(user => user.userType !== config.userRoles.INSTRUCTOR);
+    if (notInstructor) {
+      return res.status(400).json({
+        success: false,
+        message: `${notInstructor.username} is not an instructor account`
+      });
+    }
+
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+    const results = [];
+
+    for (const { names, userId } of mappings) {
+      const user = usersById.get(String(userId));
+
+      // Linking an account is not a grade change, so it leaves updatedAt alone
+      const result = await StudentRecord.updateMany(
+        { instructor: { $in: names } },
+        { $set: { instructorUser: user._id } },
+        { timestamps: false }
+      );
+
+      // An alias belongs to one account only, so later records are linked deterministically
+      const aliases = names.map(instructorNames.normalizeName).filter(Boolean);
+
+      await User.updateMany(
+        { _id: { $ne: user._id }, instructorAliases: { $in: aliases } },
+        { $pull: { instructorAliases: { $in: aliases } } }
+      ).withDeleted();
+
+      await User.updateOne(
+        { _id: user._id },
+        { $addToSet: { instructorAliases: { $each: aliases } } }
+      );
+
+      results.push({
+        userId: user._id,
+        username: user.username,
+        names,
+        linkedRecords: result.modifiedCount
+      });
+    }
+
+    await auditTrail.recordMany(req, results.map(result => ({
+      action: auditTrail.ACTIONS.INSTRUCTOR_RECONCILE,
+      targetType: 'User',
+      targetId: result.userId,
+      details: { names: result.names, linkedRecords: result.linkedRecords }
+    })));
+
+    const linkedRecords = results.reduce((total, result) => total + result.linkedRecords, 0);
+
+    res.status(200).json({
+      success: true,
+      message: `Linked ${linkedRecords} records to ${results.length} instructor accounts`,
+      data: results
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error applying instructor reconciliation',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get workload and performance summaries of all instructors
+ * Accepts the record list filters (e.g. yearCompleted, semester, courseCode).
+ * Per-term and per-year details are in the report of each instructor.
+ * @route GET /api/instructors/reports
+ * @access Chairman and Admin only
+ */
+exports.getReports = async (req, res) => {
+  try {
+    const { reports, department, unassignedRecords } = await reportsFor(req);
+
+    res.status(200).json({
+      success: true,
+      count: reports.length,
+      department,
+      // Records whose instructor is missing or a placeholder such as "Unknown"
+      unassignedRecords,
+      data: reports.map(({ terms, years, grades, ...report }) => {
+        const { distribution, ...summary } = grades;
+        return { ...report, grades: summary };
+      })
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error building instructor reports',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the full report of one instructor
+ * The instructor is an account ID (records linked to the account) or an
+ * instructor name as entered on records not linked to an account.
+ * @route GET /api/instructors/reports/:instructor
+ * @access Chairman and Admin only
+ */
+exports.getReport = async (req, res) => {
+  try {
+    const { reports, department } = await reportsFor(req);
+    const report = reports.find(item => item.instructor === req.params.instructor);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'No records found for this instructor'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      department,
+      data: report
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error building instructor report',
+      error: error.message
+    });
+  }
+};
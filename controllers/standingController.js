@@ -0,0 +1,201 @@
+/**
+ * Standing Controller
+ * Handles computing, persisting and listing academic standing and honors
+ */
+
+const StandingSnapshot = require('../models/StandingSnapshot');
+const config = require('../config/config');
+const auditTrail = require('../utils/auditTrail');
+const academicTerms = require('../utils/academicTerms');
+const academicStanding = require('../utils/academicStanding');
+
+/**
+ * Read the term (session and semester) from request parameters
+ * @param {object} source - Query or body
+ * @returns {{session: string, semester: string}|null} - The term, or null when incomplete
+ */
+const readTerm = (source = {}) => {
+  const session = source.session ? String(source.session).trim() : '';
+  const semester = academicTerms.normalizeSemester(source.semester);
+
+  return session && semester ? { session, semester } : null;
+};
+
+/**
+ * Respond that a term is required
+ * @param {object} res - Express response
+ */
+const termRequired = (res) => {
+  return res.status(400).json({
+    success: false,
+    message: `Session and semester (${config.semesters.join(', ')}) are required`
+  });
+};
+
+/**
+ * List students by standing for a term
+ * Lists the persisted snapshots of the term; with preview=true, computes the
+ * standing with the current rules without saving it. Filter with standing and honor.
+ * @route GET /api/standing
+ * @access Chairman and Admin only
+ */
+exports.getStanding = async (req, res) => {
+  try {
+    const term = readTerm(req.query);
+
+    if (!term) {
+      return termRequired(res);
+    }
+
+    const { standing, honor } = req.query;
+
+    if (req.query.preview === 'true') {
+      const results = (await academicStanding.computeTermStanding(term.session, term.semester))
+        .map(({ snapshot, ...result }) => ({ ...result, snapshotTaken: Boolean(snapshot) }));
+
+      const data = results.filter(result =>
+        (!standing || result.standing === standing) && (!honor || result.honor === honor)
+      );
+
+      return res.status(200).json({
+        success: true,
+        preview: true,
+        ...term,
+        rulesVersion: academicStanding.rulesVersion(),
+        counts: academicStanding.countByStanding(results),
+        count: data.length,
+        data
+      });
+    }
+
+    // Pagination
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const filter = { ...term };
+    if (standing) filter.standing = standing;
+    if (honor) filter.honor = honor;
+
+    const [snapshots, total, all] = await Promise.all([
+      StandingSnapshot.find(filter).select('-rules').sort({ studentId: 1 }).skip(skip).limit(limit),
+      StandingSnapshot.countDocuments(filter),
+      StandingSnapshot.find(term).select('standing honor').lean()
+    ]);
+
+    res.status(200).json({
+      success: true,
+      preview: false,
+      ...term,
+      counts: academicStanding.countByStanding(all),
+      count: snapshots.length,
+      total,
+      pagination: {
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      },
+      data: snapshots
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching academic standing',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Compute and persist the standing of every student with final grades in a term
+ * Body: { session, semester, recompute }. Students who already have a snapshot
+ * for the term keep it unless recompute is true.
+ * @route POST /api/standing/compute
+ * @access Chairman and Admin only
+ */
+exports.computeStanding = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const term = readTerm(body);
+
+    if (!term) {
+      return termRequired(res);
+    }
+
+    const results = await academicStanding.computeTermStanding(term.session, term.semester);
+
+    if (results.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: `No final grades found for the ${term.semester} semester of ${term.session}`
+      });
+    }
+
+    const recompute = body.recompute === true || body.recompute === 'true';
+    const { saved, kept } = await academicStanding.saveSnapshots(results, { recompute, user: req.user });
+    const counts = academicStanding.countByStanding(results.map(result =>
+      (result.snapshot && !recompute ? result.snapshot : result)
+    ));
+
+    await auditTrail.record(req, auditTrail.ACTIONS.STANDING_COMPUTE, {
+      targetType: 'StandingSnapshot',
+      details: { ...term, recompute, students: results.length, saved, kept, rulesVersion: academicStanding.rulesVersion(), counts }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Saved the standing of ${saved} students` + (kept ? `; kept ${kept} earlier decisions` : ''),
+      data: {
+        ...term,
+        students: results.length,
+        saved,
+        kept,
+        rulesVersion: academicStanding.rulesVersion(),
+        counts
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error computing academic standing',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the standing of a student in every term
+ * Each term shows the standing computed with the current rules and the
+ * persisted decision (snapshot), if any.
+ * @route GET /api/standing/student/:studentId
+ * @access Chairman and Admin only
+ */
+exports.getStudentStanding = async (req, res) => {
+  try {
+    const { studentId } = req.params;
+
+    const terms = await academicStanding.getStudentStanding(studentId);
+
+    if (terms.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No final grades found for this student'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        studentId,
+        rulesVersion: academicStanding.rulesVersion(),
+        terms
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error computing student standing',
+      error: error.message
+    });
+  }
+};
@@ -3,12 +3,25 @@
  * Handles CRUD operations for student records
  */
 
+const mongoose = require('mongoose');
 const StudentRecord = require('../models/Student');
 const User = require('../models/User');
+const RecordRevision = require('../models/RecordRevision');
 const config = require('../config/config');
+const auditTrail = require('../utils/auditTrail');
+const recordRevisions = require('../utils/recordRevisions');
+const transcriptUtil = require('../utils/transcript');
+const gpaUtil = require('../utils/gpa');
+const gradingScale = require('../utils/gradingScale');
+const recordFilters = require('../utils/recordFilters');
+const gradeWorkflow = require('../utils/gradeWorkflow');
+const academicPeriods = require('../utils/academicPeriods');
+const recordScope = require('../utils/recordScope');
+const instructorNames = require('../utils/instructorNames');
 
 /**
  * Get all student records
+ * Instructors only see the records of the courses assigned to them.
  * @route GET /api/students
  */
 exports.getAllRecords = async (req, res) => {
@@ -18,73 +31,21 @@ exports.getAllRecords = async (req, res) => {
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
 
-    // Filtering
-    const filter = {};
-    
-    // Log the incoming query parameters for debugging
-    console.log('Search parameters:', req.query);
-    
-    // Helper function to create safe regex patterns
-    const createSafeRegex = (term) => {
-      const escapedTerm = term.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&');
-      return new RegExp(escapedTerm, 'i');
-    };
-    
-    // Handle text-based searches with consistent regex approach
-    if (req.query.courseCode) {
-      filter.courseCode = { $regex: createSafeRegex(req.query.courseCode) };
-      console.log('Searching for course code:', req.query.courseCode);
-    }
-    
-    if (req.query.studentId) {
-      filter.studentId = { $regex: createSafeRegex(req.query.studentId) };
-      console.log('Searching for student ID:', req.query.studentId);
-    }
-    
-    if (req.query.studentName) {
-      filter.studentName = { $regex: createSafeRegex(req.query.studentName) };
-      console.log('Searching for student name:', req.query.studentName);
-    }
-    
-    if (req.query.instructor) {
-      filter.instructor = { $regex: createSafeRegex(req.query.instructor) };
-      console.log('Searching for instructor:', req.query.instructor);
-    }
-    
-    // For grade, year, and semester, use exact matching as these are typically dropdown selections
-    if (req.query.grade) filter.grade = req.query.grade;
-    if (req.query.yearCompleted) filter.yearCompleted = parseInt(req.query.yearCompleted);
-    if (req.query.semester) filter.semester = req.query.semester;
-    
-    // Log the constructed filter for debugging
-    console.log('MongoDB filter:', JSON.stringify(filter, null, 2));
-
-    // Sorting
-    const sortOptions = {};
-    if (req.query.sortField) {
-      sortOptions[req.query.sortField] = req.query.sortDirection === 'desc' ? -1 : 1;
-    } else {
-      sortOptions.yearCompleted = -1;
-      sortOptions.semester = 1;
-    }
+    // Filtering (within the user's scope) and sorting
+    const scope = await recordScope.loadScope(req.user);
+    const filter = recordScope.applyScope(recordFilters.buildRecordFilter(req.query), scope);
+    const sortOptions = recordFilters.buildSortOptions(req.query);
 
     // Execute query with pagination and sorting
     const records = await StudentRecord.find(filter)
       .sort(sortOptions)
       .skip(skip)
       .limit(limit);
-      
-    // Log the records found for debugging
-    console.log(`Found ${records.length} records matching the filter`);
-    if (req.query.studentName) {
-      console.log('Records with matching names:');
-      records.forEach(record => console.log(`- ${record.studentName}`));
-    }
 
     // Get total count for pagination
     const total = await StudentRecord.countDocuments(filter);
 
-    res.status(200).json({
+    const response = {
       success: true,
       count: records.length,
       total,
@@ -94,7 +55,16 @@ exports.getAllRecords = async (req, res) => {
         totalPages: Math.ceil(total / limit)
       },
       data: records
-    });
+    };
+
+    // Include the cumulative GPA of the students on this page when requested
+    // (cumulative GPAs span all courses, so only for department-wide access)
+    if (req.query.includeGpa === 'true' && !scope) {
+      const studentIds = [...new Set(records.map(record => record.studentId))];
+      response.gpa = await gpaUtil.getCumulativeGpas(studentIds);
+    }
+
+    res.status(200).json(response);
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -111,8 +81,9 @@ exports.getAllRecords = async (req, res) => {
 exports.getRecordsByCourse = async (req, res) => {
   try {
     const { courseCode } = req.params;
+    const scope = await recordScope.loadScope(req.user);
     
-    const records = await StudentRecord.findByCourse(courseCode);
+    const records = await StudentRecord.findByCourse(courseCode).where(recordScope.applyScope({}, scope));
     
     res.status(200).json({
       success: true,
@@ -135,8 +106,9 @@ exports.getRecordsByCourse = async (req, res) => {
 exports.getRecordsByStudent = async (req, res) => {
   try {
     const { studentId } = req.params;
+    const scope = await recordScope.loadScope(req.user);
     
-    const records = await StudentRecord.findByStudent(studentId);
+    const records = await StudentRecord.findByStudent(studentId).where(recordScope.applyScope({}, scope));
     
     res.status(200).json({
       success: true,
@@ -152,6 +124,90 @@ exports.getRecordsByStudent = async (req, res) => {
   }
 };
 
+/**
+ * Get the semester and cumulative GPA of a student
+ * @route GET /api/students/student/:studentId/gpa
+ */
+exports.getStudentGpa = async (req, res) => {
+  try {
+    const { studentId } = req.params;
+
+    const gpa = await gpaUtil.getStudentGpa(studentId);
+
+    if (gpa.terms.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No records found for this student'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: gpa
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error computing student GPA',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the academic transcript of a student
+ * Returns structured JSON by default, or a printable HTML document with ?format=html
+ * @route GET /api/students/student/:studentId/transcript
+ */
+exports.getTranscript = async (req, res) => {
+  try {
+    const { studentId } = req.params;
+    const format = (req.query.format || 'json').toLowerCase();
+
+    if (!['json', 'html'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be one of: json, html'
+      });
+    }
+
+    // Only final grades appear on the transcript
+    const records = await StudentRecord.findByStudent(studentId).where(gpaUtil.FINAL_GRADES).lean();
+
+    if (records.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No final grades found for this student'
+      });
+    }
+
+    const courses = await gpaUtil.loadCourses(records);
+    const scales = await gradingScale.loadScales();
+    const transcript = transcriptUtil.buildTranscript(studentId, records, gpaUtil.computeGpa(records, courses, scales));
+
+    await auditTrail.record(req, auditTrail.ACTIONS.TRANSCRIPT_GENERATE, {
+      targetType: 'Student',
+      targetId: studentId,
+      details: { format, courses: records.length }
+    });
+
+    if (format === 'html') {
+      return res.status(200).type('html').send(transcriptUtil.renderTranscriptHtml(transcript));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: transcript
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error generating transcript',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Get a specific student record by ID
  * @route GET /api/students/:id
@@ -168,6 +224,15 @@ exports.getRecordById = async (req, res) => {
         message: 'Student record not found'
       });
     }
+
+    const scope = await recordScope.loadScope(req.user);
+    if (!recordScope.inScope(scope, record)) {
+      const scopeError = recordScope.scopeError(record);
+      return res.status(scopeError.statusCode).json({
+        success: false,
+        message: scopeError.message
+      });
+    }
     
     res.status(200).json({
       success: true,
@@ -201,35 +266,88 @@ exports.createRecord = async (req, res) => {
       session 
     } = req.body;
 
-    // Check for existing record with same student and course
+    // Instructors can only enter grades for the courses assigned to them
+    const scope = await recordScope.loadScope(req.user);
+    if (!recordScope.inScope(scope, { courseCode })) {
+      const scopeError = recordScope.scopeError({ courseCode });
+      return res.status(scopeError.statusCode).json({
+        success: false,
+        message: scopeError.message
+      });
+    }
+
+    // Check for existing record with same student and course (including the trash)
     const existingRecord = await StudentRecord.findOne({
       studentId,
       courseCode
-    });
+    }).withDeleted();
 
     if (existingRecord) {
-      return res.status(400).json({
+      return res.status(existingRecord.deleted ? 409 : 400).json({
         success: false,
-        message: 'A record for this student and course already exists'
+        message: existingRecord.deleted ?
+          'A deleted record for this student and course is in the trash; restore it instead' :
+          'A record for this student and course already exists',
+        recordId: existingRecord.deleted ? existingRecord._id : undefined
       });
     }
 
     // Create new record with default values for missing fields
+    // New grades start as drafts until submitted for approval
     const record = new StudentRecord({
       studentId: studentId || '',
       studentName: studentName || '',
       courseCode: courseCode || '',
       courseName: courseName || '',
       grade: grade || '',
-      numericGrade: numericGrade !== undefined ? numericGrade : 70, // Default to 70 if missing
+      numericGrade: numericGrade !== undefined && numericGrade !== '' ? numericGrade : null,
       instructor: instructor || 'Unknown',
       yearCompleted: yearCompleted || new Date().getFullYear(),
       semester: semester || 'First',
-      session: session || ''
+      session: session || '',
+      status: 'draft',
+      statusChangedAt: new Date()
     });
 
+    // Link the instructor's account: an instructor entering a grade without
+    // an instructor name is its instructor; other names link through confirmed aliases
+    if (!instructor && req.user.userType === config.userRoles.INSTRUCTOR) {
+      record.instructor = req.user.name || req.user.username;
+      record.instructorUser = req.user.id;
+    } else {
+      record.instructorUser = await instructorNames.resolveInstructorUser(record.instructor);
+    }
+
+    // Derive or check the letter grade against the grading scale
+    const gradeCheck = await gradingScale.resolveGrade(record);
+    if (gradeCheck.error) {
+      return res.status(400).json({
+        success: false,
+        message: gradeCheck.error
+      });
+    }
+    record.grade = gradeCheck.grade;
+    record.gradeMismatch = gradeCheck.gradeMismatch;
+
+    // Refuse records in closed academic periods
+    const periodError = await academicPeriods.periodError(req, [record], { action: 'create' });
+    if (periodError) {
+      return res.status(periodError.statusCode).json({
+        success: false,
+        message: periodError.message
+      });
+    }
+
     await record.save();
 
+    await recordRevisions.recordRevision({ record, action: 'create' }, req.user);
+
+    await auditTrail.record(req, auditTrail.ACTIONS.RECORD_CREATE, {
+      targetType: 'StudentRecord',
+      targetId: record._id,
+      after: record
+    });
+
     res.status(201).json({
       success: true,
       message: 'Student record created successfully',
@@ -246,8 +364,9 @@ exports.createRecord = async (req, res) => {
 
 /**
  * Update a student record
+ * Drafts and returned records can be edited by anyone who enters grades;
+ * submitted and approved records only by chairmen and admins; locked records not at all.
  * @route PUT /api/students/:id
- * @access Chairman and Admin only
  */
 exports.updateRecord = async (req, res) => {
   try {
@@ -262,9 +381,7 @@ exports.updateRecord = async (req, res) => {
       instructor, 
       yearCompleted, 
       semester,
-      session,
-      updatedBy,
-      editedBy
+      session
     } = req.body;
 
     // Find record
@@ -277,6 +394,25 @@ exports.updateRecord = async (req, res) => {
       });
     }
 
+    const statusError = gradeWorkflow.editError(req.user, record);
+    if (statusError) {
+      return res.status(statusError.statusCode).json({
+        success: false,
+        message: statusError.message
+      });
+    }
+
+    // Instructors can only change records of, and move records to, the courses assigned to them
+    const scope = await recordScope.loadScope(req.user);
+    const target = courseCode ? { courseCode } : record;
+    if (!recordScope.inScope(scope, record) || !recordScope.inScope(scope, target)) {
+      const scopeError = recordScope.scopeError(recordScope.inScope(scope, record) ? target : record);
+      return res.status(scopeError.statusCode).json({
+        success: false,
+        message: scopeError.message
+      });
+    }
+
     // Check if updating studentId and courseCode would create a duplicate
     if (studentId && courseCode && 
         (studentId !== record.studentId || courseCode !== record.courseCode)) {
@@ -284,7 +420,7 @@ exports.updateRecord = async (req, res) => {
         studentId,
         courseCode,
         _id: { $ne: id } // Exclude current record from check
-      });
+      }).withDeleted(); // Trashed records still hold their student and course
 
       if (duplicateCheck) {
         return res.status(400).json({
@@ -294,6 +430,8 @@ exports.updateRecord = async (req, res) => {
       }
     }
 
+    const before = record.toObject();
+
     // Update record
     record.studentId = studentId || record.studentId;
     record.studentName = studentName || record.studentName;
@@ -305,19 +443,54 @@ exports.updateRecord = async (req, res) => {
     record.yearCompleted = yearCompleted || record.yearCompleted;
     record.semester = semester || record.semester;
     record.session = session || record.session;
-    
-    // Update the updatedBy field with the current user's information
-    if (updatedBy) {
-      record.updatedBy = updatedBy;
+
+    // A renamed instructor is relinked through confirmed aliases
+    if (record.instructor !== before.instructor) {
+      record.instructorUser = await instructorNames.resolveInstructorUser(record.instructor);
     }
+
+    // Derive or check the letter grade against the grading scale
+    // (a new numeric grade without a letter re-derives the letter)
+    if (numericGrade !== undefined && !grade) {
+      record.grade = '';
+    }
+    const gradeCheck = await gradingScale.resolveGrade(record);
+    if (gradeCheck.error) {
+      return res.status(400).json({
+        success: false,
+        message: gradeCheck.error
+      });
+    }
+    record.grade = gradeCheck.grade;
+    record.gradeMismatch = gradeCheck.gradeMismatch;
     
-    // Update the editedBy field with the current user's name
-    if (editedBy) {
-      record.editedBy = editedBy;
+    // Refuse changes to or into closed academic periods
+    const periodError = await academicPeriods.periodError(req, [before, record], {
+      action: 'update',
+      recordId: record._id
+    });
+    if (periodError) {
+      return res.status(periodError.statusCode).json({
+        success: false,
+        message: periodError.message
+      });
     }
+    
+    // Record who made the change from the authenticated session
+    record.updatedBy = req.user.id;
+    record.editedBy = req.user.name || req.user.username;
 
     await record.save();
 
+    await recordRevisions.recordRevision({ record, before, action: 'update' }, req.user);
+
+    await auditTrail.record(req, auditTrail.ACTIONS.RECORD_UPDATE, {
+      targetType: 'StudentRecord',
+      targetId: record._id,
+      before,
+      after: record
+    });
+
     res.status(200).json({
       success: true,
       message: 'Student record updated successfully',
@@ -341,7 +514,7 @@ exports.deleteRecord = async (req, res) => {
   try {
     const { id } = req.params;
 
-    const record = await StudentRecord.findByIdAndDelete(id);
+    const record = await StudentRecord.findById(id);
 
     if (!record) {
       return res.status(404).json({
@@ -350,9 +523,37 @@ exports.deleteRecord = async (req, res) => {
       });
     }
 
+    const statusError = gradeWorkflow.editError(req.user, record);
+    if (statusError) {
+      return res.status(statusError.statusCode).json({
+        success: false,
+        message: statusError.message
+      });
+    }
+
+    const periodError = await academicPeriods.periodError(req, [record], {
+      action: 'delete',
+      recordId: record._id
+    });
+    if (periodError) {
+      return res.status(periodError.statusCode).json({
+        success: false,
+        message: periodError.message
+      });
+    }
+
+    // Move the record to the trash; it can be restored until purged
+    await record.softDelete(req.user.id);
+
+    await auditTrail.record(req, auditTrail.ACTIONS.RECORD_DELETE, {
+      targetType: 'StudentRecord',
+      targetId: record._id,
+      details: { trashed: true, studentId: record.studentId, courseCode: record.courseCode }
+    });
+
     res.status(200).json({
       success: true,
-      message: 'Student record deleted successfully'
+      message: 'Student record moved to the trash'
     });
   } catch (error) {
     res.status(500).json({
@@ -362,3 +563,168 @@ exports.deleteRecord = async (req, res) => {
     });
   }
 };
+
+/**
+ * Get the revision history of a student record
+ * @route GET /api/students/:id/history
+ */
+exports.getRecordHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const record = await StudentRecord.findById(id);
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student record not found'
+      });
+    }
+
+    const scope = await recordScope.loadScope(req.user);
+    if (!recordScope.inScope(scope, record)) {
+      const scopeError = recordScope.scopeError(record);
+      return res.status(scopeError.statusCode).json({
+        success: false,
+        message: scopeError.message
+      });
+    }
+
+    const revisions = await RecordRevision.findByRecord(id)
+      .populate('changedBy', 'name username userType');
+
+    res.status(200).json({
+      success: true,
+      count: revisions.length,
+      data: revisions
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching student record history',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Revert a student record to the state stored in a prior revision
+ * @route POST /api/students/:id/revert/:revisionId
+ * @access Chairman and Admin only
+ */
+exports.revertRecord = async (req, res) => {
+  try {
+    const { id, revisionId } = req.params;
+
+    const record = await StudentRecord.findById(id);
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student record not found'
+      });
+    }
+
+    const statusError = gradeWorkflow.editError(req.user, record);
+    if (statusError) {
+      return res.status(statusError.statusCode).json({
+        success: false,
+        message: statusError.message
+      });
+    }
+
+    const revision = mongoose.Types.ObjectId.isValid(revisionId) ?
+      await RecordRevision.findOne({ _id: revisionId, record: record._id }) :
+      null;
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found for this student record'
+      });
+    }
+
+    const { studentId, courseCode } = revision.snapshot;
+
+    // Check if restoring studentId and courseCode would create a duplicate
+    if (studentId !== record.studentId || courseCode !== record.courseCode) {
+      const duplicateCheck = await StudentRecord.findOne({
+        studentId,
+        courseCode,
+        _id: { $ne: id }
+      }).withDeleted();
+
+      if (duplicateCheck) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot revert: a record for this student and course already exists'
+        });
+      }
+    }
+
+    const before = record.toObject();
+
+    recordRevisions.TRACKED_FIELDS.forEach(field => {
+      record[field] = revision.snapshot[field];
+    });
+
+    // A restored instructor name is relinked through confirmed aliases
+    if (record.instructor !== before.instructor) {
+      record.instructorUser = await instructorNames.resolveInstructorUser(record.instructor);
+    }
+
+    // Check the restored letter grade against the grading scale in effect now
+    const gradeCheck = await gradingScale.resolveGrade(record);
+    if (gradeCheck.error) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot revert: ${gradeCheck.error}`
+      });
+    }
+    record.grade = gradeCheck.grade;
+    record.gradeMismatch = gradeCheck.gradeMismatch;
+
+    const periodError = await academicPeriods.periodError(req, [before, record], {
+      action: 'revert',
+      recordId: record._id
+    });
+    if (periodError) {
+      return res.status(periodError.statusCode).json({
+        success: false,
+        message: periodError.message
+      });
+    }
+
+    record.updatedBy = req.user.id;
+    record.editedBy = req.user.name || req.user.username;
+
+    await record.save();
+
+    await recordRevisions.recordRevision({
+      record,
+      before,
+      action: 'revert',
+      revertedFrom: revision._id
+    }, req.user);
+
+    await auditTrail.record(req, auditTrail.ACTIONS.RECORD_REVERT, {
+      targetType: 'StudentRecord',
+      targetId: record._id,
+      before,
+      after: record,
+      details: { revisionId: revision._id, revision: revision.revision }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Student record reverted to revision ${revision.revision}`,
+      data: record
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error reverting student record',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,198 @@
+/**
+ * Submission Controller
+ * Handles the grade submission and approval workflow
+ */
+
+const mongoose = require('mongoose');
+const StudentRecord = require('../models/Student');
+const authMiddleware = require('../middleware/auth');
+const auditTrail = require('../utils/auditTrail');
+const gradeWorkflow = require('../utils/gradeWorkflow');
+const recordScope = require('../utils/recordScope');
+
+/**
+ * Get grade submissions grouped by course offering
+ * An offering is a course taught by an instructor in a year and semester.
+ * Defaults to offerings awaiting review (status=submitted).
+ * @route GET /api/submissions
+ * @access Chairman and Admin only
+ */
+exports.getSubmissions = async (req, res) => {
+  try {
+    const status = req.query.status || 'submitted';
+
+    if (!gradeWorkflow.STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${gradeWorkflow.STATUSES.join(', ')}`
+      });
+    }
+
+    const filter = { status: gradeWorkflow.statusCondition(status) };
+    if (req.query.courseCode) filter.courseCode = req.query.courseCode;
+    if (req.query.yearCompleted) filter.yearCompleted = parseInt(req.query.yearCompleted);
+    if (req.query.semester) filter.semester = req.query.semester;
+
+    const offerings = await StudentRecord.aggregate([
+      { $match: filter },
+      {
+        $group: {
+          _id: {
+            courseCode: '$courseCode',
+            yearCompleted: '$yearCompleted',
+            semester: '$semester',
+            instructor: '$instructor'
+          },
+          courseName: { $first: '$courseName' },
+          records: { $sum: 1 },
+          averageNumericGrade: { $avg: '$numericGrade' },
+          gradeMismatches: { $sum: { $cond: ['$gradeMismatch', 1, 0] } },
+          lastChangedAt: { $max: '$statusChangedAt' }
+        }
+      },
+      { $sort: { lastChangedAt: 1, '_id.courseCode': 1 } }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      status,
+      count: offerings.length,
+      data: offerings.map(({ _id, ...offering }) => ({ ..._id, ...offering }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching grade submissions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Move student records through the grade workflow
+ * Body: { action: submit|return|approve|lock|reopen, comment, and either
+ * recordIds or a course offering (courseCode, yearCompleted, semester, optional instructor) }.
+ * Every selected record must be in a status the action starts from; otherwise
+ * nothing is changed. Instructors can only select records of their assigned courses.
+ * @route POST /api/submissions/transition
+ */
+exports.transition = async (req, res) => {
+  try {
+    const { action, comment, recordIds, courseCode, yearCompleted, semester, instructor } = req.body;
+    const transition = gradeWorkflow.TRANSITIONS[action];
+
+    if (!transition) {
+      return res.status(400).json({
+        success: false,
+        message: `Action must be one of: ${Object.keys(gradeWorkflow.TRANSITIONS).join(', ')}`
+      });
+    }
+
+    if (!authMiddleware.hasPermission(req.user, transition.permission)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action'
+      });
+    }
+
+    if (transition.requiresComment && !(comment && String(comment).trim())) {
+      return res.status(400).json({
+        success: false,
+        message: `A comment is required to ${action} grades`
+      });
+    }
+
+    // Select the records by ID or by course offering
+    let filter;
+    if (Array.isArray(recordIds) && recordIds.length > 0) {
+      if (!recordIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'recordIds must be valid record IDs'
+        });
+      }
+      filter = { _id: { $in: recordIds } };
+    } else if (courseCode && yearCompleted && semester) {
+      filter = { courseCode, yearCompleted: parseInt(yearCompleted), semester };
+      if (instructor) filter.instructor = instructor;
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide recordIds, or courseCode, yearCompleted and semester of a course offering'
+      });
+    }
+
+    const scope = await recordScope.loadScope(req.user);
+    const records = await StudentRecord.find(recordScope.applyScope(filter, scope))
+      .select('studentId courseCode status');
+
+    if (records.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No student records found for this selection'
+      });
+    }
+
+    const invalid = records.filter(record => !transition.from.includes(gradeWorkflow.getStatus(record)));
+    if (invalid.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot ${action} records that are not ${transition.from.join(' or ')}`,
+        invalid: invalid.map(record => ({
+          id: record._id,
+          studentId: record.studentId,
+          courseCode: record.courseCode,
+          status: gradeWorkflow.getStatus(record)
+        }))
+      });
+    }
+
+    // Apply per starting status so each history entry records where the record came from
+    const now = new Date();
+    const byStatus = records.reduce((groups, record) => {
+      const from = gradeWorkflow.getStatus(record);
+      (groups[from] = groups[from] || []).push(record._id);
+      return groups;
+    }, {});
+
+    let modifiedCount = 0;
+    for (const [from, ids] of Object.entries(byStatus)) {
+      const result = await StudentRecord.updateMany(
+        { _id: { $in: ids }, status: gradeWorkflow.statusCondition(from) },
+        {
+          $set: { status: transition.to, statusChangedAt: now },
+          $push: { statusHistory: gradeWorkflow.historyEntry(action, from, req.user, comment) }
+        }
+      );
+      modifiedCount += result.modifiedCount;
+    }
+
+    await auditTrail.recordMany(req, records.map(record => ({
+      action: transition.action,
+      targetType: 'StudentRecord',
+      targetId: record._id,
+      details: {
+        studentId: record.studentId,
+        courseCode: record.courseCode,
+        from: gradeWorkflow.getStatus(record),
+        to: transition.to,
+        comment: comment || undefined
+      }
+    })));
+
+    res.status(200).json({
+      success: true,
+      message: `${modifiedCount} records moved to ${transition.to}`,
+      status: transition.to,
+      modifiedCount,
+      // Records changed by someone else between the check and the update
+      skippedCount: records.length - modifiedCount
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error changing grade status',
+      error: error.message
+    });
+  }
+};
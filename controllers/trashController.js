@@ -0,0 +1,343 @@
+/**
+ * Trash Controller
+ * Handles listing, restoring and purging deleted student records and users
+ */
+
+const mongoose = require('mongoose');
+const StudentRecord = require('../models/Student');
+const User = require('../models/User');
+const auditTrail = require('../utils/auditTrail');
+const academicPeriods = require('../utils/academicPeriods');
+const trash = require('../utils/trash');
+const backups = require('../utils/backups');
+
+/**
+ * Read pagination parameters
+ * @param {object} query - Request query
+ * @returns {object} - { page, limit, skip }
+ */
+const pagination = (query) => {
+  const page = parseInt(query.page) || 1;
+  const limit = parseInt(query.limit) || 20;
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+/**
+ * Get trashed student records
+ * Filter with studentId and courseCode.
+ * @route GET /api/trash/records
+ * @access Admin only
+ */
+exports.getTrashedRecords = async (req, res) => {
+  try {
+    const { page, limit, skip } = pagination(req.query);
+
+    const filter = { deleted: true };
+    if (req.query.studentId) filter.studentId = req.query.studentId;
+    if (req.query.courseCode) filter.courseCode = req.query.courseCode;
+
+    const records = await StudentRecord.find(filter)
+      .sort({ deletedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('deletedBy', 'name username');
+
+    const total = await StudentRecord.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      count: records.length,
+      total,
+      pagination: {
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      },
+      data: records.map(record => ({
+        ...record.toObject(),
+        purgeAt: trash.purgeDate(record.deletedAt)
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching trashed student records',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Restore a trashed student record
+ * @route POST /api/trash/records/:id/restore
+ * @access Admin only
+ */
+exports.restoreRecord = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const record = mongoose.Types.ObjectId.isValid(id) ?
+      await StudentRecord.findOne({ _id: id, deleted: true }) :
+      null;
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trashed student record not found'
+      });
+    }
+
+    const periodError = await academicPeriods.periodError(req, [record], {
+      action: 'restore',
+      recordId: record._id
+    });
+    if (periodError) {
+      return res.status(periodError.statusCode).json({
+        success: false,
+        message: periodError.message
+      });
+    }
+
+    await record.restore();
+
+    await auditTrail.record(req, auditTrail.ACTIONS.RECORD_RESTORE, {
+      targetType: 'StudentRecord',
+      targetId: record._id,
+      details: { studentId: record.studentId, courseCode: record.courseCode }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Student record restored successfully',
+      data: record
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring student record',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Restore several trashed student records
+ * Send recordIds, or the deletedAt returned by DELETE /api/students/all to
+ * restore every record that request deleted.
+ * @route POST /api/trash/records/restore
+ * @access Admin only
+ */
+exports.restoreRecords = async (req, res) => {
+  try {
+    const { recordIds, deletedAt } = req.body;
+    const filter = { deleted: true };
+
+    if (Array.isArray(recordIds) && recordIds.length > 0) {
+      if (!recordIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'recordIds must be valid record IDs'
+        });
+      }
+      filter._id = { $in: recordIds };
+    } else if (deletedAt && !isNaN(new Date(deletedAt).getTime())) {
+      filter.deletedAt = new Date(deletedAt);
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide recordIds or the deletedAt of a delete-all request'
+      });
+    }
+
+    // Restoring brings records back into their periods, so closed periods need an override
+    const records = await StudentRecord.find(filter).select('session semester yearCompleted').lean();
+
+    const periodError = await academicPeriods.periodError(req, records, {
+      action: 'restore',
+      recordCount: records.length
+    });
+    if (periodError) {
+      return res.status(periodError.statusCode).json({
+        success: false,
+        message: periodError.message
+      });
+    }
+
+    const result = await StudentRecord.updateMany(
+      { _id: { $in: records.map(record => record._id) }, deleted: true },
+      { $set: { deleted: false }, $unset: { deletedAt: 1, deletedBy: 1 } },
+      { timestamps: false }
+    );
+
+    await auditTrail.record(req, auditTrail.ACTIONS.RECORDS_RESTORE, {
+      targetType: 'StudentRecord',
+      details: { recordIds, deletedAt, restoredCount: result.modifiedCount }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${result.modifiedCount} student records restored`,
+      restoredCount: result.modifiedCount
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring student records',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get trashed users
+ * @route GET /api/trash/users
+ * @access Admin only
+ */
+exports.getTrashedUsers = async (req, res) => {
+  try {
+    const { page, limit, skip } = pagination(req.query);
+    const filter = { deleted: true };
+
+    const users = await User.find(filter)
+      .select('-password')
+      .sort({ deletedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('deletedBy', 'name username');
+
+    const total = await User.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      total,
+      pagination: {
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      },
+      data: users.map(user => ({
+        ...user.toObject(),
+        purgeAt: trash.purgeDate(user.deletedAt)
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching trashed users',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Restore a trashed user
+ * @route POST /api/trash/users/:id/restore
+ * @access Admin only
+ */
+exports.restoreUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = mongoose.Types.ObjectId.isValid(id) ?
+      await User.findOne({ _id: id, deleted: true }) :
+      null;
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trashed user not found'
+      });
+    }
+
+    await user.restore();
+
+    await auditTrail.record(req, auditTrail.ACTIONS.USER_RESTORE, {
+      targetType: 'User',
+      targetId: user._id,
+      details: { username: user.username }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'User restored successfully',
+      data: {
+        _id: user._id,
+        username: user.username,
+        userType: user.userType,
+        name: user.name,
+        email: user.email,
+        active: user.active
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring user',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Read whether a purge empties the whole trash
+ * @param {object} req - Express request
+ * @returns {{all: boolean}}
+ */
+exports.purgeParams = (req) => ({
+  all: req.query.all === 'true' || (req.body && req.body.all === true)
+});
+
+/**
+ * Summarize what a purge would delete (shown before it is confirmed)
+ * @param {object} req - Express request
+ * @returns {Promise<object>}
+ */
+exports.purgeImpact = async (req) => {
+  const { all } = exports.purgeParams(req);
+  const filter = all ? { deleted: true } : { deleted: true, deletedAt: { $lt: trash.retentionCutoff() } };
+
+  return {
+    all,
+    records: await StudentRecord.countDocuments(filter),
+    users: await User.countDocuments(filter)
+  };
+};
+
+/**
+ * Permanently delete trashed items past the retention period
+ * With all=true the whole trash is emptied. A backup snapshot is taken first.
+ * Requires two-step confirmation (see middleware/confirmation).
+ * @route POST /api/trash/purge
+ * @access Admin only
+ */
+exports.purgeTrash = async (req, res) => {
+  try {
+    const { all } = exports.purgeParams(req);
+
+    const snapshot = await backups.createBackup({
+      reason: 'snapshot',
+      collections: ['students', 'users'],
+      note: 'Before purging the trash',
+      user: req.user
+    });
+
+    const result = await trash.purge({ all });
+
+    await auditTrail.record(req, auditTrail.ACTIONS.TRASH_PURGE, {
+      details: { ...result, all, snapshot: snapshot.id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Permanently deleted ${result.records} student records and ${result.users} users`,
+      data: { ...result, snapshot: snapshot.id }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error purging trash',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,286 @@
+/**
+ * Two-Factor Controller
+ * Handles enrollment in and management of TOTP two-factor authentication
+ */
+
+const User = require('../models/User');
+const cryptoUtil = require('../utils/crypto');
+const auditTrail = require('../utils/auditTrail');
+const sessions = require('../utils/sessions');
+const twoFactor = require('../utils/twoFactor');
+
+/**
+ * Load the current user with their two-factor secrets
+ * @param {object} req - Express request
+ * @returns {Promise<object|null>}
+ */
+const findCurrentUser = (req) => User.findById(req.user.id).select(twoFactor.SECRET_FIELDS);
+
+/**
+ * Send a 404 response for a missing user
+ */
+const userNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    message: 'User not found'
+  });
+};
+
+/**
+ * Get the current user's two-factor status
+ * @route GET /api/auth/2fa
+ */
+exports.getStatus = async (req, res) => {
+  try {
+    const user = await findCurrentUser(req);
+    if (!user) return userNotFound(res);
+
+    res.status(200).json({
+      success: true,
+      data: twoFactor.status(user)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching two-factor status',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Start enrolling in two-factor authentication
+ * Returns the secret as an otpauth:// URI and a QR code for the authenticator
+ * app; enrollment completes once a code is confirmed via /2fa/enable.
+ * @route POST /api/auth/2fa/setup
+ */
+exports.setup = async (req, res) => {
+  try {
+    const user = await findCurrentUser(req);
+    if (!user) return userNotFound(res);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const data = await twoFactor.startSetup(user);
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm a code to enable two-factor authentication',
+      data
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error starting two-factor setup',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Enable two-factor authentication by confirming a code from the new secret
+ * Returns the recovery codes; they are not shown again.
+ * @route POST /api/auth/2fa/enable
+ */
+exports.enable = async (req, res) => {
+  try {
+    const user = await findCurrentUser(req);
+    if (!user) return userNotFound(res);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const recoveryCodes = twoFactor.confirmSetup(user, req.body.code);
+
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    await user.save();
+
+    req.session.user = { ...req.session.user, twoFactorSetupRequired: false };
+
+    await auditTrail.record(req, auditTrail.ACTIONS.TWO_FACTOR_ENABLE, {
+      targetType: 'User',
+      targetId: user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled; store your recovery codes somewhere safe',
+      data: {
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error enabling two-factor authentication',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Disable two-factor authentication
+ * Requires the current password and a code; not allowed where the role requires it.
+ * @route POST /api/auth/2fa/disable
+ */
+exports.disable = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    const user = await findCurrentUser(req);
+    if (!user) return userNotFound(res);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (twoFactor.isRequired(user)) {
+      return res.status(403).json({
+        success: false,
+        message: `Two-factor authentication is required for ${user.userType} accounts`
+      });
+    }
+
+    if (!password || !cryptoUtil.verifyPassword(password, user.password.hash, user.password.salt) ||
+        !twoFactor.verifyCode(user, code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password or verification code is incorrect'
+      });
+    }
+
+    twoFactor.disable(user);
+    await user.save();
+
+    await auditTrail.record(req, auditTrail.ACTIONS.TWO_FACTOR_DISABLE, {
+      targetType: 'User',
+      targetId: user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error disabling two-factor authentication',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Replace the current user's recovery codes
+ * Requires a code from the authenticator app; earlier recovery codes stop working.
+ * @route POST /api/auth/2fa/recovery-codes
+ */
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await findCurrentUser(req);
+    if (!user) return userNotFound(res);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!twoFactor.verifyCode(user, req.body.code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const { codes, hashes } = twoFactor.generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save();
+
+    await auditTrail.record(req, auditTrail.ACTIONS.TWO_FACTOR_RECOVERY_CODES, {
+      targetType: 'User',
+      targetId: user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'New recovery codes generated; earlier codes no longer work',
+      data: {
+        recoveryCodes: codes
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error generating recovery codes',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Reset a user's two-factor authentication (e.g. a lost phone)
+ * The user is logged out everywhere and enrolls again after their next login
+ * if their role requires it.
+ * @route DELETE /api/users/:id/2fa
+ * @access Admin only
+ */
+exports.resetUserTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select(twoFactor.SECRET_FIELDS);
+    if (!user) return userNotFound(res);
+
+    const wasEnabled = !!user.twoFactor.enabled;
+
+    twoFactor.disable(user);
+    await user.save();
+
+    const revokedSessions = await sessions.revokeUserSessions(user._id);
+
+    await auditTrail.record(req, auditTrail.ACTIONS.TWO_FACTOR_RESET, {
+      targetType: 'User',
+      targetId: user._id,
+      details: { username: user.username, wasEnabled, revokedSessions }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: wasEnabled ?
+        'Two-factor authentication reset successfully' :
+        'Two-factor authentication was not enabled; pending setup cleared'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting two-factor authentication',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,201 @@
+/**
+ * Upload Batch Controller
+ * Handles listing, committing and undoing bulk upload batches
+ */
+
+const UploadBatch = require('../models/UploadBatch');
+const authMiddleware = require('../middleware/auth');
+const auditTrail = require('../utils/auditTrail');
+const uploadBatches = require('../utils/uploadBatches');
+
+/**
+ * Check whether the user may act on a batch (its uploader, or a chairman or admin)
+ * @param {object} user - Authenticated user
+ * @param {object} batch - UploadBatch document
+ * @returns {boolean}
+ */
+const canAccessBatch = (user, batch) => {
+  return String(batch.createdBy) === String(user.id) || authMiddleware.hasPermission(user, 'records:write');
+};
+
+/**
+ * Load a batch the user may act on, or send the error response
+ * @returns {Promise<object|null>}
+ */
+const findAccessibleBatch = async (req, res) => {
+  const batch = await UploadBatch.findById(req.params.batchId);
+
+  if (!batch) {
+    res.status(404).json({
+      success: false,
+      message: 'Upload batch not found'
+    });
+    return null;
+  }
+
+  if (!canAccessBatch(req.user, batch)) {
+    res.status(403).json({
+      success: false,
+      message: 'You do not have permission to perform this action'
+    });
+    return null;
+  }
+
+  return batch;
+};
+
+/**
+ * Get upload batches (without their rows)
+ * Instructors see their own batches; chairmen and admins see all batches.
+ * @route GET /api/uploads
+ */
+exports.getBatches = async (req, res) => {
+  try {
+    // Pagination
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    // Filtering
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (!authMiddleware.hasPermission(req.user, 'records:write')) {
+      filter.createdBy = req.user.id;
+    }
+
+    const batches = await UploadBatch.find(filter)
+      .select('-rows')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('createdBy', 'name username');
+
+    const total = await UploadBatch.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      count: batches.length,
+      total,
+      pagination: {
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      },
+      data: batches
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching upload batches',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get an upload batch with its per-row results
+ * @route GET /api/uploads/:batchId
+ */
+exports.getBatch = async (req, res) => {
+  try {
+    const batch = await findAccessibleBatch(req, res);
+    if (!batch) return;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        _id: batch._id,
+        status: batch.status,
+        source: batch.source,
+        summary: batch.summary,
+        createdBy: batch.createdBy,
+        createdAt: batch.createdAt,
+        committedAt: batch.committedAt,
+        undoneAt: batch.undoneAt,
+        expiresAt: batch.expiresAt,
+        results: uploadBatches.toResults(batch)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching upload batch',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Commit a previewed upload batch atomically
+ * @route POST /api/uploads/:batchId/commit
+ */
+exports.commitBatch = async (req, res) => {
+  try {
+    const batch = await findAccessibleBatch(req, res);
+    if (!batch) return;
+
+    const skipRejected = req.body.skipRejected === true || req.body.skipRejected === 'true';
+    await uploadBatches.commitBatch(batch, req, { skipRejected });
+
+    const { create, update, unchanged, reject } = batch.summary;
+
+    res.status(200).json({
+      success: true,
+      message: `Committed batch: ${create} created, ${update} updated, ${unchanged} unchanged, ${reject} skipped`,
+      batchId: batch._id,
+      status: batch.status,
+      results: uploadBatches.toResults(batch)
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error committing upload batch',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Undo a committed upload batch, or discard a preview
+ * Pass force=true to undo rows that were edited after the upload.
+ * @route DELETE /api/uploads/:batchId
+ */
+exports.deleteBatch = async (req, res) => {
+  try {
+    const batch = await findAccessibleBatch(req, res);
+    if (!batch) return;
+
+    if (batch.status === 'preview') {
+      await batch.deleteOne();
+
+      await auditTrail.record(req, auditTrail.ACTIONS.UPLOAD_BATCH_DISCARD, {
+        targetType: 'UploadBatch',
+        targetId: batch._id
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Upload preview discarded'
+      });
+    }
+
+    const force = req.query.force === 'true';
+    const result = await uploadBatches.undoBatch(batch, req, { force });
+
+    res.status(200).json({
+      success: true,
+      message: `Undid batch: ${result.deletedCount} created records removed, ${result.restoredCount} updated records restored`,
+      batchId: batch._id,
+      status: batch.status,
+      deletedCount: result.deletedCount,
+      restoredCount: result.restoredCount,
+      skipped: result.skipped
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error undoing upload batch',
+      error: error.message
+    });
+  }
+};
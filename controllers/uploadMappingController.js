@@ -0,0 +1,264 @@
+/**
+ * Upload Mapping Controller
+ * Handles CRUD operations for saved spreadsheet column-mapping profiles
+ */
+
+const UploadMapping = require('../models/UploadMapping');
+const auditTrail = require('../utils/auditTrail');
+const spreadsheetImport = require('../utils/spreadsheetImport');
+
+/**
+ * Check that a column mapping only names known record fields
+ * @param {object} columns - Header name keyed by field
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validateColumns = (columns) => {
+  if (!columns || typeof columns !== 'object' || Array.isArray(columns)) {
+    return 'Columns must be an object of header names keyed by field';
+  }
+
+  const unknown = Object.keys(columns).filter(field => !spreadsheetImport.HEADER_SYNONYMS[field]);
+  if (unknown.length > 0) {
+    return `Unknown fields: ${unknown.join(', ')}`;
+  }
+
+  const missing = spreadsheetImport.REQUIRED_FIELDS.filter(field => !columns[field]);
+  if (missing.length > 0) {
+    return `Required fields not mapped: ${missing.join(', ')}`;
+  }
+
+  return null;
+};
+
+/**
+ * Get the record fields that can be mapped and the headers detected automatically
+ * @route GET /api/upload-mappings/fields
+ */
+exports.getFields = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      fields: Object.keys(spreadsheetImport.HEADER_SYNONYMS),
+      required: spreadsheetImport.REQUIRED_FIELDS,
+      synonyms: spreadsheetImport.HEADER_SYNONYMS
+    }
+  });
+};
+
+/**
+ * Get all upload mappings
+ * @route GET /api/upload-mappings
+ */
+exports.getAllMappings = async (req, res) => {
+  try {
+    const mappings = await UploadMapping.find()
+      .sort({ name: 1 })
+      .populate('createdBy', 'name username');
+
+    res.status(200).json({
+      success: true,
+      count: mappings.length,
+      data: mappings
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching upload mappings',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a specific upload mapping by ID
+ * @route GET /api/upload-mappings/:id
+ */
+exports.getMappingById = async (req, res) => {
+  try {
+    const mapping = await UploadMapping.findById(req.params.id);
+
+    if (!mapping) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload mapping not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: mapping
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching upload mapping',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create a new upload mapping
+ * @route POST /api/upload-mappings
+ * @access Chairman and Admin only
+ */
+exports.createMapping = async (req, res) => {
+  try {
+    const { name, description, columns } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Mapping name is required'
+      });
+    }
+
+    const columnsError = validateColumns(columns);
+    if (columnsError) {
+      return res.status(400).json({
+        success: false,
+        message: columnsError
+      });
+    }
+
+    const existingMapping = await UploadMapping.findOne({ name });
+
+    if (existingMapping) {
+      return res.status(400).json({
+        success: false,
+        message: 'An upload mapping with this name already exists'
+      });
+    }
+
+    const mapping = new UploadMapping({
+      name,
+      description,
+      columns,
+      createdBy: req.user.id
+    });
+
+    await mapping.save();
+
+    await auditTrail.record(req, auditTrail.ACTIONS.UPLOAD_MAPPING_CREATE, {
+      targetType: 'UploadMapping',
+      targetId: mapping._id,
+      after: mapping
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Upload mapping created successfully',
+      data: mapping
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error creating upload mapping',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update an upload mapping
+ * @route PUT /api/upload-mappings/:id
+ * @access Chairman and Admin only
+ */
+exports.updateMapping = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, description, columns } = req.body;
+
+    const mapping = await UploadMapping.findById(id);
+
+    if (!mapping) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload mapping not found'
+      });
+    }
+
+    if (columns) {
+      const columnsError = validateColumns(columns);
+      if (columnsError) {
+        return res.status(400).json({
+          success: false,
+          message: columnsError
+        });
+      }
+    }
+
+    if (name && name !== mapping.name) {
+      const duplicateCheck = await UploadMapping.findOne({ name, _id: { $ne: id } });
+
+      if (duplicateCheck) {
+        return res.status(400).json({
+          success: false,
+          message: 'An upload mapping with this name already exists'
+        });
+      }
+    }
+
+    const before = mapping.toObject();
+
+    if (name) mapping.name = name;
+    if (description !== undefined) mapping.description = description;
+    if (columns) mapping.columns = columns;
+
+    await mapping.save();
+
+    await auditTrail.record(req, auditTrail.ACTIONS.UPLOAD_MAPPING_UPDATE, {
+      targetType: 'UploadMapping',
+      targetId: mapping._id,
+      before,
+      after: mapping
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Upload mapping updated successfully',
+      data: mapping
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating upload mapping',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete an upload mapping
+ * @route DELETE /api/upload-mappings/:id
+ * @access Chairman and Admin only
+ */
+exports.deleteMapping = async (req, res) => {
+  try {
+    const mapping = await UploadMapping.findByIdAndDelete(req.params.id);
+
+    if (!mapping) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload mapping not found'
+      });
+    }
+
+    await auditTrail.record(req, auditTrail.ACTIONS.UPLOAD_MAPPING_DELETE, {
+      targetType: 'UploadMapping',
+      targetId: mapping._id,
+      before: mapping
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Upload mapping deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting upload mapping',
+      error: error.message
+    });
+  }
+};
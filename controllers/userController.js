@@ -6,6 +6,10 @@
 const User = require('../models/User');
 const cryptoUtil = require('../utils/crypto');
 const config = require('../config/config');
+const auditTrail = require('../utils/auditTrail');
+const loginThrottle = require('../utils/loginThrottle');
+const passwordReset = require('../utils/passwordReset');
+const sessions = require('../utils/sessions');
 
 /**
  * Get all users
@@ -94,15 +98,17 @@ exports.createUser = async (req, res) => {
   try {
     const { username, password, userType, name, email } = req.body;
 
-    // Check if user already exists
+    // Check if user already exists (trashed users keep their username and email)
     const existingUser = await User.findOne({ 
       $or: [{ username }, { email }] 
-    });
+    }).withDeleted();
 
     if (existingUser) {
       return res.status(400).json({
         success: false,
-        message: 'Username or email already in use'
+        message: existingUser.deleted ?
+          'Username or email belongs to a deleted user in the trash' :
+          'Username or email already in use'
       });
     }
 
@@ -120,6 +126,12 @@ exports.createUser = async (req, res) => {
 
     await user.save();
 
+    await auditTrail.record(req, auditTrail.ACTIONS.USER_CREATE, {
+      targetType: 'User',
+      targetId: user._id,
+      after: user
+    });
+
     // Return success without password data
     res.status(201).json({
       success: true,
@@ -166,7 +178,7 @@ exports.updateUser = async (req, res) => {
       const duplicateUsername = await User.findOne({
         username,
         _id: { $ne: id }
-      });
+      }).withDeleted();
 
       if (duplicateUsername) {
         return res.status(400).json({
@@ -180,7 +192,7 @@ exports.updateUser = async (req, res) => {
       const duplicateEmail = await User.findOne({
         email,
         _id: { $ne: id }
-      });
+      }).withDeleted();
 
       if (duplicateEmail) {
         return res.status(400).json({
@@ -190,6 +202,8 @@ exports.updateUser = async (req, res) => {
       }
     }
 
+    const before = user.toObject();
+
     // Update user
     if (username) user.username = username;
     if (userType) user.userType = userType;
@@ -199,6 +213,19 @@ exports.updateUser = async (req, res) => {
 
     await user.save();
 
+    // A deactivated user is logged out everywhere
+    const revokedSessions = before.active && !user.active ?
+      await sessions.revokeUserSessions(user._id) :
+      0;
+
+    await auditTrail.record(req, auditTrail.ACTIONS.USER_UPDATE, {
+      targetType: 'User',
+      targetId: user._id,
+      before,
+      after: user,
+      details: revokedSessions ? { revokedSessions } : undefined
+    });
+
     res.status(200).json({
       success: true,
       message: 'User updated successfully',
@@ -228,7 +255,7 @@ exports.updateUser = async (req, res) => {
 exports.changePassword = async (req, res) => {
   try {
     const { id } = req.params;
-    const { password } = req.body;
+    const { currentPassword, password } = req.body;
 
     // Find user
     let user = await User.findById(id);
@@ -240,12 +267,36 @@ exports.changePassword = async (req, res) => {
       });
     }
 
-    // Encrypt new password
-    const { salt, hash } = cryptoUtil.encryptPassword(password);
-    user.password = { salt, hash };
+    // Users changing their own password must confirm the current one
+    const isSelf = String(user._id) === String(req.user.id);
+
+    if (isSelf && (!currentPassword || !cryptoUtil.verifyPassword(currentPassword, user.password.hash, user.password.salt))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    // A password set by an admin for someone else must be changed after their next login
+    passwordReset.setPassword(user, password, { mustChange: !isSelf });
 
     await user.save();
 
+    if (isSelf && req.session && req.session.user) {
+      req.session.user = { ...req.session.user, mustChangePassword: false };
+    }
+
+    // Log the user out everywhere (except their own current session)
+    const revokedSessions = await sessions.revokeUserSessions(user._id, {
+      exceptSessionId: isSelf && !req.user.tokenId ? req.sessionID : undefined
+    });
+
+    await auditTrail.record(req, auditTrail.ACTIONS.PASSWORD_CHANGE, {
+      targetType: 'User',
+      targetId: user._id,
+      details: { revokedSessions }
+    });
+
     res.status(200).json({
       success: true,
       message: 'Password changed successfully'
@@ -260,7 +311,49 @@ exports.changePassword = async (req, res) => {
 };
 
 /**
- * Reset user password (generate a temporary password)
+ * Unlock an account locked after failed login attempts
+ * @route POST /api/users/:id/unlock
+ * @access Admin only
+ */
+exports.unlockUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const wasLocked = user.isLocked();
+
+    loginThrottle.resetAccount(user);
+    await user.save();
+
+    await auditTrail.record(req, auditTrail.ACTIONS.ACCOUNT_UNLOCKED, {
+      targetType: 'User',
+      targetId: user._id,
+      details: { username: user.username, wasLocked }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: wasLocked ? 'Account unlocked successfully' : 'Account was not locked; failed login attempts cleared'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error unlocking user',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Reset user password
+ * Emails the user a single-use reset link and makes them choose a new
+ * password after their next login. No password is returned.
  * @route POST /api/users/:id/reset-password
  * @access Admin only
  */
@@ -278,20 +371,28 @@ exports.resetPassword = async (req, res) => {
       });
     }
 
-    // Generate temporary password
-    const tempPassword = Math.random().toString(36).slice(-8);
-    
-    // Encrypt new password
-    const { salt, hash } = cryptoUtil.encryptPassword(tempPassword);
-    user.password = { salt, hash };
+    const resetToken = await passwordReset.issueResetToken(user, {
+      purpose: 'admin',
+      requestedBy: req.user.id,
+      requestIp: auditTrail.getClientIp(req)
+    });
 
+    user.mustChangePassword = true;
     await user.save();
 
+    const revokedSessions = await sessions.revokeUserSessions(user._id);
+
+    await auditTrail.record(req, auditTrail.ACTIONS.PASSWORD_RESET, {
+      targetType: 'User',
+      targetId: user._id,
+      details: { via: 'admin', expiresAt: resetToken.expiresAt, revokedSessions }
+    });
+
     res.status(200).json({
       success: true,
-      message: 'Password reset successfully',
+      message: `Password reset link sent to ${user.email}`,
       data: {
-        temporaryPassword: tempPassword
+        expiresAt: resetToken.expiresAt
       }
     });
   } catch (error) {
@@ -312,7 +413,7 @@ exports.deleteUser = async (req, res) => {
   try {
     const { id } = req.params;
 
-    const user = await User.findByIdAndDelete(id);
+    const user = await User.findById(id);
 
     if (!user) {
       return res.status(404).json({
@@ -321,9 +422,20 @@ exports.deleteUser = async (req, res) => {
       });
     }
 
+    // Move the user to the trash and log them out. Trashed users cannot log in
+    // or use their API tokens; course assignments and tokens are removed on purge.
+    await user.softDelete(req.user.id);
+    await sessions.revokeUserSessions(user._id);
+
+    await auditTrail.record(req, auditTrail.ACTIONS.USER_DELETE, {
+      targetType: 'User',
+      targetId: user._id,
+      details: { trashed: true, username: user.username }
+    });
+
     res.status(200).json({
       success: true,
-      message: 'User deleted successfully'
+      message: 'User moved to the trash'
     });
   } catch (error) {
     res.status(500).json({
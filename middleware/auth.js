@@ -1,61 +1,266 @@
 /**
  * Authentication Middleware
- * Provides route protection based on authentication and user roles
+ * Provides route protection based on authentication and user roles.
+ * The acting user is only ever taken from the server-side session or a
+ * personal API token; client-supplied userType headers, body or query
+ * fields are ignored.
  */
 
 const config = require('../config/config');
+const User = require('../models/User');
+const sessions = require('../utils/sessions');
+const apiTokens = require('../utils/apiTokens');
+const auditTrail = require('../utils/auditTrail');
 
-// Check if user can edit records (chairman or admin)
-exports.canEditRecords = (req, res, next) => {
-  // First check if we have a user in the session
-  if (req.session && req.session.user && 
-      (req.session.user.userType === 'chairman' || req.session.user.userType === 'admin')) {
+/**
+ * Get the authenticated user for a request
+ * @param {object} req - Express request
+ * @returns {object|null} - Session user or null when not authenticated
+ */
+const getCurrentUser = (req) => {
+  return req.user || null;
+};
+
+/**
+ * Check whether a user holds a permission
+ * Users authenticated with an API token are further limited to the token's scopes.
+ * @param {object} user - Authenticated user (must have userType)
+ * @param {string} permission - Permission name from config.permissions
+ * @returns {boolean}
+ */
+const hasPermission = (user, permission) => {
+  if (!user || !user.userType) return false;
+
+  const allowedRoles = config.permissions[permission];
+  if (!allowedRoles) return false;
+
+  if (user.tokenScopes && !user.tokenScopes.includes(permission)) return false;
+
+  return allowedRoles.includes(user.userType);
+};
+
+/**
+ * Send a 401 response
+ */
+const unauthorized = (res) => {
+  return res.status(401).json({
+    success: false,
+    message: 'Authentication required'
+  });
+};
+
+/**
+ * Send a 403 response
+ */
+const forbidden = (res, message = 'You do not have permission to perform this action') => {
+  return res.status(403).json({
+    success: false,
+    message
+  });
+};
+
+// Auth routes open to users held until they change their password or set up two-factor authentication
+const SETUP_ROUTES = [
+  'GET /profile',
+  'POST /logout',
+  'POST /change-password',
+  'POST /2fa/setup',
+  'POST /2fa/enable'
+];
+
+/**
+ * Check whether a request is for one of the SETUP_ROUTES
+ * @param {object} req - Express request
+ * @returns {boolean}
+ */
+const isSetupRoute = (req) => {
+  const path = req.path.replace(/\/+$/, '').toLowerCase();
+  const prefix = config.endpoints.auth.toLowerCase();
+
+  return path.startsWith(`${prefix}/`) && SETUP_ROUTES.includes(`${req.method} ${path.slice(prefix.length)}`);
+};
+
+/**
+ * Get the session user, checked against the database
+ * A session whose user has since been deactivated, deleted or given another
+ * role is logged out, so the change takes effect at once rather than when
+ * the session expires.
+ * @param {object} req - Express request
+ * @returns {Promise<object|null>}
+ */
+const loadSessionUser = async (req) => {
+  const sessionUser = req.session && req.session.user;
+  if (!sessionUser) return null;
+
+  const user = await User.findById(sessionUser.id).select('userType active');
+
+  if (!user || !user.active || user.userType !== sessionUser.userType) {
+    delete req.session.user;
+    return null;
+  }
+
+  return sessionUser;
+};
+
+/**
+ * Resolve the current user from the session or an
+ * "Authorization: Bearer <token>" header and attach it to the request
+ * An invalid token is rejected rather than treated as anonymous.
+ */
+exports.authenticate = async (req, res, next) => {
+  const token = apiTokens.bearerToken(req);
+
+  try {
+    req.user = token ?
+      await apiTokens.resolveToken(token, auditTrail.getClientIp(req)) :
+      await loadSessionUser(req);
+  } catch (error) {
+    return next(error);
+  }
+
+  if (!token) {
+    sessions.touchSession(req);
     return next();
   }
-  
-  // If no session, try to get user info from request body or query
-  const userType = req.body.userType || req.query.userType || (req.body.updatedBy ? 'chairman' : null);
-  
-  // Allow chairman and admin to edit records
-  if (userType === 'chairman' || userType === 'admin') {
+
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired API token'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Hold users who must change their password to the auth routes in
+ * SETUP_ROUTES until they have done so
+ */
+exports.enforcePasswordChange = (req, res, next) => {
+  const user = getCurrentUser(req);
+
+  if (!user || !user.mustChangePassword || isSetupRoute(req)) {
     return next();
   }
-  
+
   return res.status(403).json({
     success: false,
-    message: 'You do not have permission to edit records'
+    message: 'You must change your password before continuing',
+    mustChangePassword: true
   });
 };
 
-// Check if user is an admin
-exports.isAdmin = (req, res, next) => {
-  try {
-    // First check if we have a user in the session
-    if (req.session && req.session.user && req.session.user.userType === 'admin') {
-      return next();
+/**
+ * Hold users whose role requires two-factor authentication to the auth
+ * routes needed to enroll (see SETUP_ROUTES) until they have done so
+ */
+exports.enforceTwoFactorSetup = (req, res, next) => {
+  const user = getCurrentUser(req);
+
+  if (!user || !user.twoFactorSetupRequired || isSetupRoute(req)) {
+    return next();
+  }
+
+  return res.status(403).json({
+    success: false,
+    message: 'You must set up two-factor authentication before continuing',
+    twoFactorSetupRequired: true
+  });
+};
+
+// Require a user logged in with a session (not an API token)
+exports.requireSession = (req, res, next) => {
+  const user = getCurrentUser(req);
+
+  if (!user) {
+    return unauthorized(res);
+  }
+
+  if (user.tokenId) {
+    return forbidden(res, 'This action requires logging in; it is not available to API tokens');
+  }
+
+  next();
+};
+
+// Require an authenticated user
+exports.requireAuth = (req, res, next) => {
+  if (!getCurrentUser(req)) {
+    return unauthorized(res);
+  }
+  next();
+};
+
+/**
+ * Require all of the given permissions
+ * @param {...string} permissions - Permission names from config.permissions
+ * @returns {Function} - Express middleware
+ */
+exports.requirePermission = (...permissions) => {
+  permissions.forEach(permission => {
+    if (!config.permissions[permission]) {
+      throw new Error(`Unknown permission: ${permission}`);
+    }
+  });
+
+  return (req, res, next) => {
+    const user = getCurrentUser(req);
+
+    if (!user) {
+      return unauthorized(res);
+    }
+
+    if (!permissions.every(permission => hasPermission(user, permission))) {
+      return forbidden(res);
     }
-    
-    // If no session, try to get user info from request headers, body, or query
-    const userType = req.headers['user-type'] || req.body.userType || req.query.userType;
-    
-    console.log('Auth middleware - userType from headers:', req.headers['user-type']);
-    console.log('Auth middleware - all headers:', req.headers);
-    
-    // Allow only admin
-    if (userType === 'admin') {
+
+    next();
+  };
+};
+
+/**
+ * Allow the user identified by req.params[param] or anyone holding the permission
+ * API tokens always need the permission in their scopes, even for their owner.
+ * @param {string} permission - Permission name from config.permissions
+ * @param {string} param - Route parameter holding the target user ID
+ * @returns {Function} - Express middleware
+ */
+exports.requireSelfOrPermission = (permission, param = 'id') => {
+  return (req, res, next) => {
+    const user = getCurrentUser(req);
+
+    if (!user) {
+      return unauthorized(res);
+    }
+
+    const isSelf = !user.tokenId && String(user.id) === String(req.params[param]);
+
+    if (isSelf || hasPermission(user, permission)) {
       return next();
     }
-    
-    return res.status(403).json({
-      success: false,
-      message: 'Admin access required'
-    });
-  } catch (error) {
-    console.error('Error in isAdmin middleware:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Internal server error in authentication',
-      error: error.message
-    });
+
+    return forbidden(res);
+  };
+};
+
+// Check if user can edit records (chairman or admin)
+exports.canEditRecords = exports.requirePermission('records:write');
+
+// Check if user is an admin
+exports.isAdmin = (req, res, next) => {
+  const user = getCurrentUser(req);
+
+  if (!user) {
+    return unauthorized(res);
   }
+
+  if (user.userType !== config.userRoles.ADMIN) {
+    return forbidden(res, 'Admin access required');
+  }
+
+  next();
 };
+
+exports.getCurrentUser = getCurrentUser;
+exports.hasPermission = hasPermission;
@@ -0,0 +1,145 @@
+/**
+ * Confirmation Middleware
+ * Two-step confirmation for destructive operations.
+ *
+ * The first request (without a confirmation token) performs nothing: it
+ * returns an impact summary, the phrase to type and a short-lived token.
+ * The operation only runs when the same request is repeated with
+ * confirmationToken and confirmationPhrase (in the body, or the
+ * X-Confirmation-Token and X-Confirmation-Phrase headers).
+ */
+
+const PendingConfirmation = require('../models/PendingConfirmation');
+const config = require('../config/config');
+const cryptoUtil = require('../utils/crypto');
+const auditTrail = require('../utils/auditTrail');
+
+/**
+ * Read a confirmation field from the body or its header
+ * @param {object} req - Express request
+ * @param {string} field - Body field
+ * @param {string} header - Header name
+ * @returns {string|undefined}
+ */
+const readField = (req, field, header) => {
+  const value = (req.body && req.body[field]) || req.headers[header];
+  return value === undefined ? undefined : String(value);
+};
+
+/**
+ * Compare the parameters of the confirming request with the confirmed ones
+ * @param {object} confirmed - Parameters stored with the token
+ * @param {object} current - Parameters of the current request
+ * @returns {boolean}
+ */
+const sameParams = (confirmed, current) => JSON.stringify(confirmed || {}) === JSON.stringify(current || {});
+
+/**
+ * Require two-step confirmation before running the next handler
+ * @param {object} options
+ * @param {string} options.action - Operation name (e.g. 'records:delete-all')
+ * @param {string|Function} options.phrase - Phrase to type, or (req) => phrase
+ * @param {Function} options.summarize - async (req) => impact summary shown before confirming
+ * @param {Function} [options.params] - (req) => parameters the confirmation is bound to
+ * @param {Function} [options.skip] - (req) => true when the request needs no confirmation (e.g. a dry run)
+ * @returns {Function} - Express middleware
+ */
+exports.requireConfirmation = ({ action, phrase, summarize, params = () => ({}), skip }) => {
+  return async (req, res, next) => {
+    try {
+      if (skip && skip(req)) return next();
+
+      const token = readField(req, 'confirmationToken', 'x-confirmation-token');
+      const requestParams = params(req);
+
+      // First step: describe the impact and issue a token
+      if (!token) {
+        const summary = await summarize(req);
+        const expectedPhrase = typeof phrase === 'function' ? phrase(req) : phrase;
+        const confirmationToken = cryptoUtil.generateToken(16);
+
+        const pending = await PendingConfirmation.create({
+          tokenHash: cryptoUtil.hashToken(confirmationToken),
+          action,
+          user: req.user.id,
+          params: requestParams,
+          phrase: expectedPhrase,
+          summary,
+          expiresAt: new Date(Date.now() + config.confirmations.ttlMinutes * 60 * 1000)
+        });
+
+        await auditTrail.record(req, auditTrail.ACTIONS.CONFIRMATION_REQUEST, {
+          targetType: 'PendingConfirmation',
+          targetId: pending._id,
+          details: { action, params: requestParams, summary }
+        });
+
+        return res.status(202).json({
+          success: true,
+          confirmationRequired: true,
+          message: `Nothing has been changed yet. To proceed, repeat this request within ${config.confirmations.ttlMinutes} minutes with confirmationToken and confirmationPhrase "${expectedPhrase}"`,
+          data: {
+            action,
+            summary,
+            confirmationToken,
+            confirmationPhrase: expectedPhrase,
+            expiresAt: pending.expiresAt
+          }
+        });
+      }
+
+      // Second step: check the token and the typed phrase
+      const pending = await PendingConfirmation.findOne({
+        tokenHash: cryptoUtil.hashToken(token),
+        action,
+        user: req.user.id,
+        usedAt: null,
+        expiresAt: { $gt: new Date() }
+      });
+
+      if (!pending) {
+        return res.status(400).json({
+          success: false,
+          message: 'The confirmation token is invalid or has expired; request a new one'
+        });
+      }
+
+      if (!sameParams(pending.params, requestParams)) {
+        return res.status(400).json({
+          success: false,
+          message: 'This request differs from the one that was confirmed; request a new confirmation'
+        });
+      }
+
+      const typed = (readField(req, 'confirmationPhrase', 'x-confirmation-phrase') || '').trim();
+      if (typed !== pending.phrase) {
+        return res.status(400).json({
+          success: false,
+          message: `Type "${pending.phrase}" exactly to confirm`
+        });
+      }
+
+      // Use the token once, even if two confirming requests race
+      const claimed = await PendingConfirmation.findOneAndUpdate(
+        { _id: pending._id, usedAt: null },
+        { $set: { usedAt: new Date() } }
+      );
+
+      if (!claimed) {
+        return res.status(400).json({
+          success: false,
+          message: 'The confirmation token has already been used'
+        });
+      }
+
+      req.confirmation = { action, summary: pending.summary };
+      next();
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Error confirming operation',
+        error: error.message
+      });
+    }
+  };
+};
@@ -5,10 +5,13 @@
 
 const session = require('express-session');
 const config = require('../config/config');
+const sessions = require('../utils/sessions');
 
 // Configure session middleware
 const sessionMiddleware = session({
   secret: config.sessionSecret,
+  // Persisted in MongoDB so restarts do not log everyone out
+  store: sessions.store,
   resave: false,
   saveUninitialized: false,
   cookie: {
@@ -0,0 +1,54 @@
+/**
+ * Upload Middleware
+ * Accepts multipart file uploads of CSV and Excel spreadsheets
+ */
+
+const path = require('path');
+const multer = require('multer');
+const config = require('../config/config');
+
+// Keep uploads in memory; spreadsheets are parsed and discarded
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.uploads.maxFileSize,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    if (!config.uploads.allowedExtensions.includes(extension)) {
+      const error = new Error(`Only ${config.uploads.allowedExtensions.join(', ')} files are supported`);
+      error.statusCode = 400;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+/**
+ * Accept a single spreadsheet in the given form field
+ * Upload errors are returned as 400 responses.
+ * @param {string} field - Form field name
+ * @returns {Function} - Express middleware
+ */
+const spreadsheet = (field = 'file') => {
+  const handler = upload.single(field);
+
+  return (req, res, next) => {
+    handler(req, res, (err) => {
+      if (err) {
+        return res.status(err.statusCode || 400).json({
+          success: false,
+          message: err.code === 'LIMIT_FILE_SIZE' ?
+            `File exceeds the ${Math.round(config.uploads.maxFileSize / (1024 * 1024))} MB upload limit` :
+            err.message
+        });
+      }
+      next();
+    });
+  };
+};
+
+module.exports = {
+  spreadsheet
+};
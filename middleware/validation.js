@@ -12,7 +12,8 @@ const validateStudentRecord = (req, res, next) => {
   if (!studentId) errors.push('Student ID is required');
   if (!studentName) errors.push('Student name is required');
   if (!courseCode) errors.push('Course code is required');
-  if (!grade) errors.push('Grade is required');
+  // A missing letter grade is derived from the numeric grade by the grading scale
+  if (grade !== undefined && grade !== null && typeof grade !== 'string') errors.push('Grade must be a string');
   if (numericGrade === undefined || numericGrade === null) errors.push('Numeric grade is required');
   if (!instructor) errors.push('Instructor is required');
   if (!yearCompleted) errors.push('Year completed is required');
@@ -143,9 +144,46 @@ const validatePasswordChange = (req, res, next) => {
   next();
 };
 
+const validateCourse = (req, res, next) => {
+  const { code, title, creditHours, level } = req.body;
+  const errors = [];
+
+  // Required fields validation for new course creation
+  if (req.method === 'POST') {
+    if (!code) errors.push('Course code is required');
+    if (!title) errors.push('Course title is required');
+    if (creditHours === undefined || creditHours === null) errors.push('Credit hours are required');
+  }
+
+  // Format validation
+  if (creditHours !== undefined && creditHours !== null) {
+    if (isNaN(creditHours)) {
+      errors.push('Credit hours must be a number');
+    } else if (creditHours < 0 || creditHours > 12) {
+      errors.push('Credit hours must be between 0 and 12');
+    }
+  }
+
+  if (level !== undefined && level !== null && (isNaN(level) || level < 100 || level > 900)) {
+    errors.push('Level must be a number between 100 and 900');
+  }
+
+  // Return errors if any
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors
+    });
+  }
+
+  next();
+};
+
 module.exports = {
   validateStudentRecord,
   validateUser,
   validateLogin,
-  validatePasswordChange
+  validatePasswordChange,
+  validateCourse
 };
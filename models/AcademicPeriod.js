@@ -0,0 +1,90 @@
+/**
+ * Academic Period Schema
+ * Records which academic periods (session + semester) are closed to changes,
+ * and the time-boxed overrides granted to change records in a closed period
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const config = require('../config/config');
+
+const PeriodOverrideSchema = new Schema({
+  // User allowed to change records in the closed period
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Override user is required']
+  },
+  reason: {
+    type: String,
+    required: [true, 'A reason is required for an override'],
+    trim: true
+  },
+  grantedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  grantedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Override expiry is required']
+  },
+  revokedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: Date
+});
+
+const AcademicPeriodSchema = new Schema({
+  // Session label as used on student records (records without a session use their year)
+  session: {
+    type: String,
+    required: [true, 'Session is required'],
+    trim: true
+  },
+  semester: {
+    type: String,
+    required: [true, 'Semester is required'],
+    enum: config.semesters
+  },
+  closed: {
+    type: Boolean,
+    default: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  closedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  closedAt: Date,
+  reopenedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reopenedAt: Date,
+  overrides: [PeriodOverrideSchema]
+}, {
+  timestamps: true
+});
+
+AcademicPeriodSchema.index({ session: 1, semester: 1 }, { unique: true });
+
+// Find the active override for a user, if any
+AcademicPeriodSchema.methods.findOverride = function(userId) {
+  const now = new Date();
+  return this.overrides.find(override =>
+    String(override.user) === String(userId) &&
+    !override.revokedAt &&
+    override.expiresAt > now
+  );
+};
+
+module.exports = mongoose.model('AcademicPeriod', AcademicPeriodSchema);
@@ -33,6 +33,34 @@ const ActivityLogSchema = new Schema({
     type: String,
     trim: true
   },
+  // Where the entry came from: 'server' entries are written by the audit
+  // trail, 'client' entries were posted by the frontend via POST /api/logs
+  source: {
+    type: String,
+    enum: ['server', 'client'],
+    default: 'server'
+  },
+  method: {
+    type: String,
+    trim: true
+  },
+  route: {
+    type: String,
+    trim: true
+  },
+  targetType: {
+    type: String,
+    trim: true
+  },
+  targetId: {
+    type: String,
+    trim: true
+  },
+  // Field-level before/after diff: [{ field, from, to }]
+  changes: {
+    type: Array,
+    default: undefined
+  },
   timestamp: {
     type: Date,
     default: Date.now
@@ -45,5 +73,6 @@ const ActivityLogSchema = new Schema({
 ActivityLogSchema.index({ user: 1, timestamp: -1 });
 ActivityLogSchema.index({ action: 1 });
 ActivityLogSchema.index({ timestamp: -1 });
+ActivityLogSchema.index({ targetType: 1, targetId: 1, timestamp: -1 });
 
 module.exports = mongoose.model('ActivityLog', ActivityLogSchema);
@@ -0,0 +1,65 @@
+/**
+ * API Token Schema
+ * Personal access tokens for scripted access to the API
+ * Only the SHA-256 hash is stored; the token itself is shown once, on creation.
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const ApiTokenSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [100, 'Token name cannot be more than 100 characters']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Leading characters of the token, shown so users can tell their tokens apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  // Permission names (from config.permissions) the token may exercise,
+  // on top of the permissions of the owner's role
+  scopes: {
+    type: [String],
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  lastUsedIp: {
+    type: String
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Check whether the token can still be used
+ApiTokenSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('ApiToken', ApiTokenSchema);
@@ -0,0 +1,75 @@
+/**
+ * Course Schema
+ * Stores the course catalog of the UL Physics Department
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const CourseSchema = new Schema({
+  code: {
+    type: String,
+    required: [true, 'Course code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Course title is required'],
+    trim: true
+  },
+  creditHours: {
+    type: Number,
+    required: [true, 'Credit hours are required'],
+    min: [0, 'Credit hours cannot be less than 0'],
+    max: [12, 'Credit hours cannot be more than 12']
+  },
+  level: {
+    type: Number,
+    min: [100, 'Level must be at least 100'],
+    max: [900, 'Level cannot be more than 900']
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // Instructor accounts assigned to teach the course
+  instructors: [{
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+}, {
+  timestamps: true // Automatically adds createdAt and updatedAt fields
+});
+
+// Code already has unique: true which creates an index automatically
+CourseSchema.index({ active: 1, level: 1 });
+CourseSchema.index({ instructors: 1 });
+
+/**
+ * Normalize a free-text course code for catalog lookups ("phy 101" -> "PHY101")
+ * @param {string} code - Course code
+ * @returns {string}
+ */
+CourseSchema.statics.normalizeCode = function(code) {
+  return (code || '').toString().replace(/\s+/g, '').toUpperCase();
+};
+
+// Static method to find a course by code
+CourseSchema.statics.findByCode = function(code) {
+  return this.findOne({ code: this.normalizeCode(code) });
+};
+
+// Static method to find courses by a list of codes
+CourseSchema.statics.findByCodes = function(codes) {
+  return this.find({ code: { $in: codes.map(code => this.normalizeCode(code)) } });
+};
+
+// Normalize the code before saving
+CourseSchema.pre('save', function(next) {
+  this.code = this.constructor.normalizeCode(this.code);
+  next();
+});
+
+module.exports = mongoose.model('Course', CourseSchema);
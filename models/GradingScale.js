@@ -0,0 +1,71 @@
+/**
+ * Grading Scale Schema
+ * Stores versioned grading scales (score bands -> letter grade -> grade points)
+ * A scale applies to records from its effective academic year until a newer scale takes over.
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const GradeBandSchema = new Schema({
+  // Lowest numeric grade (inclusive) earning this letter
+  min: {
+    type: Number,
+    required: [true, 'Band minimum score is required'],
+    min: [0, 'Band minimum cannot be less than 0'],
+    max: [100, 'Band minimum cannot be more than 100']
+  },
+  letter: {
+    type: String,
+    required: [true, 'Band letter grade is required'],
+    trim: true,
+    uppercase: true
+  },
+  points: {
+    type: Number,
+    required: [true, 'Band grade points are required'],
+    min: [0, 'Grade points cannot be less than 0']
+  }
+}, { _id: false });
+
+const GradingScaleSchema = new Schema({
+  name: {
+    type: String,
+    required: [true, 'Scale name is required'],
+    trim: true
+  },
+  effectiveYear: {
+    type: Number,
+    required: [true, 'Effective academic year is required'],
+    unique: true,
+    min: [1950, 'Effective year must be after 1950']
+  },
+  bands: {
+    type: [GradeBandSchema],
+    validate: {
+      validator: function(bands) {
+        const mins = bands.map(band => band.min);
+        const letters = bands.map(band => band.letter);
+        return bands.length > 0 &&
+          mins.includes(0) &&
+          new Set(mins).size === mins.length &&
+          new Set(letters).size === letters.length;
+      },
+      message: 'Bands must be non-empty, include a band starting at 0 and use unique minimums and letters'
+    }
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true // Automatically adds createdAt and updatedAt fields
+});
+
+// Keep bands ordered from the highest minimum to the lowest
+GradingScaleSchema.pre('save', function(next) {
+  this.bands.sort((a, b) => b.min - a.min);
+  next();
+});
+
+module.exports = mongoose.model('GradingScale', GradingScaleSchema);
@@ -0,0 +1,49 @@
+/**
+ * Password Reset Token Schema
+ * Stores hashed, expiring, single-use password reset tokens
+ * Only the SHA-256 hash is stored; the token itself is only ever emailed.
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const PasswordResetTokenSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // 'self' for forgot-password requests, 'admin' for admin-initiated resets
+  purpose: {
+    type: String,
+    enum: ['self', 'admin'],
+    default: 'self'
+  },
+  requestedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  requestIp: {
+    type: String
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Remove tokens once they expire
+PasswordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PasswordResetToken', PasswordResetTokenSchema);
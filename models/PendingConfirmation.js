@@ -0,0 +1,55 @@
+/**
+ * Pending Confirmation Schema
+ * Short-lived tokens confirming a destructive operation after its impact was shown
+ * Only the SHA-256 hash of the token is stored.
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const PendingConfirmationSchema = new Schema({
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Operation being confirmed (e.g. 'records:delete-all')
+  action: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Parameters of the confirmed request; the confirming request must match them
+  params: {
+    type: Schema.Types.Mixed,
+    default: {}
+  },
+  // Phrase the user must type to confirm
+  phrase: {
+    type: String,
+    required: true
+  },
+  // Impact summary shown with the first request
+  summary: {
+    type: Schema.Types.Mixed,
+    default: {}
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Remove confirmations once they expire
+PendingConfirmationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PendingConfirmation', PendingConfirmationSchema);
@@ -0,0 +1,85 @@
+/**
+ * Record Revision Schema
+ * Stores immutable revisions of student records for the UL Physics Department
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const RecordRevisionSchema = new Schema({
+  record: {
+    type: Schema.Types.ObjectId,
+    ref: 'StudentRecord',
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  action: {
+    type: String,
+    enum: ['baseline', 'create', 'update', 'revert'],
+    required: true
+  },
+  // Field-level changes made by this revision: [{ field, from, to }]
+  changes: {
+    type: Array,
+    default: []
+  },
+  // State of the record after this revision
+  snapshot: {
+    type: Object,
+    required: true
+  },
+  changedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedByName: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  revertedFrom: {
+    type: Schema.Types.ObjectId,
+    ref: 'RecordRevision'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// One revision number per record
+RecordRevisionSchema.index({ record: 1, revision: -1 }, { unique: true });
+
+// Revisions are immutable once written
+const rejectModification = function(next) {
+  next(new Error('Record revisions are immutable'));
+};
+
+RecordRevisionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectModification(next);
+  }
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+].forEach(operation => {
+  RecordRevisionSchema.pre(operation, rejectModification);
+});
+
+// Static method to find revisions of a record, newest first
+RecordRevisionSchema.statics.findByRecord = function(recordId) {
+  return this.find({ record: recordId }).sort({ revision: -1 });
+};
+
+module.exports = mongoose.model('RecordRevision', RecordRevisionSchema);
@@ -0,0 +1,70 @@
+/**
+ * Standing Snapshot Schema
+ * Stores the academic standing and honors decided for a student in a term,
+ * with the figures and rules they were decided on, so that later rule or
+ * grade changes do not rewrite past decisions
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const config = require('../config/config');
+
+const StandingSnapshotSchema = new Schema({
+  studentId: {
+    type: String,
+    required: [true, 'Student ID is required'],
+    trim: true
+  },
+  studentName: {
+    type: String,
+    trim: true
+  },
+  // Term as labelled on student records (records without a session use their year)
+  session: {
+    type: String,
+    required: [true, 'Session is required'],
+    trim: true
+  },
+  semester: {
+    type: String,
+    required: [true, 'Semester is required'],
+    enum: config.semesters
+  },
+  // Whether the standing was decided on the GPA or, without one, the numeric grade average
+  basis: {
+    type: String,
+    enum: ['gpa', 'average', null]
+  },
+  termCredits: Number,
+  // Graded courses in the term
+  termCourses: Number,
+  termGpa: Number,
+  termAverage: Number,
+  cumulativeCredits: Number,
+  cumulativeGpa: Number,
+  cumulativeAverage: Number,
+  // Failing grades in the term
+  termFailures: Number,
+  previousStanding: String,
+  standing: {
+    type: String,
+    required: true
+  },
+  standingLabel: String,
+  honor: String,
+  honorLabel: String,
+  // Standing and honor rules in effect when the snapshot was taken
+  rules: Object,
+  rulesVersion: String,
+  computedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+StandingSnapshotSchema.index({ studentId: 1, session: 1, semester: 1 }, { unique: true });
+StandingSnapshotSchema.index({ session: 1, semester: 1, standing: 1 });
+
+module.exports = mongoose.model('StandingSnapshot', StandingSnapshotSchema);
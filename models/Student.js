@@ -5,6 +5,8 @@
 
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const Course = require('./Course');
+const softDelete = require('../utils/softDelete');
 
 const StudentRecordSchema = new Schema({
   studentId: {
@@ -25,6 +27,12 @@ const StudentRecordSchema = new Schema({
     type: String,
     trim: true
   },
+  // Catalog entry for courseCode (carries credit hours for GPA computation)
+  course: {
+    type: Schema.Types.ObjectId,
+    ref: 'Course',
+    index: true
+  },
   grade: {
     type: String,
     trim: true
@@ -32,13 +40,23 @@ const StudentRecordSchema = new Schema({
   numericGrade: {
     type: Number,
     min: [0, 'Numeric grade cannot be less than 0'],
-    max: [100, 'Numeric grade cannot be more than 100'],
-    default: 70
+    max: [100, 'Numeric grade cannot be more than 100']
+  },
+  // Set when the letter grade disagrees with the grading scale for numericGrade
+  gradeMismatch: {
+    type: Boolean,
+    default: false
   },
   instructor: {
     type: String,
     trim: true
   },
+  // Account of the instructor, once the free-text name has been reconciled
+  instructorUser: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
   yearCompleted: {
     type: Number,
     min: [1950, 'Year must be after 1950'],
@@ -56,6 +74,26 @@ const StudentRecordSchema = new Schema({
     trim: true,
     default: ''
   },
+  // Grade workflow status (records created before the workflow have none and count as approved)
+  status: {
+    type: String,
+    enum: ['draft', 'submitted', 'returned', 'approved', 'locked'],
+    index: true
+  },
+  statusChangedAt: Date,
+  statusHistory: [{
+    _id: false,
+    action: String,
+    from: String,
+    to: String,
+    comment: String,
+    changedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedByName: String,
+    changedAt: Date
+  }],
   updatedBy: {
     type: Schema.Types.ObjectId,
     ref: 'User'
@@ -69,7 +107,11 @@ const StudentRecordSchema = new Schema({
   timestamps: true // Automatically adds createdAt and updatedAt fields
 });
 
+// Deleted records go to the trash (deleted, deletedAt, deletedBy) until purged
+StudentRecordSchema.plugin(softDelete);
+
 // Create compound index for faster queries
+// (trashed records keep their place, so a deleted record is restored rather than re-created)
 StudentRecordSchema.index({ studentId: 1, courseCode: 1 }, { unique: true });
 
 // Create index for searching by year and semester
@@ -90,10 +132,12 @@ StudentRecordSchema.statics.findByInstructor = function(instructor) {
   return this.find({ instructor: instructor }).sort({ yearCompleted: -1, semester: 1 });
 };
 
-// Pre-save middleware to validate data
-StudentRecordSchema.pre('save', function(next) {
-  // Additional validation can be added here
-  next();
+// Pre-save middleware to link the record to its catalog course
+StudentRecordSchema.pre('save', async function() {
+  if (!this.isNew && !this.isModified('courseCode')) return;
+
+  const course = await Course.findByCode(this.courseCode).select('_id');
+  this.course = course ? course._id : undefined;
 });
 
 module.exports = mongoose.model('StudentRecord', StudentRecordSchema);
@@ -0,0 +1,93 @@
+/**
+ * Upload Batch Schema
+ * Stores bulk uploads as batches that can be previewed (dry run), committed
+ * atomically and undone
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const UploadRowSchema = new Schema({
+  // Row number in the uploaded file or JSON array
+  row: {
+    type: Number,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'unchanged', 'reject'],
+    required: true
+  },
+  studentId: String,
+  courseCode: String,
+  recordId: {
+    type: Schema.Types.ObjectId,
+    ref: 'StudentRecord'
+  },
+  // Field values written on commit (all fields for create, changed fields for update)
+  data: Object,
+  // Record state before the upload (updates only), restored on undo
+  before: Object,
+  // Field-level diff against the existing record: [{ field, from, to }]
+  changes: {
+    type: Array,
+    default: undefined
+  },
+  // Reasons a row was rejected
+  issues: {
+    type: [String],
+    default: undefined
+  },
+  // updatedAt of the record when previewed, and after commit (used to detect later edits)
+  previewUpdatedAt: Date,
+  committedUpdatedAt: Date
+}, { _id: false });
+
+const UploadBatchSchema = new Schema({
+  status: {
+    type: String,
+    enum: ['preview', 'committed', 'undone'],
+    default: 'preview'
+  },
+  source: {
+    type: {
+      type: String,
+      enum: ['json', 'file'],
+      default: 'json'
+    },
+    fileName: String,
+    mapping: String
+  },
+  summary: {
+    total: { type: Number, default: 0 },
+    create: { type: Number, default: 0 },
+    update: { type: Number, default: 0 },
+    unchanged: { type: Number, default: 0 },
+    reject: { type: Number, default: 0 }
+  },
+  rows: [UploadRowSchema],
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  committedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  committedAt: Date,
+  undoneBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  undoneAt: Date,
+  // Previews expire if they are not committed
+  expiresAt: Date
+}, {
+  timestamps: true // Automatically adds createdAt and updatedAt fields
+});
+
+UploadBatchSchema.index({ createdBy: 1, createdAt: -1 });
+UploadBatchSchema.index({ status: 1, createdAt: -1 });
+UploadBatchSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UploadBatch', UploadBatchSchema);
@@ -0,0 +1,36 @@
+/**
+ * Upload Mapping Schema
+ * Stores saved column-mapping profiles for spreadsheet uploads
+ * (e.g. "Registrar export", "Instructor grade sheet")
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const UploadMappingSchema = new Schema({
+  name: {
+    type: String,
+    required: [true, 'Mapping name is required'],
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Spreadsheet header name keyed by student record field
+  columns: {
+    type: Map,
+    of: String,
+    required: [true, 'Column mapping is required']
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true // Automatically adds createdAt and updatedAt fields
+});
+
+module.exports = mongoose.model('UploadMapping', UploadMappingSchema);
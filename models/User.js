@@ -7,6 +7,7 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 const config = require('../config/config');
+const softDelete = require('../utils/softDelete');
 
 const UserSchema = new Schema({
   username: {
@@ -59,14 +60,72 @@ const UserSchema = new Schema({
   },
   lastLogin: {
     type: Date
-  }
+  },
+  // Set by an admin-initiated reset: the user must choose a new password after logging in
+  mustChangePassword: {
+    type: Boolean,
+    default: false
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  // Failed login attempts since the last successful login
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date
+  },
+  // Logins are refused until this time after too many failed attempts
+  lockedUntil: {
+    type: Date
+  },
+  // TOTP two-factor authentication; secrets are encrypted and never selected by default
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret awaiting confirmation during enrollment
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Time step of the last accepted code, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: {
+      type: Date
+    }
+  },
+  // Normalized free-text instructor names confirmed to refer to this user
+  instructorAliases: [{
+    type: String,
+    trim: true
+  }]
 }, {
   timestamps: true // Automatically adds createdAt and updatedAt fields
 });
 
+// Deleted users go to the trash (deleted, deletedAt, deletedBy) until purged
+UserSchema.plugin(softDelete);
+
 // Create index for faster queries
 // Username and email already have unique: true which creates indexes automatically
 UserSchema.index({ userType: 1 });
+UserSchema.index({ instructorAliases: 1 });
 
 // Method to check if user is admin
 UserSchema.methods.isAdmin = function() {
@@ -88,6 +147,11 @@ UserSchema.methods.canEdit = function() {
   return this.userType === config.userRoles.CHAIRMAN || this.userType === config.userRoles.ADMIN;
 };
 
+// Method to check if the account is temporarily locked
+UserSchema.methods.isLocked = function() {
+  return !!this.lockedUntil && this.lockedUntil > new Date();
+};
+
 // Method to update last login time
 UserSchema.methods.updateLoginTime = function() {
   this.lastLogin = Date.now();
@@ -0,0 +1,29 @@
+/**
+ * Academic Period Routes
+ * Handles API endpoints for closing academic periods and granting overrides
+ */
+
+const express = require('express');
+const router = express.Router();
+const academicPeriodController = require('../controllers/academicPeriodController');
+const authMiddleware = require('../middleware/auth');
+
+// All academic period routes require an authenticated user
+router.use(authMiddleware.requireAuth);
+
+// Get academic periods
+router.get('/', authMiddleware.requirePermission('records:read'), academicPeriodController.getAllPeriods);
+
+// Close an academic period (admin only)
+router.post('/close', authMiddleware.requirePermission('periods:manage'), academicPeriodController.closePeriod);
+
+// Reopen an academic period (admin only)
+router.post('/:id/reopen', authMiddleware.requirePermission('periods:manage'), academicPeriodController.reopenPeriod);
+
+// Grant a time-boxed override for a closed period (admin only)
+router.post('/:id/overrides', authMiddleware.requirePermission('periods:manage'), academicPeriodController.grantOverride);
+
+// Revoke an override (admin only)
+router.delete('/:id/overrides/:overrideId', authMiddleware.requirePermission('periods:manage'), academicPeriodController.revokeOverride);
+
+module.exports = router;
@@ -6,17 +6,31 @@
 const express = require('express');
 const router = express.Router();
 const activityLogController = require('../controllers/activityLogController');
+const authMiddleware = require('../middleware/auth');
+const confirmationMiddleware = require('../middleware/confirmation');
+
+// All activity log routes require an authenticated user
+router.use(authMiddleware.requireAuth);
 
 // Create a new activity log
-router.post('/', activityLogController.createLog);
+router.post('/', authMiddleware.requirePermission('logs:write'), activityLogController.createLog);
 
-// Get all activity logs
-router.get('/', activityLogController.getLogs);
+// Get all activity logs (admin only)
+router.get('/', authMiddleware.requirePermission('logs:read'), activityLogController.getLogs);
 
-// Get activity log statistics
-router.get('/stats', activityLogController.getLogStats);
+// Get activity log statistics (admin only)
+router.get('/stats', authMiddleware.requirePermission('logs:read'), activityLogController.getLogStats);
 
-// Delete old activity logs
-router.delete('/cleanup', activityLogController.cleanupLogs);
+// Delete old activity logs (admin only, confirmed in two steps)
+router.delete('/cleanup',
+  authMiddleware.requirePermission('logs:manage'),
+  confirmationMiddleware.requireConfirmation({
+    action: 'logs:cleanup',
+    phrase: (req) => `DELETE LOGS OLDER THAN ${activityLogController.cleanupParams(req).days} DAYS`,
+    params: activityLogController.cleanupParams,
+    summarize: activityLogController.cleanupImpact
+  }),
+  activityLogController.cleanupLogs
+);
 
 module.exports = router;
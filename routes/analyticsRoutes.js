@@ -0,0 +1,26 @@
+/**
+ * Analytics Routes
+ * Handles API endpoints for grade analytics
+ */
+
+const express = require('express');
+const router = express.Router();
+const analyticsController = require('../controllers/analyticsController');
+const authMiddleware = require('../middleware/auth');
+
+// All analytics routes require an authenticated user
+router.use(authMiddleware.requireAuth);
+
+// Get grade statistics across all matching records
+router.get('/grades', authMiddleware.requirePermission('analytics:read'), analyticsController.getGradeSummary);
+
+// Get grade statistics per course
+router.get('/courses', authMiddleware.requirePermission('analytics:read'), analyticsController.getCourseAnalytics);
+
+// Get grade statistics per year and semester
+router.get('/terms', authMiddleware.requirePermission('analytics:read'), analyticsController.getTermAnalytics);
+
+// Get grade trends across years
+router.get('/trends', authMiddleware.requirePermission('analytics:read'), analyticsController.getTrends);
+
+module.exports = router;
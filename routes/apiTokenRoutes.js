@@ -0,0 +1,22 @@
+/**
+ * API Token Routes
+ * Handles the admin view of all personal API tokens
+ * (users manage their own tokens under /api/auth/tokens)
+ */
+
+const express = require('express');
+const router = express.Router();
+const apiTokenController = require('../controllers/apiTokenController');
+const authMiddleware = require('../middleware/auth');
+
+// All token administration requires an admin logged in with a session
+router.use(authMiddleware.requireSession);
+router.use(authMiddleware.requirePermission('tokens:manage'));
+
+// Get all API tokens
+router.get('/', apiTokenController.getAllTokens);
+
+// Revoke any API token
+router.delete('/:id', apiTokenController.revokeToken);
+
+module.exports = router;
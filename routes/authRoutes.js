@@ -6,6 +6,9 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
+const apiTokenController = require('../controllers/apiTokenController');
+const twoFactorController = require('../controllers/twoFactorController');
+const authMiddleware = require('../middleware/auth');
 const validationMiddleware = require('../middleware/validation');
 
 // Register a new user
@@ -14,10 +17,59 @@ router.post('/register', validationMiddleware.validateUser, authController.regis
 // Login user
 router.post('/login', validationMiddleware.validateLogin, authController.login);
 
+// Finish logging in with a two-factor code
+router.post('/login/2fa', authController.verifyTwoFactorLogin);
+
 // Get current user profile
 router.get('/profile', authController.getProfile);
 
 // Logout user
 router.post('/logout', authController.logout);
 
+// Request a password reset email
+router.post('/forgot-password', authController.forgotPassword);
+
+// Set a new password with a reset token
+router.post('/reset-password', validationMiddleware.validatePasswordChange, authController.resetPassword);
+
+// Change the current user's password
+router.post('/change-password',
+  authMiddleware.requireSession,
+  validationMiddleware.validatePasswordChange,
+  authController.changePassword
+);
+
+// List the current user's active sessions
+router.get('/sessions', authMiddleware.requireSession, authController.getSessions);
+
+// Revoke all of the current user's other sessions (?includeCurrent=true to log out too)
+router.delete('/sessions', authMiddleware.requireSession, authController.revokeSessions);
+
+// Revoke one of the current user's sessions
+router.delete('/sessions/:sessionId', authMiddleware.requireSession, authController.revokeSession);
+
+// List the current user's API tokens
+router.get('/tokens', authMiddleware.requireSession, apiTokenController.getMyTokens);
+
+// Create an API token for the current user
+router.post('/tokens', authMiddleware.requireSession, apiTokenController.createToken);
+
+// Revoke one of the current user's API tokens
+router.delete('/tokens/:id', authMiddleware.requireSession, apiTokenController.revokeMyToken);
+
+// Get the current user's two-factor status
+router.get('/2fa', authMiddleware.requireSession, twoFactorController.getStatus);
+
+// Start enrolling in two-factor authentication (returns a QR code)
+router.post('/2fa/setup', authMiddleware.requireSession, twoFactorController.setup);
+
+// Confirm a code to enable two-factor authentication (returns recovery codes)
+router.post('/2fa/enable', authMiddleware.requireSession, twoFactorController.enable);
+
+// Disable two-factor authentication
+router.post('/2fa/disable', authMiddleware.requireSession, twoFactorController.disable);
+
+// Replace the recovery codes
+router.post('/2fa/recovery-codes', authMiddleware.requireSession, twoFactorController.regenerateRecoveryCodes);
+
 module.exports = router;
@@ -0,0 +1,37 @@
+/**
+ * Backup Routes
+ * Handles API endpoints for database backups
+ */
+
+const express = require('express');
+const router = express.Router();
+const backupController = require('../controllers/backupController');
+const authMiddleware = require('../middleware/auth');
+const confirmationMiddleware = require('../middleware/confirmation');
+
+// All backup routes require an authenticated admin
+router.use(authMiddleware.requireAuth);
+router.use(authMiddleware.requirePermission('backups:manage'));
+
+// Get available backups
+router.get('/', backupController.getBackups);
+
+// Take a backup now
+router.post('/', backupController.createBackup);
+
+// Get a backup's manifest
+router.get('/:id', backupController.getBackup);
+
+// Restore a backup, fully or per collection (?dryRun=true to preview; confirmed in two steps)
+router.post('/:id/restore',
+  confirmationMiddleware.requireConfirmation({
+    action: 'backups:restore',
+    phrase: (req) => `RESTORE ${req.params.id}`,
+    params: backupController.restoreParams,
+    summarize: backupController.restoreImpact,
+    skip: backupController.isDryRun
+  }),
+  backupController.restoreBackup
+);
+
+module.exports = router;
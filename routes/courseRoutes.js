@@ -0,0 +1,36 @@
+/**
+ * Course Routes
+ * Handles API endpoints for the course catalog with appropriate permissions
+ */
+
+const express = require('express');
+const router = express.Router();
+const courseController = require('../controllers/courseController');
+const authMiddleware = require('../middleware/auth');
+const validationMiddleware = require('../middleware/validation');
+
+// All course routes require an authenticated user
+router.use(authMiddleware.requireAuth);
+
+// Get all courses
+router.get('/', authMiddleware.requirePermission('records:read'), courseController.getAllCourses);
+
+// Link existing student records to catalog courses (chairman and admin only)
+router.post('/link-records', authMiddleware.requirePermission('courses:manage'), courseController.linkAllRecords);
+
+// Get a specific course by ID
+router.get('/:id', authMiddleware.requirePermission('records:read'), courseController.getCourseById);
+
+// Create a new course (chairman and admin only)
+router.post('/', authMiddleware.requirePermission('courses:manage'), validationMiddleware.validateCourse, courseController.createCourse);
+
+// Update a course (chairman and admin only)
+router.put('/:id', authMiddleware.requirePermission('courses:manage'), validationMiddleware.validateCourse, courseController.updateCourse);
+
+// Set the instructors assigned to a course (chairman and admin only)
+router.put('/:id/instructors', authMiddleware.requirePermission('courses:manage'), courseController.assignInstructors);
+
+// Delete a course (chairman and admin only)
+router.delete('/:id', authMiddleware.requirePermission('courses:manage'), courseController.deleteCourse);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+/**
+ * Grading Scale Routes
+ * Handles API endpoints for grading scales with appropriate permissions
+ */
+
+const express = require('express');
+const router = express.Router();
+const gradingScaleController = require('../controllers/gradingScaleController');
+const authMiddleware = require('../middleware/auth');
+
+// All grading scale routes require an authenticated user
+router.use(authMiddleware.requireAuth);
+
+// Get all grading scales
+router.get('/', authMiddleware.requirePermission('records:read'), gradingScaleController.getAllScales);
+
+// Get the grading scale in effect for a year
+router.get('/current', authMiddleware.requirePermission('records:read'), gradingScaleController.getCurrentScale);
+
+// Validate or recompute all records against the grading scales (chairman and admin only)
+router.post('/validate', authMiddleware.requirePermission('grading:manage'), gradingScaleController.validateRecords);
+
+// Create a new grading scale (chairman and admin only)
+router.post('/', authMiddleware.requirePermission('grading:manage'), gradingScaleController.createScale);
+
+// Update a grading scale (chairman and admin only)
+router.put('/:id', authMiddleware.requirePermission('grading:manage'), gradingScaleController.updateScale);
+
+// Delete a grading scale (chairman and admin only)
+router.delete('/:id', authMiddleware.requirePermission('grading:manage'), gradingScaleController.deleteScale);
+
+module.exports = router;
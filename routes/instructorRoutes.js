@@ -0,0 +1,27 @@
+/**
+ * Instructor Routes
+ * Handles API endpoints for reconciling instructor names with user accounts
+ * and for instructor reports
+ */
+
+const express = require('express');
+const router = express.Router();
+const instructorController = require('../controllers/instructorController');
+const authMiddleware = require('../middleware/auth');
+
+// All instructor routes require an authenticated user
+router.use(authMiddleware.requireAuth);
+
+// Get instructor name clusters with suggested account matches (chairman and admin only)
+router.get('/reconciliation', authMiddleware.requirePermission('instructors:reconcile'), instructorController.getReconciliation);
+
+// Link records to instructor accounts for confirmed name mappings (chairman and admin only)
+router.post('/reconciliation/apply', authMiddleware.requirePermission('instructors:reconcile'), instructorController.applyReconciliation);
+
+// Get workload and performance summaries of all instructors (chairman and admin only)
+router.get('/reports', authMiddleware.requirePermission('instructors:reports'), instructorController.getReports);
+
+// Get the full report of one instructor (chairman and admin only)
+router.get('/reports/:instructor', authMiddleware.requirePermission('instructors:reports'), instructorController.getReport);
+
+module.exports = router;
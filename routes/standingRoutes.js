@@ -0,0 +1,23 @@
+/**
+ * Standing Routes
+ * Handles API endpoints for academic standing and honors
+ */
+
+const express = require('express');
+const router = express.Router();
+const standingController = require('../controllers/standingController');
+const authMiddleware = require('../middleware/auth');
+
+// All standing routes require an authenticated user
+router.use(authMiddleware.requireAuth);
+
+// List students by standing for a term (chairman and admin only)
+router.get('/', authMiddleware.requirePermission('standing:read'), standingController.getStanding);
+
+// Compute and persist the standing of a term (chairman and admin only)
+router.post('/compute', authMiddleware.requirePermission('standing:compute'), standingController.computeStanding);
+
+// Get the standing of a student in every term (chairman and admin only)
+router.get('/student/:studentId', authMiddleware.requirePermission('standing:read'), standingController.getStudentStanding);
+
+module.exports = router;
@@ -7,37 +7,76 @@ const express = require('express');
 const router = express.Router();
 const studentController = require('../controllers/studentController');
 const bulkUploadController = require('../controllers/bulkUploadController');
+const exportController = require('../controllers/exportController');
 const authMiddleware = require('../middleware/auth');
 const validationMiddleware = require('../middleware/validation');
+const uploadMiddleware = require('../middleware/upload');
+const confirmationMiddleware = require('../middleware/confirmation');
 
-// Get all student records (no authentication required)
-router.get('/', studentController.getAllRecords);
+// All student record routes require an authenticated user
+router.use(authMiddleware.requireAuth);
 
-// Get student records by course (no authentication required)
-router.get('/course/:courseCode', studentController.getRecordsByCourse);
+// Get all student records
+router.get('/', authMiddleware.requirePermission('records:read'), studentController.getAllRecords);
 
-// Get student records by student ID (no authentication required)
-router.get('/student/:studentId', studentController.getRecordsByStudent);
+// Export student records matching the list filters (CSV, XLSX or JSON)
+// Registered before /:id so that "export" is not treated as a record ID
+router.get('/export', authMiddleware.requirePermission('records:read'), exportController.exportRecords);
 
-// Get a specific student record by ID (no authentication required)
-router.get('/:id', studentController.getRecordById);
+// Get student records by course
+router.get('/course/:courseCode', authMiddleware.requirePermission('records:read'), studentController.getRecordsByCourse);
 
-// Create a new student record (no authentication or validation required)
-router.post('/', studentController.createRecord);
+// Get student records by student ID
+router.get('/student/:studentId', authMiddleware.requirePermission('records:read'), studentController.getRecordsByStudent);
+
+// Get the semester and cumulative GPA of a student (department-wide access only)
+router.get('/student/:studentId/gpa', authMiddleware.requirePermission('records:all'), studentController.getStudentGpa);
+
+// Get the academic transcript of a student (JSON or printable HTML, department-wide access only)
+router.get('/student/:studentId/transcript', authMiddleware.requirePermission('records:all'), studentController.getTranscript);
+
+// Get a specific student record by ID
+router.get('/:id', authMiddleware.requirePermission('records:read'), studentController.getRecordById);
+
+// Get the revision history of a student record
+router.get('/:id/history', authMiddleware.requirePermission('records:read'), studentController.getRecordHistory);
+
+// Create a new student record
+router.post('/', authMiddleware.requirePermission('records:create'), studentController.createRecord);
 
 // Bulk upload student records
-router.post('/bulk-upload', bulkUploadController.bulkUploadRecords);
+router.post('/bulk-upload', authMiddleware.requirePermission('records:create'), bulkUploadController.bulkUploadRecords);
 
-// Update a student record (no authentication required, only validation)
+// Bulk upload student records from a CSV or Excel file
+router.post('/bulk-upload/file', 
+  authMiddleware.requirePermission('records:create'),
+  uploadMiddleware.spreadsheet('file'),
+  bulkUploadController.bulkUploadFile
+);
+
+// Update a student record (drafts by grade entry users, otherwise chairman and admin only)
 router.put('/:id', 
+  authMiddleware.requirePermission('records:create'),
   validationMiddleware.validateStudentRecord, 
   studentController.updateRecord
 );
 
-// Delete a student record (temporarily no auth for testing)
-router.delete('/:id', studentController.deleteRecord);
+// Revert a student record to a prior revision (chairman and admin only)
+router.post('/:id/revert/:revisionId', authMiddleware.requirePermission('records:write'), studentController.revertRecord);
+
+// Delete all student records (admin only, confirmed in two steps)
+// Registered before /:id so that "all" is not treated as a record ID
+router.delete('/all',
+  authMiddleware.requirePermission('records:purge'),
+  confirmationMiddleware.requireConfirmation({
+    action: 'records:delete-all',
+    phrase: 'DELETE ALL RECORDS',
+    summarize: bulkUploadController.deleteAllImpact
+  }),
+  bulkUploadController.deleteAllRecords
+);
 
-// Delete all student records (admin only)
-router.delete('/all', authMiddleware.isAdmin, bulkUploadController.deleteAllRecords);
+// Delete a student record (admin only)
+router.delete('/:id', authMiddleware.requirePermission('records:delete'), studentController.deleteRecord);
 
 module.exports = router;
@@ -0,0 +1,21 @@
+/**
+ * Submission Routes
+ * Handles API endpoints for the grade submission and approval workflow
+ */
+
+const express = require('express');
+const router = express.Router();
+const submissionController = require('../controllers/submissionController');
+const authMiddleware = require('../middleware/auth');
+
+// All submission routes require an authenticated user
+router.use(authMiddleware.requireAuth);
+
+// Get grade submissions by course offering (chairman and admin only)
+router.get('/', authMiddleware.requirePermission('grades:approve'), submissionController.getSubmissions);
+
+// Submit, return, approve, lock or reopen grades
+// (the controller checks the permission of the requested action)
+router.post('/transition', authMiddleware.requirePermission('grades:submit'), submissionController.transition);
+
+module.exports = router;
@@ -0,0 +1,44 @@
+/**
+ * Trash Routes
+ * Handles API endpoints for restoring and purging deleted records and users
+ */
+
+const express = require('express');
+const router = express.Router();
+const trashController = require('../controllers/trashController');
+const authMiddleware = require('../middleware/auth');
+const confirmationMiddleware = require('../middleware/confirmation');
+
+// All trash routes require an authenticated user
+router.use(authMiddleware.requireAuth);
+
+// Get trashed student records (admin only)
+router.get('/records', authMiddleware.requirePermission('records:delete'), trashController.getTrashedRecords);
+
+// Restore several trashed student records (admin only)
+// Registered before /records/:id so that "restore" is not treated as a record ID
+router.post('/records/restore', authMiddleware.requirePermission('records:delete'), trashController.restoreRecords);
+
+// Restore a trashed student record (admin only)
+router.post('/records/:id/restore', authMiddleware.requirePermission('records:delete'), trashController.restoreRecord);
+
+// Get trashed users (admin only)
+router.get('/users', authMiddleware.requirePermission('users:manage'), trashController.getTrashedUsers);
+
+// Restore a trashed user (admin only)
+router.post('/users/:id/restore', authMiddleware.requirePermission('users:manage'), trashController.restoreUser);
+
+// Permanently delete trashed items past the retention period, or all with ?all=true
+// (admin only, confirmed in two steps)
+router.post('/purge',
+  authMiddleware.requirePermission('records:purge', 'users:manage'),
+  confirmationMiddleware.requireConfirmation({
+    action: 'trash:purge',
+    phrase: (req) => (trashController.purgeParams(req).all ? 'EMPTY TRASH' : 'PURGE TRASH'),
+    params: trashController.purgeParams,
+    summarize: trashController.purgeImpact
+  }),
+  trashController.purgeTrash
+);
+
+module.exports = router;
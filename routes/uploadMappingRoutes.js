@@ -0,0 +1,32 @@
+/**
+ * Upload Mapping Routes
+ * Handles API endpoints for spreadsheet column-mapping profiles
+ */
+
+const express = require('express');
+const router = express.Router();
+const uploadMappingController = require('../controllers/uploadMappingController');
+const authMiddleware = require('../middleware/auth');
+
+// All upload mapping routes require an authenticated user
+router.use(authMiddleware.requireAuth);
+
+// Get the mappable record fields and recognized headers
+router.get('/fields', authMiddleware.requirePermission('records:create'), uploadMappingController.getFields);
+
+// Get all upload mappings
+router.get('/', authMiddleware.requirePermission('records:create'), uploadMappingController.getAllMappings);
+
+// Get a specific upload mapping by ID
+router.get('/:id', authMiddleware.requirePermission('records:create'), uploadMappingController.getMappingById);
+
+// Create a new upload mapping (chairman and admin only)
+router.post('/', authMiddleware.requirePermission('mappings:manage'), uploadMappingController.createMapping);
+
+// Update an upload mapping (chairman and admin only)
+router.put('/:id', authMiddleware.requirePermission('mappings:manage'), uploadMappingController.updateMapping);
+
+// Delete an upload mapping (chairman and admin only)
+router.delete('/:id', authMiddleware.requirePermission('mappings:manage'), uploadMappingController.deleteMapping);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+/**
+ * Upload Batch Routes
+ * Handles API endpoints for previewing, committing and undoing bulk uploads
+ */
+
+const express = require('express');
+const router = express.Router();
+const uploadBatchController = require('../controllers/uploadBatchController');
+const authMiddleware = require('../middleware/auth');
+
+// All upload batch routes require an authenticated user who can upload records
+router.use(authMiddleware.requireAuth);
+router.use(authMiddleware.requirePermission('records:create'));
+
+// Get upload batches
+router.get('/', uploadBatchController.getBatches);
+
+// Get an upload batch with its per-row results
+router.get('/:batchId', uploadBatchController.getBatch);
+
+// Commit a previewed upload batch
+router.post('/:batchId/commit', uploadBatchController.commitBatch);
+
+// Undo a committed upload batch, or discard a preview
+router.delete('/:batchId', uploadBatchController.deleteBatch);
+
+module.exports = router;
@@ -6,31 +6,42 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
+const twoFactorController = require('../controllers/twoFactorController');
 const authMiddleware = require('../middleware/auth');
 const validationMiddleware = require('../middleware/validation');
 
-// Remove admin access requirement for all routes
-// router.use(authMiddleware.isAdmin);
+// All user routes require an authenticated user
+router.use(authMiddleware.requireAuth);
 
-// Get all users (no authentication required)
-router.get('/', userController.getAllUsers);
+// Get all users (admin only)
+router.get('/', authMiddleware.requirePermission('users:manage'), userController.getAllUsers);
 
-// Get a specific user by ID (no authentication required)
-router.get('/:id', userController.getUserById);
+// Get a specific user by ID (the user themselves or admin)
+router.get('/:id', authMiddleware.requireSelfOrPermission('users:manage'), userController.getUserById);
 
-// Create a new user (no authentication required)
-router.post('/', validationMiddleware.validateUser, userController.createUser);
+// Create a new user (admin only)
+router.post('/', authMiddleware.requirePermission('users:manage'), validationMiddleware.validateUser, userController.createUser);
 
-// Update a user (no authentication required)
-router.put('/:id', validationMiddleware.validateUser, userController.updateUser);
+// Update a user (admin only)
+router.put('/:id', authMiddleware.requirePermission('users:manage'), validationMiddleware.validateUser, userController.updateUser);
 
-// Change user password (no authentication required)
-router.put('/:id/password', validationMiddleware.validatePasswordChange, userController.changePassword);
+// Change user password (the user themselves or admin)
+router.put('/:id/password', 
+  authMiddleware.requireSelfOrPermission('users:manage'), 
+  validationMiddleware.validatePasswordChange, 
+  userController.changePassword
+);
 
-// Reset user password (generate a temporary password) (no authentication required)
-router.post('/:id/reset-password', userController.resetPassword);
+// Email a user a password reset link and require a new password (admin only)
+router.post('/:id/reset-password', authMiddleware.requirePermission('users:manage'), userController.resetPassword);
 
-// Delete a user (no authentication required)
-router.delete('/:id', userController.deleteUser);
+// Unlock an account locked after failed login attempts (admin only)
+router.post('/:id/unlock', authMiddleware.requirePermission('users:manage'), userController.unlockUser);
+
+// Reset a user's two-factor authentication (admin only)
+router.delete('/:id/2fa', authMiddleware.requirePermission('users:manage'), twoFactorController.resetUserTwoFactor);
+
+// Delete a user (admin only)
+router.delete('/:id', authMiddleware.requirePermission('users:manage'), userController.deleteUser);
 
 module.exports = router;
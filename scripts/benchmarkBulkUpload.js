@@ -0,0 +1,123 @@
+/**
+ * Bulk Upload Benchmark
+ * Compares the per-row findOne/save upload with the chunked bulkWrite upload.
+ *
+ * Usage: npm run benchmark:upload -- [rows]
+ * Runs against MONGODB_URI in a separate "ulpdsrd_benchmark" database, which is
+ * dropped afterwards; it never touches the application database.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const StudentRecord = require('../models/Student');
+const uploadBatches = require('../utils/uploadBatches');
+
+const DATABASE = 'ulpdsrd_benchmark';
+const ROWS = parseInt(process.argv[2]) || 5000;
+const COURSES = ['PHY101', 'PHY102', 'PHY201', 'PHY202', 'PHY301', 'PHY302', 'PHY401', 'PHY402'];
+
+// Stand-in for the request of an authenticated uploader
+const req = {
+  user: { id: new mongoose.Types.ObjectId().toString(), username: 'benchmark', name: 'Benchmark', userType: 'admin' },
+  method: 'POST',
+  originalUrl: '/benchmark',
+  ip: '127.0.0.1'
+};
+
+/**
+ * Generate upload rows for a semester
+ * @param {number} count - Number of rows
+ * @param {number} offset - Added to every score so a second pass updates the records
+ * @returns {Array<{row: number, record: object}>}
+ */
+const generateRows = (count, offset) => {
+  return Array.from({ length: count }, (value, index) => ({
+    row: index + 1,
+    record: {
+      studentId: `BM${String(Math.floor(index / COURSES.length)).padStart(6, '0')}`,
+      studentName: `Student ${Math.floor(index / COURSES.length)}`,
+      courseCode: COURSES[index % COURSES.length],
+      courseName: 'Physics',
+      numericGrade: (index * 7 + offset) % 101,
+      instructor: 'Benchmark Instructor',
+      yearCompleted: 2024,
+      semester: 'First'
+    }
+  }));
+};
+
+/**
+ * Apply rows one at a time with findOne and save (the previous implementation)
+ * @param {Array<{row: number, record: object}>} items - Upload rows
+ */
+const perRowUpload = async (items) => {
+  for (const { record: item } of items) {
+    const existing = await StudentRecord.findOne({ studentId: item.studentId, courseCode: item.courseCode });
+
+    if (existing) {
+      Object.assign(existing, item, { grade: '', updatedBy: req.user.id });
+      await existing.save();
+    } else {
+      await new StudentRecord({ ...item, updatedBy: req.user.id }).save();
+    }
+  }
+};
+
+/**
+ * Plan and commit rows as an upload batch
+ * @param {Array<{row: number, record: object}>} items - Upload rows
+ */
+const batchUpload = async (items) => {
+  const batch = await uploadBatches.planBatch(req, items, { type: 'json' });
+  await uploadBatches.commitBatch(batch, req, { skipRejected: true });
+};
+
+/**
+ * Time an upload against an empty collection (inserts) and again (updates)
+ * @param {string} name - Implementation name
+ * @param {Function} upload - async (items) => void
+ * @returns {Promise<object>} - Timings in milliseconds
+ */
+const measure = async (name, upload) => {
+  await mongoose.connection.db.dropDatabase();
+  await StudentRecord.syncIndexes();
+
+  const timings = { implementation: name };
+
+  let started = Date.now();
+  await upload(generateRows(ROWS, 0));
+  timings.insertMs = Date.now() - started;
+
+  started = Date.now();
+  await upload(generateRows(ROWS, 1));
+  timings.updateMs = Date.now() - started;
+
+  timings.records = await StudentRecord.countDocuments();
+  return timings;
+};
+
+const run = async () => {
+  if (!config.mongoURI) {
+    throw new Error('MONGODB_URI is not set');
+  }
+
+  await mongoose.connect(config.mongoURI, { dbName: DATABASE });
+  console.log(`Benchmarking ${ROWS} rows (chunk size ${config.uploads.chunkSize}) in database ${DATABASE}`);
+
+  try {
+    const results = [
+      await measure('per-row findOne/save', perRowUpload),
+      await measure('chunked bulkWrite', batchUpload)
+    ];
+    console.table(results);
+  } finally {
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.disconnect();
+  }
+};
+
+run().catch(error => {
+  console.error('Benchmark failed:', error.message);
+  process.exit(1);
+});
@@ -12,9 +12,13 @@ const config = require('./config/config');
 // Import middleware
 const sessionMiddleware = require('./middleware/session');
 const errorHandler = require('./middleware/errorHandler');
+const authMiddleware = require('./middleware/auth');
 
 // Import utilities
 const logger = require('./utils/logger');
+const auditTrail = require('./utils/auditTrail');
+const trash = require('./utils/trash');
+const backups = require('./utils/backups');
 
 // Initialize Express app
 const app = express();
@@ -24,6 +28,10 @@ app.use(cors(config.cors));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(sessionMiddleware);
+app.use(authMiddleware.authenticate);
+app.use(authMiddleware.enforcePasswordChange);
+app.use(authMiddleware.enforceTwoFactorSetup);
+app.use(auditTrail.auditMutations);
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -39,6 +47,12 @@ mongoose.connect(config.mongoURI)
   .then(() => {
     logger.info('MongoDB connected successfully');
     console.log('MongoDB connected successfully');
+
+    // Purge trashed records and users past the retention period
+    trash.startPurgeSchedule();
+
+    // Take scheduled backups
+    backups.startBackupSchedule();
   })
   .catch(err => {
     logger.error('MongoDB connection error', { error: err.message });
@@ -55,6 +69,18 @@ app.get('/', (req, res) => {
 app.use('/api/auth', require('./routes/authRoutes'));
 app.use('/api/students', require('./routes/studentRoutes'));
 app.use('/api/users', require('./routes/userRoutes'));
+app.use('/api/tokens', require('./routes/apiTokenRoutes'));
+app.use('/api/courses', require('./routes/courseRoutes'));
+app.use('/api/grading-scales', require('./routes/gradingScaleRoutes'));
+app.use('/api/upload-mappings', require('./routes/uploadMappingRoutes'));
+app.use('/api/uploads', require('./routes/uploadRoutes'));
+app.use('/api/submissions', require('./routes/submissionRoutes'));
+app.use('/api/periods', require('./routes/academicPeriodRoutes'));
+app.use('/api/instructors', require('./routes/instructorRoutes'));
+app.use('/api/analytics', require('./routes/analyticsRoutes'));
+app.use('/api/standing', require('./routes/standingRoutes'));
+app.use('/api/trash', require('./routes/trashRoutes'));
+app.use('/api/backups', require('./routes/backupRoutes'));
 app.use('/api/logs', require('./routes/activityLogRoutes'));
 
 // Error handling middleware
@@ -0,0 +1,125 @@
+/**
+ * Academic Periods Utility
+ * Refuses changes to student records in closed academic periods unless the
+ * user holds an active override, and logs every use of an override
+ */
+
+const AcademicPeriod = require('../models/AcademicPeriod');
+const academicTerms = require('./academicTerms');
+const auditTrail = require('./auditTrail');
+
+/**
+ * Get the period a record belongs to
+ * @param {object} record - Student record or record values
+ * @returns {{session: string, semester: string}}
+ */
+const getPeriod = (record) => ({
+  session: academicTerms.getSessionLabel(record),
+  semester: record.semester
+});
+
+/**
+ * Build the term key of the period a record belongs to
+ * @param {object} record - Student record or record values
+ * @returns {string}
+ */
+const periodKey = (record) => {
+  const period = getPeriod(record);
+  return academicTerms.getTermKey(period.session, period.semester);
+};
+
+/**
+ * Find the closed periods among those of the given records
+ * @param {Array<object>} records - Student records or record values
+ * @returns {Promise<Map<string, object>>} - Closed AcademicPeriod documents keyed by term key
+ */
+const findClosedPeriods = async (records) => {
+  const periods = new Map();
+  records.forEach(record => periods.set(periodKey(record), getPeriod(record)));
+
+  if (periods.size === 0) return new Map();
+
+  const closed = await AcademicPeriod.find({ closed: true, $or: [...periods.values()] });
+  return new Map(closed.map(period => [academicTerms.getTermKey(period.session, period.semester), period]));
+};
+
+/**
+ * Describe why changes to a closed period are refused
+ * @param {object} period - Closed AcademicPeriod
+ * @returns {{statusCode: number, message: string}}
+ */
+const closedError = (period) => ({
+  statusCode: 423,
+  message: `The ${period.semester} semester of ${period.session} is closed; an admin override is required to change its records`
+});
+
+/**
+ * Check whether a user may change records in the periods they belong to
+ * @param {object} user - Authenticated user
+ * @param {Array<object>} records - Student records or record values (before and after a change)
+ * @returns {Promise<object>} - { error, overrides: [{ period, override }] } where error is
+ *   { statusCode, message } for the first closed period without an override
+ */
+const checkPeriods = async (user, records) => {
+  const closed = await findClosedPeriods(records);
+  const overrides = [];
+
+  for (const period of closed.values()) {
+    const override = period.findOverride(user.id);
+    if (!override) {
+      return { error: closedError(period), overrides: [] };
+    }
+    overrides.push({ period, override });
+  }
+
+  return { error: null, overrides };
+};
+
+/**
+ * Log the use of period overrides for a change
+ * @param {object} req - Express request
+ * @param {Array<{period: object, override: object}>} overrides - Overrides used
+ * @param {object} details - Change being made ({ action, recordId, batchId })
+ */
+const logOverrideUse = async (req, overrides, details = {}) => {
+  if (overrides.length === 0) return;
+
+  await auditTrail.recordMany(req, overrides.map(({ period, override }) => ({
+    action: auditTrail.ACTIONS.PERIOD_OVERRIDE_USE,
+    targetType: 'AcademicPeriod',
+    targetId: period._id,
+    details: {
+      ...details,
+      session: period.session,
+      semester: period.semester,
+      overrideId: override._id,
+      reason: override.reason,
+      expiresAt: override.expiresAt
+    }
+  })));
+};
+
+/**
+ * Check that a user may change the given records, logging any override used
+ * @param {object} req - Express request (provides the acting user)
+ * @param {Array<object>} records - Student records or record values (before and after a change)
+ * @param {object} details - Change being made, included in the override log
+ * @returns {Promise<{statusCode: number, message: string}|null>} - Why the change is refused, if it is
+ */
+const periodError = async (req, records, details) => {
+  const { error, overrides } = await checkPeriods(req.user, records);
+  if (error) return error;
+
+  await logOverrideUse(req, overrides, details);
+  return null;
+};
+
+module.exports = {
+  getPeriod,
+  periodKey,
+  findClosedPeriods,
+  closedError,
+  checkPeriods,
+  logOverrideUse,
+  periodError
+};
@@ -0,0 +1,372 @@
+/**
+ * Academic Standing Utility
+ * Rules engine deciding each student's academic standing (good standing,
+ * warning, probation, dismissal candidate) and honors (dean's list, honor
+ * roll) per term from the term and cumulative GPA, using the thresholds in
+ * config.standing. Only final (approved or locked) grades count.
+ *
+ * Students whose courses carry no credit hours (not in the catalog, and no
+ * default configured) have no GPA; they are decided on the average of their
+ * numeric grades instead, using the rules' average thresholds.
+ *
+ * Decisions are persisted as standing snapshots. A term that has a snapshot
+ * keeps its decision when rules or grades change, unless it is recomputed,
+ * and later terms build on the decided standing (e.g. repeated probation).
+ */
+
+const crypto = require('crypto');
+const StudentRecord = require('../models/Student');
+const StandingSnapshot = require('../models/StandingSnapshot');
+const config = require('../config/config');
+const academicTerms = require('./academicTerms');
+const gpa = require('./gpa');
+const gradingScale = require('./gradingScale');
+const gradeAnalytics = require('./gradeAnalytics');
+
+const GOOD_STANDING = { standing: 'good_standing', label: 'Good standing' };
+
+// Students without any graded credits or numeric grades yet
+const NOT_EVALUATED = { standing: 'not_evaluated', label: 'Not evaluated' };
+
+// Rule conditions: each receives the term's facts and the configured threshold
+const CONDITIONS = {
+  termGpaBelow: (facts, value) => facts.termGpa !== null && facts.termGpa < value,
+  termGpaAtLeast: (facts, value) => facts.termGpa !== null && facts.termGpa >= value,
+  cumulativeGpaBelow: (facts, value) => facts.cumulativeGpa !== null && facts.cumulativeGpa < value,
+  cumulativeGpaAtLeast: (facts, value) => facts.cumulativeGpa !== null && facts.cumulativeGpa >= value,
+  termAverageBelow: (facts, value) => facts.termAverage !== null && facts.termAverage < value,
+  termAverageAtLeast: (facts, value) => facts.termAverage !== null && facts.termAverage >= value,
+  cumulativeAverageBelow: (facts, value) => facts.cumulativeAverage !== null && facts.cumulativeAverage < value,
+  cumulativeAverageAtLeast: (facts, value) => facts.cumulativeAverage !== null && facts.cumulativeAverage >= value,
+  minTermCredits: (facts, value) => facts.termCredits >= value,
+  minTermCourses: (facts, value) => facts.termCourses >= value,
+  maxTermFailures: (facts, value) => facts.termFailures <= value,
+  previousStanding: (facts, value) => value.includes(facts.previousStanding),
+  standing: (facts, value) => value.includes(facts.standing)
+};
+
+// Conditions that only apply to one basis; the others apply to both
+const BASIS_CONDITIONS = {
+  termGpaBelow: 'gpa',
+  termGpaAtLeast: 'gpa',
+  cumulativeGpaBelow: 'gpa',
+  cumulativeGpaAtLeast: 'gpa',
+  minTermCredits: 'gpa',
+  termAverageBelow: 'average',
+  termAverageAtLeast: 'average',
+  cumulativeAverageBelow: 'average',
+  cumulativeAverageAtLeast: 'average'
+};
+
+/**
+ * Check that configured rules only use known conditions
+ * @param {Array<object>} rules - Standing or honor rules
+ * @param {string} kind - Rule kind for error messages
+ */
+const validateRules = (rules, kind) => {
+  rules.forEach(rule => {
+    Object.keys(rule.when || {}).forEach(condition => {
+      if (!CONDITIONS[condition]) {
+        throw new Error(`Unknown ${kind} rule condition: ${condition}`);
+      }
+    });
+  });
+};
+
+validateRules(config.standing.rules, 'standing');
+validateRules(config.standing.honors, 'honor');
+
+/**
+ * Get a short fingerprint of the rules in effect
+ * @returns {string}
+ */
+const rulesVersion = () => {
+  const { rules, honors } = config.standing;
+  return crypto.createHash('sha256').update(JSON.stringify({ rules, honors })).digest('hex').slice(0, 12);
+};
+
+/**
+ * Check whether all conditions of a rule hold
+ * Conditions of the other basis are skipped; a rule with basis conditions
+ * only applies when it has some for the term's basis.
+ * @param {object} rule - Standing or honor rule ({ when })
+ * @param {object} facts - Term facts
+ * @returns {boolean}
+ */
+const matches = (rule, facts) => {
+  const conditions = Object.entries(rule.when || {});
+  const applicable = conditions.filter(([condition]) => !BASIS_CONDITIONS[condition] || BASIS_CONDITIONS[condition] === facts.basis);
+
+  if (conditions.some(([condition]) => BASIS_CONDITIONS[condition]) &&
+    !applicable.some(([condition]) => BASIS_CONDITIONS[condition])) {
+    return false;
+  }
+
+  return applicable.every(([condition, value]) => CONDITIONS[condition](facts, value));
+};
+
+/**
+ * Get the basis a term is decided on
+ * @param {object} facts - Term facts
+ * @returns {string|null} - 'gpa', 'average', or null when neither is known
+ */
+const getBasis = (facts) => {
+  if (facts.cumulativeGpa !== null) return 'gpa';
+  if (facts.cumulativeAverage !== null) return 'average';
+  return null;
+};
+
+/**
+ * Average the numeric grades of some records
+ * @param {Array<object>} records - Student records
+ * @returns {number|null}
+ */
+const averageGrade = (records) => {
+  const values = records.map(record => record.numericGrade).filter(value => typeof value === 'number');
+  return values.length > 0 ? gradeAnalytics.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+};
+
+/**
+ * Decide the standing and honor of one term
+ * @param {object} facts - { termGpa, cumulativeGpa, termAverage, cumulativeAverage, termCredits, termCourses, termFailures, previousStanding }
+ * @returns {{basis: string|null, standing: string, standingLabel: string, honor: string|null, honorLabel: string|null}}
+ */
+const evaluateTerm = (facts) => {
+  const basis = getBasis(facts);
+
+  if (!basis) {
+    return { basis, standing: NOT_EVALUATED.standing, standingLabel: NOT_EVALUATED.label, honor: null, honorLabel: null };
+  }
+
+  const rule = config.standing.rules.find(item => matches(item, { ...facts, basis }));
+  const standing = rule ? { standing: rule.standing, label: rule.label } : GOOD_STANDING;
+  const honor = config.standing.honors.find(item => matches(item, { ...facts, basis, standing: standing.standing }));
+
+  return {
+    basis,
+    standing: standing.standing,
+    standingLabel: standing.label || standing.standing,
+    honor: honor ? honor.honor : null,
+    honorLabel: honor ? (honor.label || honor.honor) : null
+  };
+};
+
+/**
+ * Check whether a record's letter grade is failing
+ * @param {object} record - Student record
+ * @returns {boolean}
+ */
+const isFailing = (record) => {
+  return config.analytics.failingGrades.includes(String(record.grade || '').trim().toUpperCase());
+};
+
+/**
+ * Decide the standing of a student in every term, oldest first
+ * Terms with a snapshot report it and pass its standing on to the next term.
+ * @param {Array<object>} records - Final records of the student
+ * @param {Map<string, object>} courses - Catalog courses keyed by normalized code
+ * @param {Array<object>} scales - Stored grading scales, newest first
+ * @param {Map<string, object>} snapshots - Snapshots of the student keyed by term key
+ * @returns {Array<object>}
+ */
+const evaluateStudent = (records, courses, scales, snapshots = new Map()) => {
+  const completed = [];
+  const termRecords = new Map(academicTerms.groupByTerm(records).map(term => {
+    completed.push(...term.records);
+
+    return [academicTerms.getTermKey(term.session, term.semester), {
+      courses: term.records.length,
+      failures: term.records.filter(isFailing).length,
+      average: averageGrade(term.records),
+      cumulativeAverage: averageGrade(completed)
+    }];
+  }));
+
+  let previousStanding = null;
+  let cumulativeCredits = 0;
+
+  return gpa.computeGpa(records, courses, scales).terms.map(term => {
+    const termKey = academicTerms.getTermKey(term.session, term.semester);
+    const grades = termRecords.get(termKey);
+    cumulativeCredits += term.credits;
+
+    const facts = {
+      termCredits: term.credits,
+      termCourses: grades.courses,
+      termGpa: term.gpa,
+      termAverage: grades.average,
+      cumulativeCredits,
+      cumulativeGpa: term.cumulativeGpa,
+      cumulativeAverage: grades.cumulativeAverage,
+      termFailures: grades.failures,
+      previousStanding
+    };
+
+    const evaluation = { session: term.session, semester: term.semester, ...facts, ...evaluateTerm(facts) };
+    const snapshot = snapshots.get(termKey) || null;
+
+    previousStanding = snapshot ? snapshot.standing : evaluation.standing;
+
+    return { ...evaluation, snapshot };
+  });
+};
+
+/**
+ * Build the filter for the records of a term
+ * Records without a session belong to the session labelled with their year.
+ * @param {string} session - Session label
+ * @param {string} semester - Semester name
+ * @returns {object}
+ */
+const termFilter = (session, semester) => {
+  const sessions = [{ session }];
+
+  if (/^\d{4}$/.test(session)) {
+    sessions.push({ session: { $in: ['', null] }, yearCompleted: parseInt(session) });
+  }
+
+  return { semester, $or: sessions };
+};
+
+/**
+ * Load the final records, courses, scales and snapshots of some students
+ * @param {string[]} studentIds - Student IDs
+ * @returns {Promise<object>} - { recordsByStudent, courses, scales, snapshotsByStudent }
+ */
+const loadStudents = async (studentIds) => {
+  const [records, snapshots, scales] = await Promise.all([
+    StudentRecord.find({ studentId: { $in: studentIds }, ...gpa.FINAL_GRADES }).lean(),
+    StandingSnapshot.find({ studentId: { $in: studentIds } }).lean(),
+    gradingScale.loadScales()
+  ]);
+
+  const courses = await gpa.loadCourses(records);
+  const recordsByStudent = new Map();
+  const snapshotsByStudent = new Map();
+
+  records.forEach(record => {
+    if (!recordsByStudent.has(record.studentId)) recordsByStudent.set(record.studentId, []);
+    recordsByStudent.get(record.studentId).push(record);
+  });
+
+  snapshots.forEach(snapshot => {
+    if (!snapshotsByStudent.has(snapshot.studentId)) snapshotsByStudent.set(snapshot.studentId, new Map());
+    snapshotsByStudent.get(snapshot.studentId).set(academicTerms.getTermKey(snapshot.session, snapshot.semester), snapshot);
+  });
+
+  return { recordsByStudent, courses, scales, snapshotsByStudent };
+};
+
+/**
+ * Decide the standing of one student in every term
+ * @param {string} studentId - Student ID
+ * @returns {Promise<Array<object>>}
+ */
+const getStudentStanding = async (studentId) => {
+  const { recordsByStudent, courses, scales, snapshotsByStudent } = await loadStudents([studentId]);
+
+  return evaluateStudent(
+    recordsByStudent.get(studentId) || [],
+    courses,
+    scales,
+    snapshotsByStudent.get(studentId)
+  );
+};
+
+/**
+ * Decide the standing of every student with final grades in a term
+ * @param {string} session - Session label
+ * @param {string} semester - Semester name
+ * @returns {Promise<Array<object>>} - One evaluation per student, with its snapshot if one exists
+ */
+const computeTermStanding = async (session, semester) => {
+  const studentIds = await StudentRecord.distinct('studentId', { ...termFilter(session, semester), ...gpa.FINAL_GRADES });
+
+  if (studentIds.length === 0) return [];
+
+  const { recordsByStudent, courses, scales, snapshotsByStudent } = await loadStudents(studentIds);
+
+  return studentIds
+    .map(studentId => {
+      const records = recordsByStudent.get(studentId) || [];
+      const term = evaluateStudent(records, courses, scales, snapshotsByStudent.get(studentId))
+        .find(item => item.session === session && item.semester === semester);
+
+      return term && { studentId, studentName: records[0].studentName, ...term };
+    })
+    .filter(Boolean)
+    .sort((a, b) => String(a.studentId).localeCompare(String(b.studentId)));
+};
+
+/**
+ * Persist the standing of a term as snapshots
+ * Students who already have a snapshot for the term keep it unless recompute is set.
+ * @param {Array<object>} results - Evaluations from computeTermStanding()
+ * @param {object} options - { recompute, user }
+ * @returns {Promise<{saved: number, kept: number}>}
+ */
+const saveSnapshots = async (results, options = {}) => {
+  const toSave = results.filter(result => options.recompute || !result.snapshot);
+  const rules = { rules: config.standing.rules, honors: config.standing.honors };
+  const version = rulesVersion();
+
+  if (toSave.length > 0) {
+    await StandingSnapshot.bulkWrite(toSave.map(result => ({
+      updateOne: {
+        filter: { studentId: result.studentId, session: result.session, semester: result.semester },
+        update: {
+          $set: {
+            studentName: result.studentName,
+            basis: result.basis,
+            termCredits: result.termCredits,
+            termCourses: result.termCourses,
+            termGpa: result.termGpa,
+            termAverage: result.termAverage,
+            cumulativeCredits: result.cumulativeCredits,
+            cumulativeGpa: result.cumulativeGpa,
+            cumulativeAverage: result.cumulativeAverage,
+            termFailures: result.termFailures,
+            previousStanding: result.previousStanding,
+            standing: result.standing,
+            standingLabel: result.standingLabel,
+            honor: result.honor,
+            honorLabel: result.honorLabel,
+            rules,
+            rulesVersion: version,
+            computedBy: options.user ? options.user.id : undefined
+          }
+        },
+        upsert: true
+      }
+    })), { ordered: false });
+  }
+
+  return { saved: toSave.length, kept: results.length - toSave.length };
+};
+
+/**
+ * Count evaluations or snapshots by standing and by honor
+ * @param {Array<object>} items - Evaluations or snapshots
+ * @returns {{standing: object, honors: object}}
+ */
+const countByStanding = (items) => {
+  return items.reduce((counts, item) => {
+    counts.standing[item.standing] = (counts.standing[item.standing] || 0) + 1;
+    if (item.honor) counts.honors[item.honor] = (counts.honors[item.honor] || 0) + 1;
+    return counts;
+  }, { standing: {}, honors: {} });
+};
+
+module.exports = {
+  GOOD_STANDING,
+  NOT_EVALUATED,
+  CONDITIONS,
+  rulesVersion,
+  evaluateTerm,
+  evaluateStudent,
+  termFilter,
+  getStudentStanding,
+  computeTermStanding,
+  saveSnapshots,
+  countByStanding
+};
@@ -0,0 +1,101 @@
+/**
+ * Academic Terms Utility
+ * Groups student records into academic terms (session + semester) in chronological order
+ */
+
+const config = require('../config/config');
+
+/**
+ * Get the academic session label of a record
+ * Records without a session fall back to the year they were completed.
+ * @param {object} record - Student record
+ * @returns {string}
+ */
+const getSessionLabel = (record) => {
+  return record.session || String(record.yearCompleted || '');
+};
+
+/**
+ * Get a sortable year for a session label such as "2019/2020" or "2019"
+ * @param {string} session - Session label
+ * @param {number} fallbackYear - Year used when the label holds no year
+ * @returns {number}
+ */
+const getSessionYear = (session, fallbackYear) => {
+  const match = /\d{4}/.exec(session || '');
+  return match ? parseInt(match[0]) : (fallbackYear || 0);
+};
+
+/**
+ * Get the position of a semester in the academic year
+ * @param {string} semester - Semester name
+ * @returns {number}
+ */
+const getSemesterIndex = (semester) => {
+  const index = config.semesters.indexOf(semester);
+  return index === -1 ? config.semesters.length : index;
+};
+
+/**
+ * Normalize a semester value ("1", "2nd", "first semester") to a configured semester name
+ * @param {*} value - Semester value
+ * @returns {string|null} - Semester name, or null when the value is not recognized
+ */
+const normalizeSemester = (value) => {
+  const text = (value === undefined || value === null ? '' : String(value)).trim().toLowerCase();
+  const ordinals = [['1', '1st', 'first'], ['2', '2nd', 'second'], ['3', '3rd', 'third']];
+
+  const index = ordinals.findIndex(names => names.some(name =>
+    text === name || text === `${name} semester` || text === `semester ${name}`
+  ));
+
+  return index === -1 ? null : config.semesters[index];
+};
+
+/**
+ * Build a unique key for a term
+ * @param {string} session - Session label
+ * @param {string} semester - Semester name
+ * @returns {string}
+ */
+const getTermKey = (session, semester) => `${session}|${semester}`;
+
+/**
+ * Group records by term, oldest term first
+ * @param {Array<object>} records - Student records
+ * @returns {Array<{session: string, semester: string, year: number, records: Array}>}
+ */
+const groupByTerm = (records) => {
+  const terms = new Map();
+
+  records.forEach(record => {
+    const session = getSessionLabel(record);
+    const key = getTermKey(session, record.semester);
+
+    if (!terms.has(key)) {
+      terms.set(key, {
+        session,
+        semester: record.semester,
+        year: getSessionYear(session, record.yearCompleted),
+        records: []
+      });
+    }
+
+    terms.get(key).records.push(record);
+  });
+
+  return [...terms.values()].sort((a, b) => {
+    if (a.year !== b.year) return a.year - b.year;
+    if (a.session !== b.session) return a.session.localeCompare(b.session);
+    return getSemesterIndex(a.semester) - getSemesterIndex(b.semester);
+  });
+};
+
+module.exports = {
+  getSessionLabel,
+  getSessionYear,
+  getSemesterIndex,
+  normalizeSemester,
+  getTermKey,
+  groupByTerm
+};
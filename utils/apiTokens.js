@@ -0,0 +1,114 @@
+/**
+ * API Tokens Utility
+ * Issues personal access tokens and resolves the user behind a bearer token
+ */
+
+const ApiToken = require('../models/ApiToken');
+const User = require('../models/User');
+const config = require('../config/config');
+const cryptoUtil = require('./crypto');
+
+/**
+ * Extract the bearer token from the Authorization header
+ * @param {object} req - Express request
+ * @returns {string|null}
+ */
+const bearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+};
+
+/**
+ * Find scopes a user may not grant to a token
+ * A token can only carry permissions its owner's role holds.
+ * @param {object} user - Token owner ({ userType })
+ * @param {string[]} scopes - Requested permission names
+ * @returns {string[]} - Unknown or unheld scopes
+ */
+const invalidScopes = (user, scopes) => {
+  return scopes.filter(scope => {
+    const roles = config.permissions[scope];
+    return !roles || !roles.includes(user.userType);
+  });
+};
+
+/**
+ * Create a token for a user
+ * @param {object} user - Token owner (session user or User document)
+ * @param {object} options - { name, scopes, expiresInDays }
+ * @returns {Promise<{token: string, apiToken: object}>} - The token (shown once) and its stored document
+ */
+const createToken = async (user, { name, scopes, expiresInDays }) => {
+  const token = `${config.apiTokens.prefix}${cryptoUtil.generateToken()}`;
+
+  const apiToken = await ApiToken.create({
+    user: user.id || user._id,
+    name,
+    tokenHash: cryptoUtil.hashToken(token),
+    prefix: token.slice(0, config.apiTokens.prefix.length + 6),
+    scopes: [...new Set(scopes)],
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+  });
+
+  return { token, apiToken };
+};
+
+/**
+ * Resolve the user behind a bearer token
+ * Records when and from where the token was last used (at most once per interval).
+ * @param {string} token - Bearer token
+ * @param {string} ip - Client IP
+ * @returns {Promise<object|null>} - Request user carrying the token's scopes, or null when the
+ *   token is unknown, revoked or expired, or its owner is deactivated
+ */
+const resolveToken = async (token, ip) => {
+  const apiToken = await ApiToken.findOne({ tokenHash: cryptoUtil.hashToken(token) });
+  if (!apiToken || !apiToken.isActive()) return null;
+
+  const user = await User.findById(apiToken.user).select('username userType name active mustChangePassword');
+  if (!user || !user.active) return null;
+
+  const lastUsedAt = apiToken.lastUsedAt ? apiToken.lastUsedAt.getTime() : 0;
+  if (Date.now() - lastUsedAt >= config.apiTokens.lastUsedIntervalSeconds * 1000) {
+    await ApiToken.updateOne({ _id: apiToken._id }, { $set: { lastUsedAt: new Date(), lastUsedIp: ip } });
+  }
+
+  return {
+    id: String(user._id),
+    username: user.username,
+    userType: user.userType,
+    name: user.name,
+    mustChangePassword: user.mustChangePassword,
+    tokenId: String(apiToken._id),
+    tokenScopes: apiToken.scopes
+  };
+};
+
+/**
+ * Convert a token document to its public form (never includes the hash)
+ * @param {object} apiToken - ApiToken document
+ * @returns {object}
+ */
+const toPublic = (apiToken) => ({
+  _id: apiToken._id,
+  user: apiToken.user,
+  name: apiToken.name,
+  prefix: apiToken.prefix,
+  scopes: apiToken.scopes,
+  expiresAt: apiToken.expiresAt,
+  lastUsedAt: apiToken.lastUsedAt || null,
+  lastUsedIp: apiToken.lastUsedIp || null,
+  revokedAt: apiToken.revokedAt || null,
+  revokedBy: apiToken.revokedBy || null,
+  active: apiToken.isActive(),
+  createdAt: apiToken.createdAt
+});
+
+module.exports = {
+  bearerToken,
+  invalidScopes,
+  createToken,
+  resolveToken,
+  toPublic
+};
@@ -0,0 +1,251 @@
+/**
+ * Audit Trail Utility
+ * Writes server-side activity log entries for every mutation.
+ * The actor is always taken from the authenticated request, never from the client.
+ */
+
+const mongoose = require('mongoose');
+const ActivityLog = require('../models/ActivityLog');
+const logger = require('./logger');
+
+// Action names written by the server
+const ACTIONS = {
+  LOGIN: 'LOGIN',
+  LOGOUT: 'LOGOUT',
+  LOGIN_FAILED: 'LOGIN_FAILED',
+  ACCOUNT_LOCKED: 'ACCOUNT_LOCKED',
+  ACCOUNT_UNLOCKED: 'ACCOUNT_UNLOCKED',
+  SESSION_REVOKE: 'SESSION_REVOKE',
+  TWO_FACTOR_ENABLE: 'TWO_FACTOR_ENABLE',
+  TWO_FACTOR_DISABLE: 'TWO_FACTOR_DISABLE',
+  TWO_FACTOR_RESET: 'TWO_FACTOR_RESET',
+  TWO_FACTOR_RECOVERY_CODES: 'TWO_FACTOR_RECOVERY_CODES',
+  API_TOKEN_CREATE: 'API_TOKEN_CREATE',
+  API_TOKEN_REVOKE: 'API_TOKEN_REVOKE',
+  USER_REGISTER: 'USER_REGISTER',
+  USER_CREATE: 'USER_CREATE',
+  USER_UPDATE: 'USER_UPDATE',
+  USER_DELETE: 'USER_DELETE',
+  USER_RESTORE: 'USER_RESTORE',
+  PASSWORD_CHANGE: 'PASSWORD_CHANGE',
+  PASSWORD_RESET: 'PASSWORD_RESET',
+  PASSWORD_RESET_REQUEST: 'PASSWORD_RESET_REQUEST',
+  RECORD_CREATE: 'RECORD_CREATE',
+  RECORD_UPDATE: 'RECORD_UPDATE',
+  RECORD_DELETE: 'RECORD_DELETE',
+  RECORD_REVERT: 'RECORD_REVERT',
+  RECORDS_DELETE_ALL: 'RECORDS_DELETE_ALL',
+  RECORD_RESTORE: 'RECORD_RESTORE',
+  RECORDS_RESTORE: 'RECORDS_RESTORE',
+  TRASH_PURGE: 'TRASH_PURGE',
+  RECORDS_EXPORT: 'RECORDS_EXPORT',
+  GRADE_SUBMIT: 'GRADE_SUBMIT',
+  GRADE_RETURN: 'GRADE_RETURN',
+  GRADE_APPROVE: 'GRADE_APPROVE',
+  GRADE_LOCK: 'GRADE_LOCK',
+  GRADE_REOPEN: 'GRADE_REOPEN',
+  PERIOD_CLOSE: 'PERIOD_CLOSE',
+  PERIOD_REOPEN: 'PERIOD_REOPEN',
+  PERIOD_OVERRIDE_GRANT: 'PERIOD_OVERRIDE_GRANT',
+  PERIOD_OVERRIDE_REVOKE: 'PERIOD_OVERRIDE_REVOKE',
+  PERIOD_OVERRIDE_USE: 'PERIOD_OVERRIDE_USE',
+  BULK_UPLOAD: 'BULK_UPLOAD',
+  UPLOAD_BATCH_PREVIEW: 'UPLOAD_BATCH_PREVIEW',
+  UPLOAD_BATCH_DISCARD: 'UPLOAD_BATCH_DISCARD',
+  UPLOAD_BATCH_UNDO: 'UPLOAD_BATCH_UNDO',
+  TRANSCRIPT_GENERATE: 'TRANSCRIPT_GENERATE',
+  STANDING_COMPUTE: 'STANDING_COMPUTE',
+  COURSE_CREATE: 'COURSE_CREATE',
+  COURSE_UPDATE: 'COURSE_UPDATE',
+  COURSE_DELETE: 'COURSE_DELETE',
+  COURSE_LINK_RECORDS: 'COURSE_LINK_RECORDS',
+  COURSE_ASSIGN_INSTRUCTORS: 'COURSE_ASSIGN_INSTRUCTORS',
+  INSTRUCTOR_RECONCILE: 'INSTRUCTOR_RECONCILE',
+  GRADING_SCALE_CREATE: 'GRADING_SCALE_CREATE',
+  GRADING_SCALE_UPDATE: 'GRADING_SCALE_UPDATE',
+  GRADING_SCALE_DELETE: 'GRADING_SCALE_DELETE',
+  GRADING_SCALE_VALIDATE: 'GRADING_SCALE_VALIDATE',
+  UPLOAD_MAPPING_CREATE: 'UPLOAD_MAPPING_CREATE',
+  UPLOAD_MAPPING_UPDATE: 'UPLOAD_MAPPING_UPDATE',
+  UPLOAD_MAPPING_DELETE: 'UPLOAD_MAPPING_DELETE',
+  LOGS_CLEANUP: 'LOGS_CLEANUP',
+  CONFIRMATION_REQUEST: 'CONFIRMATION_REQUEST',
+  BACKUP_CREATE: 'BACKUP_CREATE',
+  BACKUP_RESTORE: 'BACKUP_RESTORE'
+};
+
+// Fields never included in diffs
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'password'];
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Convert a mongoose document (or plain object) to a plain object
+ * @param {object} doc - Document or plain object
+ * @returns {object}
+ */
+const toPlainObject = (doc) => {
+  if (!doc) return {};
+  if (typeof doc.toObject === 'function') {
+    return doc.toObject({ depopulate: true, virtuals: false, transform: false });
+  }
+  return doc;
+};
+
+/**
+ * Normalize a value so that ObjectIds, Dates and nested objects compare by value
+ * @param {*} value - Value to normalize
+ * @returns {*}
+ */
+const normalizeValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value) || typeof value === 'object') return JSON.parse(JSON.stringify(value));
+  return value;
+};
+
+/**
+ * Compute a field-level diff between two versions of a document
+ * @param {object} before - Previous version (document or plain object)
+ * @param {object} after - New version (document or plain object)
+ * @param {string[]} fields - Fields to compare (defaults to all fields of both versions)
+ * @returns {Array<{field: string, from: *, to: *}>}
+ */
+const diff = (before, after, fields) => {
+  const previous = toPlainObject(before);
+  const current = toPlainObject(after);
+
+  const keys = fields || [...new Set([...Object.keys(previous), ...Object.keys(current)])];
+
+  return keys
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .map(field => ({
+      field,
+      from: normalizeValue(previous[field]),
+      to: normalizeValue(current[field])
+    }))
+    .filter(change => JSON.stringify(change.from) !== JSON.stringify(change.to));
+};
+
+/**
+ * Get the client IP address for a request
+ * @param {object} req - Express request
+ * @returns {string|undefined}
+ */
+const getClientIp = (req) => {
+  return req.ip || (req.connection && req.connection.remoteAddress);
+};
+
+/**
+ * Build an ActivityLog document for a request
+ * @param {object} req - Express request
+ * @param {string} action - Action name (see ACTIONS)
+ * @param {object} options - Target, before/after versions, details and actor override
+ * @returns {object}
+ */
+const buildEntry = (req, action, options = {}) => {
+  const { targetType, targetId, before, after, details, user } = options;
+  const actor = user || req.user;
+
+  const entry = {
+    user: actor && mongoose.Types.ObjectId.isValid(actor.id || actor._id) ? (actor.id || actor._id) : undefined,
+    username: actor ? (actor.name || actor.username) : 'system',
+    userType: actor ? actor.userType : 'system',
+    action,
+    details: details || {},
+    ipAddress: getClientIp(req),
+    source: 'server',
+    method: req.method,
+    route: req.originalUrl,
+    targetType,
+    targetId: targetId ? targetId.toString() : undefined
+  };
+
+  if (before || after) {
+    entry.changes = diff(before, after);
+  }
+
+  // Note changes made through a personal API token
+  if (actor && actor.tokenId) {
+    entry.details = { ...entry.details, apiToken: actor.tokenId };
+  }
+
+  return entry;
+};
+
+/**
+ * Write an audit entry for a request
+ * Failures are logged but never interrupt the operation being audited.
+ * @param {object} req - Express request
+ * @param {string} action - Action name (see ACTIONS)
+ * @param {object} options - Target, before/after versions, details and actor override
+ */
+const record = async (req, action, options = {}) => {
+  req.auditLogged = true;
+
+  try {
+    const entry = buildEntry(req, action, options);
+    await ActivityLog.create(entry);
+    logger.audit(action, { user: entry.username, targetType: entry.targetType, targetId: entry.targetId });
+  } catch (error) {
+    logger.error('Error writing audit log', { action, error: error.message });
+  }
+};
+
+/**
+ * Write several audit entries for a request in one round trip
+ * @param {object} req - Express request
+ * @param {Array<{action: string}>} entries - Entries with the same options as record()
+ */
+const recordMany = async (req, entries) => {
+  req.auditLogged = true;
+
+  if (!entries.length) return;
+
+  try {
+    await ActivityLog.insertMany(
+      entries.map(({ action, ...options }) => buildEntry(req, action, options)),
+      { ordered: false }
+    );
+  } catch (error) {
+    logger.error('Error writing audit logs', { count: entries.length, error: error.message });
+  }
+};
+
+/**
+ * Write an audit entry for a scheduled job (no request; recorded as 'system')
+ * @param {string} action - Action name (see ACTIONS)
+ * @param {object} options - Target and details, as for record()
+ */
+const recordSystem = (action, options = {}) => record({}, action, options);
+
+/**
+ * Middleware that audits any successful mutation not already audited by its controller
+ * Keeps new routes covered even if they forget to call record().
+ */
+const auditMutations = (req, res, next) => {
+  if (!MUTATING_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  res.on('finish', () => {
+    if (req.auditLogged || res.statusCode >= 400) return;
+
+    record(req, `${req.method} ${req.originalUrl.split('?')[0]}`, {
+      details: { params: req.params, statusCode: res.statusCode }
+    });
+  });
+
+  next();
+};
+
+module.exports = {
+  ACTIONS,
+  diff,
+  getClientIp,
+  record,
+  recordMany,
+  recordSystem,
+  auditMutations
+};
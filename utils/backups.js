@@ -0,0 +1,505 @@
+/**
+ * Backups Utility
+ * Writes and restores compressed, checksummed backups of the database
+ *
+ * A backup is a directory under config.backups.dir holding one gzipped
+ * NDJSON file per collection (one Extended JSON document per line, so
+ * ObjectIds and dates survive) and a manifest.json with the document count
+ * and SHA-256 checksum of every file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const readline = require('readline');
+const { pipeline } = require('stream/promises');
+const { Readable, Transform } = require('stream');
+const mongoose = require('mongoose');
+const StudentRecord = require('../models/Student');
+const User = require('../models/User');
+const ActivityLog = require('../models/ActivityLog');
+const StandingSnapshot = require('../models/StandingSnapshot');
+const config = require('../config/config');
+const cryptoUtil = require('./crypto');
+const auditTrail = require('./auditTrail');
+const logger = require('./logger');
+
+const { EJSON } = mongoose.mongo.BSON;
+
+const MANIFEST_FILE = 'manifest.json';
+
+// Collections included in backups and how each is restored:
+//   replace - the collection is made identical to the backup
+//   merge   - missing documents are inserted and existing ones updated; nothing is deleted
+//   append  - only missing documents are inserted (activity logs are never altered)
+const COLLECTIONS = {
+  students: {
+    model: StudentRecord,
+    mode: 'replace'
+  },
+  users: {
+    model: User,
+    mode: 'merge',
+    // Passwords and two-factor secrets never leave the database
+    projection: {
+      password: 0,
+      'twoFactor.secret': 0,
+      'twoFactor.pendingSecret': 0,
+      'twoFactor.recoveryCodes': 0,
+      'twoFactor.lastUsedStep': 0
+    }
+  },
+  activityLogs: {
+    model: ActivityLog,
+    mode: 'append'
+  },
+  standingSnapshots: {
+    model: StandingSnapshot,
+    mode: 'replace'
+  }
+};
+
+// Reasons a backup is taken; automatic ones are pruned beyond config.backups.keep
+const AUTOMATIC_REASONS = ['scheduled', 'snapshot'];
+
+// Only one backup or restore runs at a time
+let busy = false;
+
+/**
+ * Build an error carrying an HTTP status code
+ * @param {number} statusCode - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Get the directory holding all backups
+ * @returns {string}
+ */
+const backupsDir = () => path.resolve(__dirname, '..', config.backups.dir);
+
+/**
+ * Get the directory of one backup, refusing IDs that would escape the backups directory
+ * @param {string} id - Backup ID
+ * @returns {string}
+ */
+const backupDir = (id) => {
+  if (!/^[\w-]+$/.test(String(id))) {
+    throw httpError(400, 'Invalid backup ID');
+  }
+  return path.join(backupsDir(), id);
+};
+
+/**
+ * Run a backup or restore exclusively
+ * @param {Function} task - Async task
+ * @returns {Promise<*>}
+ */
+const exclusive = async (task) => {
+  if (busy) {
+    throw httpError(409, 'Another backup or restore is in progress; try again shortly');
+  }
+
+  busy = true;
+  try {
+    return await task();
+  } finally {
+    busy = false;
+  }
+};
+
+/**
+ * Validate collection names
+ * @param {string[]} names - Requested collections (all when empty)
+ * @returns {string[]}
+ */
+const resolveCollections = (names) => {
+  if (!names || names.length === 0) return Object.keys(COLLECTIONS);
+
+  const unknown = names.filter(name => !COLLECTIONS[name]);
+  if (unknown.length > 0) {
+    throw httpError(400, `Unknown collections: ${unknown.join(', ')}. Available: ${Object.keys(COLLECTIONS).join(', ')}`);
+  }
+  return [...new Set(names)];
+};
+
+/**
+ * Dump a collection to a gzipped NDJSON file
+ * Reads the raw collection so trashed documents are included.
+ * @param {string} name - Collection key in COLLECTIONS
+ * @param {string} dir - Backup directory
+ * @returns {Promise<object>} - { file, count, bytes, sha256 }
+ */
+const dumpCollection = async (name, dir) => {
+  const { model, projection } = COLLECTIONS[name];
+  const file = `${name}.ndjson.gz`;
+  const hash = crypto.createHash('sha256');
+  let count = 0;
+  let bytes = 0;
+
+  const cursor = model.collection.find({}, { projection: projection || {} });
+
+  const toLines = new Transform({
+    writableObjectMode: true,
+    transform(doc, encoding, callback) {
+      count += 1;
+      callback(null, EJSON.stringify(doc, { relaxed: false }) + '\n');
+    }
+  });
+
+  // Checksum the compressed bytes exactly as written
+  const checksum = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      bytes += chunk.length;
+      callback(null, chunk);
+    }
+  });
+
+  await pipeline(
+    Readable.from(cursor),
+    toLines,
+    zlib.createGzip(),
+    checksum,
+    fs.createWriteStream(path.join(dir, file))
+  );
+
+  return { file, count, bytes, sha256: hash.digest('hex') };
+};
+
+/**
+ * Compute the SHA-256 checksum of a file
+ * @param {string} filePath - File path
+ * @returns {Promise<string>}
+ */
+const checksumFile = async (filePath) => {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+};
+
+/**
+ * Read the documents of a backup file
+ * @param {string} filePath - Gzipped NDJSON file
+ * @returns {AsyncGenerator<object>}
+ */
+async function* readDocuments(filePath) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath).pipe(zlib.createGunzip()),
+    crlfDelay: Infinity
+  });
+
+  for await (const line of lines) {
+    if (line.trim()) yield EJSON.parse(line, { relaxed: false });
+  }
+}
+
+/**
+ * Read a backup's manifest
+ * @param {string} id - Backup ID
+ * @returns {Promise<object>}
+ */
+const readManifest = async (id) => {
+  try {
+    const text = await fs.promises.readFile(path.join(backupDir(id), MANIFEST_FILE), 'utf8');
+    return JSON.parse(text);
+  } catch (error) {
+    if (error.statusCode) throw error;
+    throw httpError(404, 'Backup not found');
+  }
+};
+
+/**
+ * Delete automatic backups beyond the number kept
+ */
+const pruneAutomatic = async () => {
+  const automatic = (await listBackups()).filter(backup => AUTOMATIC_REASONS.includes(backup.reason));
+
+  for (const backup of automatic.slice(config.backups.keep)) {
+    await fs.promises.rm(backupDir(backup.id), { recursive: true, force: true });
+  }
+};
+
+/**
+ * Write a backup
+ * @param {object} options - { reason: 'manual'|'scheduled'|'snapshot', collections, note, user }
+ * @returns {Promise<object>} - The backup manifest
+ */
+const createBackupUnlocked = async (options = {}) => {
+  const reason = options.reason || 'manual';
+  const collections = resolveCollections(options.collections);
+  const createdAt = new Date();
+  const id = `${createdAt.toISOString().replace(/[:.]/g, '-')}-${reason}`;
+  const dir = backupDir(id);
+
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  try {
+    const files = {};
+    for (const name of collections) {
+      files[name] = await dumpCollection(name, dir);
+    }
+
+    const manifest = {
+      id,
+      createdAt,
+      reason,
+      note: options.note || '',
+      createdBy: options.user ? { id: options.user.id, name: options.user.name || options.user.username } : null,
+      collections: files
+    };
+
+    await fs.promises.writeFile(path.join(dir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+
+    if (AUTOMATIC_REASONS.includes(reason)) await pruneAutomatic();
+
+    return manifest;
+  } catch (error) {
+    // Never leave a backup without a manifest behind
+    await fs.promises.rm(dir, { recursive: true, force: true });
+    throw error;
+  }
+};
+
+/**
+ * Write a backup (one at a time)
+ * @param {object} options - { reason, collections, note, user }
+ * @returns {Promise<object>} - The backup manifest
+ */
+const createBackup = (options) => exclusive(() => createBackupUnlocked(options));
+
+/**
+ * List available backups, newest first
+ * @returns {Promise<Array<object>>} - Manifests
+ */
+const listBackups = async () => {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(backupsDir(), { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const manifests = [];
+  for (const entry of entries.filter(item => item.isDirectory())) {
+    try {
+      manifests.push(await readManifest(entry.name));
+    } catch (error) {
+      // Incomplete or foreign directories are not backups
+    }
+  }
+
+  return manifests.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+};
+
+/**
+ * Check the files of a backup against its manifest
+ * @param {object} manifest - Backup manifest
+ * @param {string[]} collections - Collections to check
+ */
+const verifyBackup = async (manifest, collections) => {
+  for (const name of collections) {
+    const entry = manifest.collections[name];
+    if (!entry) {
+      throw httpError(400, `Backup ${manifest.id} does not contain ${name}`);
+    }
+
+    const actual = await checksumFile(path.join(backupDir(manifest.id), entry.file));
+    if (actual !== entry.sha256) {
+      throw httpError(422, `Backup file ${entry.file} is corrupt (checksum mismatch)`);
+    }
+  }
+};
+
+/**
+ * Prepare a user from a backup for insertion
+ * Backups hold no passwords, so users missing from the database are restored
+ * with an unusable random password and must get a reset link from an admin.
+ * @param {object} doc - User document from the backup
+ * @returns {object}
+ */
+const restorableUser = (doc) => ({
+  ...doc,
+  password: cryptoUtil.encryptPassword(cryptoUtil.generateToken()),
+  mustChangePassword: true,
+  twoFactor: { enabled: false }
+});
+
+/**
+ * Build the write for a backup document
+ * @param {string} name - Collection key in COLLECTIONS
+ * @param {object} doc - Document from the backup
+ * @param {boolean} exists - Whether the document is in the database
+ * @returns {object|null} - bulkWrite operation, or null when nothing is written
+ */
+const restoreOperation = (name, doc, exists) => {
+  const { mode } = COLLECTIONS[name];
+
+  if (!exists) {
+    return { insertOne: { document: name === 'users' ? restorableUser(doc) : doc } };
+  }
+
+  if (mode === 'append') return null;
+
+  const { _id, ...fields } = doc;
+  if (mode === 'replace') {
+    return { replaceOne: { filter: { _id }, replacement: fields } };
+  }
+
+  // Existing users keep their password and two-factor settings
+  if (name === 'users') delete fields.twoFactor;
+  return { updateOne: { filter: { _id }, update: { $set: fields } } };
+};
+
+/**
+ * Restore (or dry-run) one collection
+ * @param {string} name - Collection key in COLLECTIONS
+ * @param {object} manifest - Backup manifest
+ * @param {boolean} dryRun - Only count what would change
+ * @returns {Promise<object>} - { mode, inBackup, current, inserted, updated, deleted }
+ */
+const restoreCollection = async (name, manifest, dryRun) => {
+  const { model, mode } = COLLECTIONS[name];
+  const collection = model.collection;
+  const filePath = path.join(backupDir(manifest.id), manifest.collections[name].file);
+
+  const summary = {
+    mode,
+    inBackup: 0,
+    current: await collection.countDocuments({}),
+    inserted: 0,
+    updated: 0,
+    deleted: 0
+  };
+  // IDs in the backup, needed to find the documents a replace removes
+  const backupIds = [];
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+
+    const existing = await collection
+      .find({ _id: { $in: batch.map(doc => doc._id) } }, { projection: { _id: 1 } })
+      .toArray();
+    const existingIds = new Set(existing.map(doc => String(doc._id)));
+
+    const operations = [];
+    for (const doc of batch) {
+      const exists = existingIds.has(String(doc._id));
+      const operation = restoreOperation(name, doc, exists);
+      if (!operation) continue;
+
+      if (exists) summary.updated += 1;
+      else summary.inserted += 1;
+      operations.push(operation);
+    }
+
+    if (!dryRun && operations.length > 0) {
+      await collection.bulkWrite(operations, { ordered: false });
+    }
+    batch = [];
+  };
+
+  for await (const doc of readDocuments(filePath)) {
+    summary.inBackup += 1;
+    if (mode === 'replace') backupIds.push(doc._id);
+
+    batch.push(doc);
+    if (batch.length >= config.backups.restoreChunkSize) await flush();
+  }
+  await flush();
+
+  if (mode === 'replace') {
+    const extra = { _id: { $nin: backupIds } };
+    summary.deleted = dryRun ?
+      await collection.countDocuments(extra) :
+      (await collection.deleteMany(extra)).deletedCount;
+  }
+
+  return summary;
+};
+
+/**
+ * Restore collections from a backup
+ * The backup is verified first. A real restore snapshots the collections it
+ * replaces, so it can itself be undone.
+ * @param {string} id - Backup ID
+ * @param {object} options - { collections, dryRun, user }
+ * @returns {Promise<object>} - { backup, dryRun, snapshot, collections: { name: summary } }
+ */
+const restoreBackup = (id, options = {}) => exclusive(async () => {
+  const manifest = await readManifest(id);
+  const collections = resolveCollections(options.collections && options.collections.length > 0 ?
+    options.collections :
+    Object.keys(manifest.collections));
+
+  await verifyBackup(manifest, collections);
+
+  let snapshot = null;
+  if (!options.dryRun) {
+    snapshot = await createBackupUnlocked({
+      reason: 'snapshot',
+      collections,
+      note: `Before restoring ${manifest.id}`,
+      user: options.user
+    });
+  }
+
+  const results = {};
+  for (const name of collections) {
+    results[name] = await restoreCollection(name, manifest, !!options.dryRun);
+  }
+
+  return {
+    backup: manifest.id,
+    dryRun: !!options.dryRun,
+    snapshot: snapshot ? snapshot.id : null,
+    collections: results
+  };
+});
+
+/**
+ * Take a backup on an interval
+ * @returns {object|null} - The interval timer, or null when scheduled backups are disabled
+ */
+const startBackupSchedule = () => {
+  const hours = config.backups.intervalHours;
+  if (!hours || hours <= 0) return null;
+
+  const run = async () => {
+    try {
+      const manifest = await createBackup({ reason: 'scheduled' });
+      logger.info('Scheduled backup written', { id: manifest.id });
+      await auditTrail.recordSystem(auditTrail.ACTIONS.BACKUP_CREATE, {
+        targetType: 'Backup',
+        targetId: manifest.id,
+        details: { reason: manifest.reason }
+      });
+    } catch (error) {
+      logger.error('Error writing scheduled backup', { error: error.message });
+    }
+  };
+
+  const timer = setInterval(run, hours * 60 * 60 * 1000);
+  // Do not keep the process alive just for backups
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  COLLECTIONS,
+  createBackup,
+  listBackups,
+  readManifest,
+  restoreBackup,
+  startBackupSchedule
+};
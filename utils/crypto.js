@@ -38,9 +38,47 @@ const verifyPassword = (password, storedHash, storedSalt) => {
   return hash === storedHash;
 };
 
+// Generate a random single-use token (sent to the user, never stored)
+const generateToken = (length = 32) => {
+  return crypto.randomBytes(length).toString('hex');
+};
+
+// Hash a token for storage and lookup
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Derive the 256-bit key used to encrypt stored secrets from ENCRYPTION_KEY
+const secretKey = () => {
+  if (!encryptionKey) {
+    throw new Error('ENCRYPTION_KEY must be set to store encrypted secrets');
+  }
+  return crypto.createHash('sha256').update(String(encryptionKey)).digest();
+};
+
+// Encrypt a secret for storage (AES-256-GCM; returns "iv:tag:ciphertext" in hex)
+const encryptSecret = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', secretKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('hex')).join(':');
+};
+
+// Decrypt a secret stored by encryptSecret
+const decryptSecret = (stored) => {
+  const [iv, tag, ciphertext] = String(stored).split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', secretKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
 module.exports = {
   generateSalt,
   hashPassword,
   encryptPassword,
-  verifyPassword
+  verifyPassword,
+  generateToken,
+  hashToken,
+  encryptSecret,
+  decryptSecret
 };
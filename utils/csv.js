@@ -0,0 +1,106 @@
+/**
+ * CSV Utility
+ * Parses and writes CSV text (RFC 4180: quoted fields, escaped quotes, embedded newlines)
+ */
+
+/**
+ * Parse CSV text into rows of string cells
+ * @param {string} text - CSV text
+ * @param {object} options - { delimiter } (auto-detected from the first line when omitted)
+ * @returns {Array<string[]>} - Rows, including the header row
+ */
+const parse = (text, options = {}) => {
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const delimiter = options.delimiter || detectDelimiter(input);
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+/**
+ * Guess the delimiter from the first line of CSV text
+ * @param {string} text - CSV text
+ * @returns {string} - Comma, semicolon or tab
+ */
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const candidates = [',', ';', '\t'];
+  const counts = candidates.map(candidate => firstLine.split(candidate).length - 1);
+  const best = counts.indexOf(Math.max(...counts));
+  return counts[best] > 0 ? candidates[best] : ',';
+};
+
+/**
+ * Format a value as a CSV field
+ * Text starting with a formula character is prefixed with a quote so
+ * spreadsheet programs do not evaluate it.
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+const formatField = (value) => {
+  if (value === undefined || value === null) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format a row of cells as a CSV line (with the trailing line break)
+ * @param {Array} cells - Cell values
+ * @returns {string}
+ */
+const formatRow = (cells) => cells.map(formatField).join(',') + '\r\n';
+
+module.exports = {
+  parse,
+  detectDelimiter,
+  formatField,
+  formatRow
+};
@@ -0,0 +1,171 @@
+/**
+ * GPA Utility
+ * Computes semester GPA and cumulative GPA from student records and course credit hours
+ * (only final grades: drafts and grades awaiting approval do not count)
+ */
+
+const StudentRecord = require('../models/Student');
+const Course = require('../models/Course');
+const config = require('../config/config');
+const academicTerms = require('./academicTerms');
+const gradingScale = require('./gradingScale');
+const gradeWorkflow = require('./gradeWorkflow');
+
+// Only approved and locked grades count
+const FINAL_GRADES = { status: gradeWorkflow.statusCondition(gradeWorkflow.FINAL_STATUSES) };
+
+/**
+ * Round a GPA value to two decimals
+ * @param {number} value - Value to round
+ * @returns {number}
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Get the grade points a record earns on the grading scale of its academic year
+ * @param {object} record - Student record
+ * @param {Array<object>} scales - Stored grading scales, newest first
+ * @returns {number|null} - Grade points, or null for grades that carry no points (e.g. I, W)
+ */
+const getGradePoints = (record, scales) => {
+  const scale = gradingScale.getScaleForYear(scales, gradingScale.getRecordYear(record));
+  return gradingScale.getGradePoints(scale, record.grade);
+};
+
+/**
+ * Accumulate credits and quality points for a set of records
+ * @param {Array<object>} records - Student records
+ * @param {Map<string, object>} courses - Catalog courses keyed by normalized code
+ * @param {Array<object>} scales - Stored grading scales, newest first
+ * @returns {{credits: number, qualityPoints: number, gpa: number|null, excluded: Array}}
+ */
+const accumulate = (records, courses, scales = []) => {
+  let credits = 0;
+  let qualityPoints = 0;
+  const excluded = [];
+
+  records.forEach(record => {
+    const course = courses.get(Course.normalizeCode(record.courseCode));
+    const creditHours = course ? course.creditHours : config.gpa.defaultCreditHours;
+    const points = getGradePoints(record, scales);
+
+    if (creditHours === null || creditHours === undefined) {
+      excluded.push({ courseCode: record.courseCode, reason: 'Course not found in catalog' });
+      return;
+    }
+
+    if (points === null) {
+      excluded.push({ courseCode: record.courseCode, reason: `Grade '${record.grade || ''}' carries no grade points` });
+      return;
+    }
+
+    credits += creditHours;
+    qualityPoints += creditHours * points;
+  });
+
+  return {
+    credits,
+    qualityPoints: round(qualityPoints),
+    gpa: credits > 0 ? round(qualityPoints / credits) : null,
+    excluded
+  };
+};
+
+/**
+ * Compute semester GPAs and the cumulative GPA from a student's records
+ * @param {Array<object>} records - Records of one student
+ * @param {Map<string, object>} courses - Catalog courses keyed by normalized code
+ * @param {Array<object>} scales - Stored grading scales, newest first
+ * @returns {object} - { terms: [...], cumulative: {...}, excluded: [...] }
+ */
+const computeGpa = (records, courses, scales = []) => {
+  const completed = [];
+
+  const terms = academicTerms.groupByTerm(records).map(term => {
+    completed.push(...term.records);
+
+    const termResult = accumulate(term.records, courses, scales);
+    const cumulativeResult = accumulate(completed, courses, scales);
+
+    return {
+      session: term.session,
+      semester: term.semester,
+      credits: termResult.credits,
+      qualityPoints: termResult.qualityPoints,
+      gpa: termResult.gpa,
+      cumulativeGpa: cumulativeResult.gpa
+    };
+  });
+
+  const cumulative = accumulate(records, courses, scales);
+
+  return {
+    terms,
+    cumulative: {
+      credits: cumulative.credits,
+      qualityPoints: cumulative.qualityPoints,
+      gpa: cumulative.gpa
+    },
+    excluded: cumulative.excluded
+  };
+};
+
+/**
+ * Load the catalog courses referenced by a set of records
+ * @param {Array<object>} records - Student records
+ * @returns {Promise<Map<string, object>>} - Courses keyed by normalized code
+ */
+const loadCourses = async (records) => {
+  const codes = [...new Set(records.map(record => Course.normalizeCode(record.courseCode)))];
+  const courses = await Course.find({ code: { $in: codes } }).lean();
+  return new Map(courses.map(course => [course.code, course]));
+};
+
+/**
+ * Compute the GPA of a student
+ * @param {string} studentId - Student ID
+ * @returns {Promise<object>}
+ */
+const getStudentGpa = async (studentId) => {
+  const records = await StudentRecord.findByStudent(studentId).where(FINAL_GRADES).lean();
+  const courses = await loadCourses(records);
+  const scales = await gradingScale.loadScales();
+
+  return {
+    studentId,
+    ...computeGpa(records, courses, scales)
+  };
+};
+
+/**
+ * Compute the cumulative GPA of several students
+ * @param {string[]} studentIds - Student IDs
+ * @returns {Promise<object>} - Cumulative GPA keyed by student ID
+ */
+const getCumulativeGpas = async (studentIds) => {
+  const records = await StudentRecord.find({ studentId: { $in: studentIds }, ...FINAL_GRADES }).lean();
+  const courses = await loadCourses(records);
+  const scales = await gradingScale.loadScales();
+
+  const byStudent = new Map();
+  records.forEach(record => {
+    if (!byStudent.has(record.studentId)) byStudent.set(record.studentId, []);
+    byStudent.get(record.studentId).push(record);
+  });
+
+  return studentIds.reduce((result, studentId) => {
+    const studentRecords = byStudent.get(studentId) || [];
+    const cumulative = accumulate(studentRecords, courses, scales);
+    result[studentId] = { credits: cumulative.credits, gpa: cumulative.gpa };
+    return result;
+  }, {});
+};
+
+module.exports = {
+  FINAL_GRADES,
+  getGradePoints,
+  computeGpa,
+  loadCourses,
+  getStudentGpa,
+  getCumulativeGpas
+};
@@ -0,0 +1,285 @@
+/**
+ * Grade Analytics Utility
+ * Aggregates student records into letter grade distributions, numeric grade
+ * statistics, pass/fail rates and histograms, overall or per group
+ * (course, term or year)
+ */
+
+const StudentRecord = require('../models/Student');
+const config = require('../config/config');
+const recordFilters = require('./recordFilters');
+const recordScope = require('./recordScope');
+const academicTerms = require('./academicTerms');
+const gradingScale = require('./gradingScale');
+const gradeWorkflow = require('./gradeWorkflow');
+
+// Group keys of the supported breakdowns
+const GROUPS = {
+  all: null,
+  course: { courseCode: '$courseCode' },
+  term: { yearCompleted: '$yearCompleted', semester: '$semester' },
+  year: { yearCompleted: '$yearCompleted' }
+};
+
+/**
+ * Round a value to two decimals
+ * @param {number} value - Value to round
+ * @returns {number}
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Get a value as a percentage of a total
+ * @param {number} value - Part
+ * @param {number} total - Whole
+ * @returns {number|null} - Percentage, or null when the total is zero
+ */
+const percent = (value, total) => (total > 0 ? round((value / total) * 100) : null);
+
+/**
+ * Get the workflow statuses of the grades to analyze
+ * Final (approved and locked) grades unless the status query parameter asks for another.
+ * @param {object} query - Request query parameters ({ status })
+ * @returns {string[]}
+ */
+const gradeStatuses = (query = {}) => (query.status ? [query.status] : gradeWorkflow.FINAL_STATUSES);
+
+/**
+ * Cast a record filter for use in an aggregation
+ * Aggregations do not cast values, so the filter is cast against the schema
+ * (e.g. the scope's course IDs to ObjectIds).
+ * @param {object} filter - Record filter
+ * @returns {object}
+ */
+const castFilter = (filter) => StudentRecord.find(filter).cast();
+
+/**
+ * Build the aggregation match stage for the record list filters and a scope
+ * Only final grades are analyzed unless a status is given.
+ * @param {object} query - Request query parameters (same filters as the record list)
+ * @param {object|null} scope - Scope from recordScope.loadScope()
+ * @returns {object}
+ */
+const buildMatch = (query, scope) => {
+  const filter = recordScope.applyScope(recordFilters.buildRecordFilter(query), scope);
+  filter.status = gradeWorkflow.statusCondition(gradeStatuses(query));
+  return castFilter(filter);
+};
+
+/**
+ * Read the histogram bucket size from query parameters
+ * @param {object} query - Request query parameters ({ bucketSize })
+ * @returns {number}
+ */
+const parseBucketSize = (query = {}) => {
+  if (query.bucketSize === undefined) return config.analytics.histogramBucketSize;
+
+  const bucketSize = Number(query.bucketSize);
+
+  if (!Number.isInteger(bucketSize) || bucketSize < 1 || bucketSize > 50) {
+    const error = new Error('bucketSize must be a whole number from 1 to 50');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return bucketSize;
+};
+
+/**
+ * Get the median of a list of numbers
+ * @param {number[]} values - Values (any order)
+ * @returns {number|null}
+ */
+const median = (values) => {
+  if (!values.length) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Describe a list of numeric grades
+ * @param {number[]} values - Numeric grades
+ * @returns {{count: number, mean: number|null, median: number|null, stdev: number|null, min: number|null, max: number|null}}
+ */
+const numericStats = (values) => {
+  if (!values.length) {
+    return { count: 0, mean: null, median: null, stdev: null, min: null, max: null };
+  }
+
+  const mean = values.reduce((total, value) => total + value, 0) / values.length;
+  const variance = values.reduce((total, value) => total + (value - mean) ** 2, 0) / values.length;
+
+  return {
+    count: values.length,
+    mean: round(mean),
+    median: round(median(values)),
+    stdev: round(Math.sqrt(variance)),
+    min: values.reduce((lowest, value) => Math.min(lowest, value)),
+    max: values.reduce((highest, value) => Math.max(highest, value))
+  };
+};
+
+/**
+ * Count numeric grades into fixed-width buckets from 0 to 100
+ * Each bucket includes its minimum and excludes its maximum, except the last, which includes 100.
+ * @param {number[]} values - Numeric grades
+ * @param {number} bucketSize - Width of each bucket
+ * @returns {Array<{min: number, max: number, count: number, percent: number|null}>}
+ */
+const histogram = (values, bucketSize) => {
+  const buckets = [];
+
+  for (let min = 0; min < 100; min += bucketSize) {
+    buckets.push({ min, max: Math.min(min + bucketSize, 100), count: 0 });
+  }
+
+  values.forEach(value => {
+    const index = Math.min(Math.floor(value / bucketSize), buckets.length - 1);
+    buckets[index].count += 1;
+  });
+
+  return buckets.map(bucket => ({ ...bucket, percent: percent(bucket.count, values.length) }));
+};
+
+/**
+ * Count letter grades, scale letters first (best to worst), then any others alphabetically
+ * Records without a letter grade are counted under an empty grade.
+ * @param {string[]} letters - Normalized letter grades
+ * @returns {Array<{grade: string, count: number, percent: number|null}>}
+ */
+const distribution = (letters) => {
+  const counts = new Map(gradingScale.DEFAULT_SCALE.bands.map(band => [band.letter, 0]));
+
+  letters.forEach(letter => counts.set(letter, (counts.get(letter) || 0) + 1));
+
+  const scaleLetters = gradingScale.DEFAULT_SCALE.bands.map(band => band.letter);
+  const otherLetters = [...counts.keys()].filter(letter => !scaleLetters.includes(letter)).sort();
+
+  return [...scaleLetters, ...otherLetters].map(grade => ({
+    grade,
+    count: counts.get(grade),
+    percent: percent(counts.get(grade), letters.length)
+  }));
+};
+
+/**
+ * Count passes and failures
+ * Only letter grades count; non-graded letters (e.g. I, W) and missing grades are reported separately.
+ * @param {string[]} letters - Normalized letter grades
+ * @returns {object}
+ */
+const passFail = (letters) => {
+  const { failingGrades } = config.analytics;
+  const { nonGradedLetters } = config.gradingScale;
+
+  const graded = letters.filter(letter => letter && !nonGradedLetters.includes(letter));
+  const failed = graded.filter(letter => failingGrades.includes(letter)).length;
+  const passed = graded.length - failed;
+
+  return {
+    graded: graded.length,
+    passed,
+    failed,
+    nonGraded: letters.length - graded.length,
+    passRate: percent(passed, graded.length),
+    failRate: percent(failed, graded.length)
+  };
+};
+
+/**
+ * Summarize the grades of one group
+ * @param {object} group - Aggregated group ({ count, letters, numericGrades })
+ * @param {number} bucketSize - Histogram bucket width
+ * @returns {object}
+ */
+const summarize = (group, bucketSize = config.analytics.histogramBucketSize) => {
+  const numericGrades = group.numericGrades.filter(value => typeof value === 'number');
+
+  return {
+    records: group.count,
+    distribution: distribution(group.letters),
+    numeric: numericStats(numericGrades),
+    passFail: passFail(group.letters),
+    histogram: histogram(numericGrades, bucketSize)
+  };
+};
+
+/**
+ * Aggregate grade statistics, overall or per group
+ * @param {object} match - Record filter from buildMatch()
+ * @param {string} groupBy - Breakdown (see GROUPS)
+ * @param {object} options - { bucketSize }
+ * @returns {Promise<Array<object>>} - One summary per group, with the group key fields
+ */
+const gradeStats = async (match, groupBy = 'all', options = {}) => {
+  const bucketSize = options.bucketSize || config.analytics.histogramBucketSize;
+
+  const groups = await StudentRecord.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: GROUPS[groupBy],
+        courseName: { $first: '$courseName' },
+        count: { $sum: 1 },
+        numericGrades: { $push: '$numericGrade' },
+        letters: { $push: { $toUpper: { $trim: { input: { $ifNull: ['$grade', ''] } } } } }
+      }
+    }
+  ]);
+
+  return groups
+    .map(group => ({
+      ...(group._id || {}),
+      ...(groupBy === 'course' ? { courseName: group.courseName } : {}),
+      ...summarize(group, bucketSize)
+    }))
+    .sort((a, b) => {
+      if (a.courseCode !== b.courseCode) return String(a.courseCode).localeCompare(String(b.courseCode));
+      if (a.yearCompleted !== b.yearCompleted) return (a.yearCompleted || 0) - (b.yearCompleted || 0);
+      return academicTerms.getSemesterIndex(a.semester) - academicTerms.getSemesterIndex(b.semester);
+    });
+};
+
+/**
+ * Add the change from the previous year to yearly summaries
+ * @param {Array<object>} years - Yearly summaries from gradeStats(match, 'year'), oldest first
+ * @returns {Array<object>}
+ */
+const withChanges = (years) => {
+  return years.map((year, index) => {
+    const previous = years[index - 1];
+    const change = (current, earlier) => (
+      previous && current !== null && earlier !== null ? round(current - earlier) : null
+    );
+
+    return {
+      ...year,
+      change: {
+        records: previous ? year.records - previous.records : null,
+        mean: previous ? change(year.numeric.mean, previous.numeric.mean) : null,
+        passRate: previous ? change(year.passFail.passRate, previous.passFail.passRate) : null
+      }
+    };
+  });
+};
+
+module.exports = {
+  GROUPS,
+  gradeStatuses,
+  castFilter,
+  buildMatch,
+  parseBucketSize,
+  round,
+  percent,
+  median,
+  numericStats,
+  histogram,
+  distribution,
+  passFail,
+  summarize,
+  gradeStats,
+  withChanges
+};
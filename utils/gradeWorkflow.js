@@ -0,0 +1,129 @@
+/**
+ * Grade Workflow Utility
+ * Status lifecycle of student records: instructors enter drafts and submit
+ * them, the chairman approves or returns them, and approved grades are locked.
+ *
+ *   draft -> submitted -> approved -> locked
+ *              |   ^
+ *              v   |
+ *            returned
+ */
+
+const authMiddleware = require('../middleware/auth');
+const auditTrail = require('./auditTrail');
+
+const STATUSES = ['draft', 'submitted', 'returned', 'approved', 'locked'];
+
+// Records created before the workflow existed have no status and were already final
+const LEGACY_STATUS = 'approved';
+
+// Status transitions with the states they start from and the permission they need
+const TRANSITIONS = {
+  submit: {
+    from: ['draft', 'returned'],
+    to: 'submitted',
+    permission: 'grades:submit',
+    action: auditTrail.ACTIONS.GRADE_SUBMIT
+  },
+  return: {
+    from: ['submitted'],
+    to: 'returned',
+    permission: 'grades:approve',
+    action: auditTrail.ACTIONS.GRADE_RETURN,
+    requiresComment: true
+  },
+  approve: {
+    from: ['submitted'],
+    to: 'approved',
+    permission: 'grades:approve',
+    action: auditTrail.ACTIONS.GRADE_APPROVE
+  },
+  lock: {
+    from: ['approved'],
+    to: 'locked',
+    permission: 'grades:approve',
+    action: auditTrail.ACTIONS.GRADE_LOCK
+  },
+  reopen: {
+    from: ['approved', 'locked'],
+    to: 'draft',
+    permission: 'grades:reopen',
+    action: auditTrail.ACTIONS.GRADE_REOPEN,
+    requiresComment: true
+  }
+};
+
+// Statuses in which the entering instructor may still edit a record
+const DRAFT_STATUSES = ['draft', 'returned'];
+
+// Statuses of final grades, the only ones counted in GPAs, transcripts and standing
+const FINAL_STATUSES = ['approved', 'locked'];
+
+/**
+ * Get the workflow status of a record
+ * @param {object} record - Student record
+ * @returns {string}
+ */
+const getStatus = (record) => (record && record.status) || LEGACY_STATUS;
+
+/**
+ * Build a query condition matching records in any of the given statuses
+ * @param {string|string[]} statuses - Workflow statuses
+ * @returns {object} - Condition for the status field
+ */
+const statusCondition = (statuses) => {
+  const list = Array.isArray(statuses) ? statuses : [statuses];
+  return { $in: list.includes(LEGACY_STATUS) ? [...list, null] : list };
+};
+
+/**
+ * Check whether a user may edit a record in its current status
+ * Drafts are editable by anyone who can enter grades; submitted and approved
+ * records only by reviewers; locked records by no one until reopened.
+ * @param {object} user - Authenticated user
+ * @param {object} record - Student record
+ * @returns {{statusCode: number, message: string}|null} - The reason editing is refused, if it is
+ */
+const editError = (user, record) => {
+  const status = getStatus(record);
+
+  if (status === 'locked') {
+    return { statusCode: 423, message: 'Record is locked; it must be reopened before it can be changed' };
+  }
+
+  if (!DRAFT_STATUSES.includes(status) && !authMiddleware.hasPermission(user, 'records:write')) {
+    return { statusCode: 403, message: `Record is ${status}; only a chairman or admin can change it` };
+  }
+
+  return null;
+};
+
+/**
+ * Build the status history entry of a transition
+ * @param {string} name - Transition name
+ * @param {string} from - Status before the transition
+ * @param {object} user - Authenticated user
+ * @param {string} comment - Reviewer comment
+ * @returns {object}
+ */
+const historyEntry = (name, from, user, comment) => ({
+  action: name,
+  from,
+  to: TRANSITIONS[name].to,
+  comment: comment || '',
+  changedBy: user.id,
+  changedByName: user.name || user.username,
+  changedAt: new Date()
+});
+
+module.exports = {
+  STATUSES,
+  LEGACY_STATUS,
+  TRANSITIONS,
+  DRAFT_STATUSES,
+  FINAL_STATUSES,
+  getStatus,
+  statusCondition,
+  editError,
+  historyEntry
+};
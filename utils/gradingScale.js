@@ -0,0 +1,124 @@
+/**
+ * Grading Scale Utility
+ * Derives letter grades from numeric grades and checks records against the
+ * grading scale in effect for their academic year
+ */
+
+const GradingScale = require('../models/GradingScale');
+const config = require('../config/config');
+const academicTerms = require('./academicTerms');
+
+// Scale used for years not covered by a stored grading scale
+const DEFAULT_SCALE = {
+  name: 'Default',
+  effectiveYear: null,
+  bands: [...config.gradingScale.defaultBands].sort((a, b) => b.min - a.min)
+};
+
+/**
+ * Load all stored grading scales, newest first
+ * @returns {Promise<Array<object>>}
+ */
+const loadScales = () => {
+  return GradingScale.find().sort({ effectiveYear: -1 }).lean();
+};
+
+/**
+ * Get the academic year used to pick a grading scale for a record
+ * @param {object} record - Student record (session, yearCompleted)
+ * @returns {number|null}
+ */
+const getRecordYear = (record) => {
+  const year = academicTerms.getSessionYear(record.session, record.yearCompleted);
+  return year || null;
+};
+
+/**
+ * Get the grading scale in effect for an academic year
+ * @param {Array<object>} scales - Stored scales, newest first (from loadScales)
+ * @param {number|null} year - Academic year
+ * @returns {object} - Grading scale
+ */
+const getScaleForYear = (scales, year) => {
+  const scale = scales.find(item => !year || item.effectiveYear <= year);
+  return scale || DEFAULT_SCALE;
+};
+
+/**
+ * Find the band a numeric grade falls into
+ * @param {object} scale - Grading scale
+ * @param {number} numericGrade - Numeric grade
+ * @returns {object|null} - Band ({ min, letter, points })
+ */
+const findBand = (scale, numericGrade) => {
+  if (numericGrade === undefined || numericGrade === null || isNaN(numericGrade)) return null;
+  return scale.bands.find(band => Number(numericGrade) >= band.min) || null;
+};
+
+/**
+ * Get the grade points of a letter grade on a scale
+ * @param {object} scale - Grading scale
+ * @param {string} letter - Letter grade
+ * @returns {number|null} - Grade points, or null for letters not on the scale (e.g. I, W)
+ */
+const getGradePoints = (scale, letter) => {
+  if (!letter) return null;
+  const band = scale.bands.find(item => item.letter === letter.toString().trim().toUpperCase());
+  return band ? band.points : null;
+};
+
+/**
+ * Check a record's letter grade against its numeric grade
+ * A missing letter grade is derived from the numeric grade.
+ * @param {object} record - Record data ({ grade, numericGrade, session, yearCompleted })
+ * @param {Array<object>} scales - Stored scales, newest first (from loadScales)
+ * @returns {{grade: string, gradeMismatch: boolean, expectedGrade: string|null, error: string|null}}
+ */
+const checkGrade = (record, scales) => {
+  const scale = getScaleForYear(scales, getRecordYear(record));
+  const band = findBand(scale, record.numericGrade);
+  const grade = record.grade ? record.grade.toString().trim().toUpperCase() : '';
+
+  // Nothing to check against without a numeric grade
+  if (!band) {
+    return { grade: record.grade || '', gradeMismatch: false, expectedGrade: null, error: null };
+  }
+
+  if (!grade) {
+    return { grade: band.letter, gradeMismatch: false, expectedGrade: band.letter, error: null };
+  }
+
+  if (config.gradingScale.nonGradedLetters.includes(grade) || grade === band.letter) {
+    return { grade: record.grade, gradeMismatch: false, expectedGrade: band.letter, error: null };
+  }
+
+  const message = `Grade '${record.grade}' does not match numeric grade ${record.numericGrade} ` +
+    `(expected '${band.letter}' on the ${scale.name} scale)`;
+
+  if (config.gradingScale.mismatchPolicy === 'flag') {
+    return { grade: record.grade, gradeMismatch: true, expectedGrade: band.letter, error: null };
+  }
+
+  return { grade: record.grade, gradeMismatch: true, expectedGrade: band.letter, error: message };
+};
+
+/**
+ * Check a single record's grade, loading the stored scales
+ * @param {object} record - Record data ({ grade, numericGrade, session, yearCompleted })
+ * @returns {Promise<object>} - Result of checkGrade
+ */
+const resolveGrade = async (record) => {
+  const scales = await loadScales();
+  return checkGrade(record, scales);
+};
+
+module.exports = {
+  DEFAULT_SCALE,
+  loadScales,
+  getRecordYear,
+  getScaleForYear,
+  findBand,
+  getGradePoints,
+  checkGrade,
+  resolveGrade
+};
@@ -0,0 +1,175 @@
+/**
+ * Instructor Names Utility
+ * Normalizes free-text instructor names, clusters spelling variants and
+ * matches them to instructor accounts
+ */
+
+const User = require('../models/User');
+
+// Titles and honorifics ignored when comparing names
+const TITLES = ['dr', 'prof', 'professor', 'mr', 'mrs', 'ms', 'miss', 'rev', 'sir', 'phd', 'jr', 'sr'];
+
+// Names that stand for a missing instructor
+const PLACEHOLDER_NAMES = ['', 'unknown', 'tba', 'tbd', 'na', 'none', 'staff'];
+
+// Lowest score for a suggested account match
+const MIN_MATCH_SCORE = 0.5;
+
+/**
+ * Split a name into lowercase tokens without titles or punctuation
+ * ("Dr. J. Kollie" -> ["j", "kollie"])
+ * @param {string} name - Instructor name
+ * @returns {string[]}
+ */
+const nameTokens = (name) => {
+  return (name || '')
+    .toString()
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, ' ')
+    .split(/\s+/)
+    .filter(token => token && !TITLES.includes(token));
+};
+
+/**
+ * Normalize an instructor name for comparison ("Dr. J. Kollie" -> "j kollie")
+ * @param {string} name - Instructor name
+ * @returns {string}
+ */
+const normalizeName = (name) => nameTokens(name).join(' ');
+
+/**
+ * Check whether a name stands for a missing instructor
+ * @param {string} name - Instructor name
+ * @returns {boolean}
+ */
+const isPlaceholder = (name) => PLACEHOLDER_NAMES.includes(normalizeName(name).replace(/\s/g, ''));
+
+/**
+ * Get the cluster key of a name: its surname
+ * @param {string} name - Instructor name
+ * @returns {string}
+ */
+const surnameKey = (name) => {
+  const tokens = nameTokens(name);
+  return tokens.length > 0 ? tokens[tokens.length - 1] : '';
+};
+
+/**
+ * Score how likely two names refer to the same person (0 to 1)
+ * Surnames must agree; given names or initials raise or lower the score.
+ * @param {string} a - Instructor name
+ * @param {string} b - Instructor name
+ * @returns {number}
+ */
+const matchScore = (a, b) => {
+  const tokensA = nameTokens(a);
+  const tokensB = nameTokens(b);
+
+  if (tokensA.length === 0 || tokensB.length === 0) return 0;
+  if (tokensA[tokensA.length - 1] !== tokensB[tokensB.length - 1]) return 0;
+
+  // Only a surname on one side: plausible but unconfirmed
+  if (tokensA.length === 1 || tokensB.length === 1) return 0.6;
+
+  const firstA = tokensA[0];
+  const firstB = tokensB[0];
+
+  if (firstA === firstB) return 1;
+  if ((firstA.length === 1 || firstB.length === 1) && firstA[0] === firstB[0]) return 0.8;
+  return 0.2;
+};
+
+/**
+ * Group distinct instructor names into clusters of likely variants
+ * @param {Array<{name: string, records: number, linked: number}>} names - Distinct names with record counts
+ * @returns {Array<object>} - Clusters: { key, variants, records, linked }, largest first
+ */
+const clusterNames = (names) => {
+  const clusters = new Map();
+
+  names.forEach(entry => {
+    if (isPlaceholder(entry.name)) return;
+
+    const key = surnameKey(entry.name);
+    if (!clusters.has(key)) {
+      clusters.set(key, { key, variants: [], records: 0, linked: 0 });
+    }
+
+    const cluster = clusters.get(key);
+    cluster.variants.push(entry);
+    cluster.records += entry.records;
+    cluster.linked += entry.linked;
+  });
+
+  return [...clusters.values()]
+    .map(cluster => ({
+      ...cluster,
+      variants: cluster.variants.sort((a, b) => b.records - a.records)
+    }))
+    .sort((a, b) => b.records - a.records);
+};
+
+/**
+ * Suggest accounts for a cluster of names, best match first
+ * Accounts whose confirmed aliases include a variant are certain matches.
+ * @param {object} cluster - Cluster from clusterNames()
+ * @param {Array<object>} users - Instructor accounts ({ _id, name, username, instructorAliases })
+ * @returns {Array<{userId, name, username, score}>}
+ */
+const suggestAccounts = (cluster, users) => {
+  return users
+    .map(user => {
+      const aliases = user.instructorAliases || [];
+      const score = cluster.variants.some(variant => aliases.includes(normalizeName(variant.name))) ?
+        1 :
+        Math.max(...cluster.variants.map(variant => matchScore(variant.name, user.name)));
+
+      return { userId: user._id, name: user.name, username: user.username, score };
+    })
+    .filter(suggestion => suggestion.score >= MIN_MATCH_SCORE)
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Find the accounts confirmed for instructor names
+ * @param {string[]} names - Instructor names
+ * @returns {Promise<Map<string, object>>} - Account id keyed by normalized name
+ */
+const resolveInstructorUsers = async (names) => {
+  const normalized = [...new Set(names.map(normalizeName).filter(Boolean))];
+  if (normalized.length === 0) return new Map();
+
+  const users = await User.find({ instructorAliases: { $in: normalized } }).select('instructorAliases');
+  const resolved = new Map();
+
+  users.forEach(user => {
+    user.instructorAliases
+      .filter(alias => normalized.includes(alias))
+      .forEach(alias => resolved.set(alias, user._id));
+  });
+
+  return resolved;
+};
+
+/**
+ * Find the account confirmed for an instructor name
+ * @param {string} name - Instructor name
+ * @returns {Promise<object|undefined>} - Account id
+ */
+const resolveInstructorUser = async (name) => {
+  const resolved = await resolveInstructorUsers([name]);
+  return resolved.get(normalizeName(name));
+};
+
+module.exports = {
+  MIN_MATCH_SCORE,
+  nameTokens,
+  normalizeName,
+  isPlaceholder,
+  surnameKey,
+  matchScore,
+  clusterNames,
+  suggestAccounts,
+  resolveInstructorUsers,
+  resolveInstructorUser
+};
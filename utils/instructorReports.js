@@ -0,0 +1,358 @@
+/**
+ * Instructor Reports Utility
+ * Builds per-instructor workload and performance reports for departmental
+ * reviews: courses and students taught per semester, grades compared with
+ * the department, late or missing grade submissions, and year-over-year changes.
+ *
+ * Records linked to an instructor account are reported under the account
+ * (whatever spelling of the name they carry); other records under their
+ * instructor name. A period's grades are due when it is closed, so records
+ * still in draft in a closed period are missing, and records first submitted
+ * after the period was closed are late. Workload and submissions cover
+ * records in every status; grades are compared on final (approved and
+ * locked) grades unless other statuses are asked for.
+ */
+
+const StudentRecord = require('../models/Student');
+const AcademicPeriod = require('../models/AcademicPeriod');
+const User = require('../models/User');
+const academicTerms = require('./academicTerms');
+const gradeAnalytics = require('./gradeAnalytics');
+const gradeWorkflow = require('./gradeWorkflow');
+const instructorNames = require('./instructorNames');
+
+/**
+ * Aggregate records per instructor and term
+ * @param {object} match - Cast record filter
+ * @param {string[]} gradeStatuses - Statuses of the grades included in grade statistics
+ * @returns {Promise<Array<object>>}
+ */
+const aggregateTerms = (match, gradeStatuses) => {
+  // Records without a status predate the workflow and count as approved
+  const counted = { $in: [{ $ifNull: ['$status', gradeWorkflow.LEGACY_STATUS] }, gradeStatuses] };
+
+  return StudentRecord.aggregate([
+    { $match: match },
+    {
+      $project: {
+        instructor: 1,
+        instructorUser: 1,
+        courseCode: 1,
+        studentId: 1,
+        numericGrade: 1,
+        yearCompleted: 1,
+        semester: 1,
+        session: 1,
+        status: 1,
+        letter: { $toUpper: { $trim: { input: { $ifNull: ['$grade', ''] } } } },
+        // When the grade was first submitted for review
+        submittedAt: {
+          $min: {
+            $map: {
+              input: {
+                $filter: {
+                  input: { $ifNull: ['$statusHistory', []] },
+                  cond: { $eq: ['$$this.action', 'submit'] }
+                }
+              },
+              in: '$$this.changedAt'
+            }
+          }
+        }
+      }
+    },
+    {
+      $group: {
+        _id: {
+          instructorUser: '$instructorUser',
+          instructor: { $cond: [{ $ifNull: ['$instructorUser', false] }, null, '$instructor'] },
+          yearCompleted: '$yearCompleted',
+          semester: '$semester',
+          session: '$session'
+        },
+        names: { $addToSet: '$instructor' },
+        courses: { $addToSet: '$courseCode' },
+        students: { $addToSet: '$studentId' },
+        records: { $sum: 1 },
+        count: { $sum: { $cond: [counted, 1, 0] } },
+        numericGrades: { $push: { $cond: [counted, '$numericGrade', '$$REMOVE'] } },
+        letters: { $push: { $cond: [counted, '$letter', '$$REMOVE'] } },
+        drafts: { $sum: { $cond: [{ $in: ['$status', gradeWorkflow.DRAFT_STATUSES] }, 1, 0] } },
+        submittedAt: { $push: '$submittedAt' }
+      }
+    }
+  ]);
+};
+
+/**
+ * Create an empty grade accumulator
+ * @returns {{count: number, letters: string[], numericGrades: number[]}}
+ */
+const emptyGrades = () => ({ count: 0, letters: [], numericGrades: [] });
+
+/**
+ * Add the grades of an aggregated group to an accumulator
+ * @param {object} grades - Accumulator from emptyGrades()
+ * @param {object} group - Aggregated group
+ */
+const addGrades = (grades, group) => {
+  grades.count += group.count;
+  grades.letters.push(...group.letters);
+  grades.numericGrades.push(...group.numericGrades);
+};
+
+/**
+ * Get an entry of a map, creating it first if needed
+ * @param {Map} map - Map
+ * @param {*} key - Key
+ * @param {Function} create - Creates the entry
+ * @returns {*}
+ */
+const entryFor = (map, key, create) => {
+  if (!map.has(key)) map.set(key, create());
+  return map.get(key);
+};
+
+/**
+ * Subtract two values that may be missing
+ * @param {number|null} value - Value
+ * @param {number|null} baseline - Value subtracted
+ * @returns {number|null}
+ */
+const difference = (value, baseline) => (
+  value === null || baseline === null || baseline === undefined ? null : gradeAnalytics.round(value - baseline)
+);
+
+/**
+ * Compare grades with the department's
+ * @param {object} grades - Grade accumulator of the instructor
+ * @param {object} departmentGrades - Grade accumulator of the department (over the same records and more)
+ * @returns {object}
+ */
+const compareGrades = (grades, departmentGrades) => {
+  const own = gradeAnalytics.summarize(grades);
+  const department = gradeAnalytics.summarize(departmentGrades);
+
+  // The department's grades include the instructor's, so its letters cover theirs
+  const distribution = department.distribution.map(entry => {
+    const ownEntry = own.distribution.find(item => item.grade === entry.grade);
+    const percent = ownEntry ? ownEntry.percent : gradeAnalytics.percent(0, grades.count);
+
+    return {
+      grade: entry.grade,
+      count: ownEntry ? ownEntry.count : 0,
+      percent,
+      departmentPercent: entry.percent,
+      difference: difference(percent, entry.percent)
+    };
+  });
+
+  return {
+    numeric: own.numeric,
+    passFail: own.passFail,
+    distribution,
+    department: {
+      mean: department.numeric.mean,
+      median: department.numeric.median,
+      passRate: department.passFail.passRate
+    },
+    difference: {
+      mean: difference(own.numeric.mean, department.numeric.mean),
+      median: difference(own.numeric.median, department.numeric.median),
+      passRate: difference(own.passFail.passRate, department.passFail.passRate)
+    }
+  };
+};
+
+/**
+ * Count late and missing grade submissions of a term
+ * @param {object} group - Aggregated group
+ * @param {object|undefined} period - AcademicPeriod of the term, if one was ever closed
+ * @returns {{dueAt: Date|null, pending: number, missing: number, late: number}}
+ */
+const countSubmissions = (group, period) => {
+  const dueAt = period && period.closedAt ? period.closedAt : null;
+  const closed = Boolean(period && period.closed);
+
+  return {
+    dueAt,
+    pending: closed ? 0 : group.drafts,
+    missing: closed ? group.drafts : 0,
+    late: dueAt ? group.submittedAt.filter(date => date && date > dueAt).length : 0
+  };
+};
+
+/**
+ * Build per-instructor reports for the records matching a filter
+ * The department figures cover every record matching the filter.
+ * @param {object} match - Cast record filter (from gradeAnalytics.castFilter)
+ * @param {object} options - { gradeStatuses } (defaults to final grades)
+ * @returns {Promise<{reports: Array<object>, department: object, unassignedRecords: number}>}
+ */
+const buildReports = async (match, options = {}) => {
+  const gradeStatuses = options.gradeStatuses || gradeWorkflow.FINAL_STATUSES;
+
+  const [groups, periods] = await Promise.all([
+    aggregateTerms(match, gradeStatuses),
+    AcademicPeriod.find({ closedAt: { $ne: null } }).select('session semester closed closedAt').lean()
+  ]);
+
+  const periodsByTerm = new Map(periods.map(period => [
+    academicTerms.getTermKey(period.session, period.semester),
+    period
+  ]));
+
+  const department = { records: 0, grades: emptyGrades(), terms: new Map(), years: new Map() };
+  const instructors = new Map();
+  let unassignedRecords = 0;
+
+  groups.forEach(group => {
+    const { instructorUser, instructor, yearCompleted, semester } = group._id;
+    const session = academicTerms.getSessionLabel({ session: group._id.session, yearCompleted });
+    const termKey = academicTerms.getTermKey(session, semester);
+
+    department.records += group.records;
+    addGrades(department.grades, group);
+    addGrades(entryFor(department.terms, termKey, emptyGrades), group);
+    addGrades(entryFor(department.years, yearCompleted, emptyGrades), group);
+
+    if (!instructorUser && instructorNames.isPlaceholder(instructor)) {
+      unassignedRecords += group.records;
+      return;
+    }
+
+    const key = instructorUser ? instructorUser.toString() : instructor;
+    const report = entryFor(instructors, key, () => ({
+      instructor: key,
+      instructorUser: instructorUser || null,
+      names: new Set(),
+      courses: new Set(),
+      students: new Set(),
+      records: 0,
+      grades: emptyGrades(),
+      terms: [],
+      years: new Map()
+    }));
+
+    group.names.filter(Boolean).forEach(name => report.names.add(name));
+    group.courses.forEach(code => report.courses.add(code));
+    group.students.forEach(studentId => report.students.add(studentId));
+    report.records += group.records;
+    addGrades(report.grades, group);
+
+    const year = entryFor(report.years, yearCompleted, () => ({
+      courses: new Set(),
+      students: new Set(),
+      records: 0,
+      grades: emptyGrades()
+    }));
+    year.records += group.records;
+    group.courses.forEach(code => year.courses.add(code));
+    group.students.forEach(studentId => year.students.add(studentId));
+    addGrades(year.grades, group);
+
+    report.terms.push({ termKey, session, yearCompleted, semester, group });
+  });
+
+  const accounts = await User.find({ _id: { $in: [...instructors.values()].map(report => report.instructorUser).filter(Boolean) } })
+    .withDeleted()
+    .select('name username');
+  const accountsById = new Map(accounts.map(account => [account._id.toString(), account]));
+
+  const reports = [...instructors.values()].map(report => {
+    const account = report.instructorUser ? accountsById.get(report.instructorUser.toString()) : null;
+
+    const terms = report.terms
+      .sort((a, b) => {
+        const yearA = academicTerms.getSessionYear(a.session, a.yearCompleted);
+        const yearB = academicTerms.getSessionYear(b.session, b.yearCompleted);
+        if (yearA !== yearB) return yearA - yearB;
+        return academicTerms.getSemesterIndex(a.semester) - academicTerms.getSemesterIndex(b.semester);
+      })
+      .map(({ termKey, session, yearCompleted, semester, group }) => {
+        const { distribution, ...grades } = compareGrades(group, department.terms.get(termKey));
+
+        return {
+          session,
+          yearCompleted,
+          semester,
+          courses: group.courses.length,
+          courseCodes: group.courses.sort(),
+          students: group.students.length,
+          records: group.records,
+          grades,
+          submissions: countSubmissions(group, periodsByTerm.get(termKey))
+        };
+      });
+
+    const years = [...report.years.entries()]
+      .sort(([a], [b]) => (a || 0) - (b || 0))
+      .map(([yearCompleted, year]) => {
+        const { distribution, ...grades } = compareGrades(year.grades, department.years.get(yearCompleted));
+
+        return {
+          yearCompleted,
+          courses: year.courses.size,
+          students: year.students.size,
+          records: year.records,
+          grades
+        };
+      })
+      .map((year, index, list) => {
+        const previous = list[index - 1];
+
+        return {
+          ...year,
+          change: {
+            courses: previous ? year.courses - previous.courses : null,
+            students: previous ? year.students - previous.students : null,
+            records: previous ? year.records - previous.records : null,
+            mean: previous ? difference(year.grades.numeric.mean, previous.grades.numeric.mean) : null,
+            passRate: previous ? difference(year.grades.passFail.passRate, previous.grades.passFail.passRate) : null
+          }
+        };
+      });
+
+    const submissions = terms.reduce((totals, term) => ({
+      pending: totals.pending + term.submissions.pending,
+      missing: totals.missing + term.submissions.missing,
+      late: totals.late + term.submissions.late
+    }), { pending: 0, missing: 0, late: 0 });
+
+    return {
+      instructor: report.instructor,
+      instructorUser: report.instructorUser,
+      name: account ? (account.name || account.username) : report.instructor,
+      names: [...report.names].sort(),
+      totals: {
+        terms: terms.length,
+        courses: report.courses.size,
+        students: report.students.size,
+        records: report.records
+      },
+      grades: compareGrades(report.grades, department.grades),
+      submissions,
+      terms,
+      years
+    };
+  });
+
+  const departmentSummary = gradeAnalytics.summarize(department.grades);
+
+  return {
+    reports: reports.sort((a, b) => a.name.localeCompare(b.name)),
+    department: {
+      records: department.records,
+      gradedRecords: departmentSummary.records,
+      numeric: departmentSummary.numeric,
+      passFail: departmentSummary.passFail
+    },
+    unassignedRecords
+  };
+};
+
+module.exports = {
+  compareGrades,
+  countSubmissions,
+  buildReports
+};
@@ -0,0 +1,151 @@
+/**
+ * Login Throttle Utility
+ * Counts failed logins per account and per IP address, and works out how long
+ * a client must wait before its next attempt
+ */
+
+const config = require('../config/config');
+
+// Failed attempts per IP address: ip -> { count, firstAt, lastAt }
+// Kept in memory, so counts reset when the server restarts
+const ipFailures = new Map();
+
+// Number of tracked addresses above which expired entries are swept
+const SWEEP_THRESHOLD = 1000;
+
+// Most addresses tracked at once; the oldest entries are evicted beyond it
+const MAX_TRACKED_IPS = 10000;
+
+/**
+ * Get the wait required after a number of consecutive failures
+ * @param {number} failures - Consecutive failed attempts
+ * @returns {number} - Milliseconds
+ */
+const delayFor = (failures) => {
+  if (failures <= 0) return 0;
+  const { baseDelayMs, maxDelayMs } = config.loginSecurity;
+  return Math.min(baseDelayMs * Math.pow(2, failures - 1), maxDelayMs);
+};
+
+/**
+ * Get the failure entry of an IP address, dropping it once its window has passed
+ * @param {string} ip - Client IP address
+ * @returns {object|undefined}
+ */
+const getIpEntry = (ip) => {
+  const entry = ipFailures.get(ip);
+  const windowMs = config.loginSecurity.ipWindowMinutes * 60 * 1000;
+
+  if (entry && Date.now() - entry.firstAt > windowMs) {
+    ipFailures.delete(ip);
+    return undefined;
+  }
+
+  return entry;
+};
+
+/**
+ * Remove entries whose window has passed, then the oldest entries while
+ * there are still too many (the map keeps entries in the order they started)
+ */
+const sweep = () => {
+  [...ipFailures.keys()].forEach(getIpEntry);
+
+  for (const ip of ipFailures.keys()) {
+    if (ipFailures.size < MAX_TRACKED_IPS) break;
+    ipFailures.delete(ip);
+  }
+};
+
+/**
+ * Work out how long a client must wait before attempting to log in
+ * @param {string} ip - Client IP address
+ * @param {object|null} user - Account being logged into, if it exists
+ * @returns {{retryAfter: number, reason: string}|null} - Seconds to wait and why, or null to allow the attempt
+ */
+const checkAttempt = (ip, user) => {
+  const now = Date.now();
+  const entry = getIpEntry(ip);
+  const waits = [];
+
+  if (entry) {
+    if (entry.count >= config.loginSecurity.ipMaxFailedAttempts) {
+      const windowMs = config.loginSecurity.ipWindowMinutes * 60 * 1000;
+      waits.push({ until: entry.firstAt + windowMs, reason: 'ip_blocked' });
+    } else {
+      waits.push({ until: entry.lastAt + delayFor(entry.count), reason: 'ip_delay' });
+    }
+  }
+
+  if (user) {
+    if (user.isLocked()) {
+      waits.push({ until: user.lockedUntil.getTime(), reason: 'account_locked' });
+    } else if (user.failedLoginAttempts > 0 && user.lastFailedLoginAt) {
+      waits.push({
+        until: user.lastFailedLoginAt.getTime() + delayFor(user.failedLoginAttempts),
+        reason: 'account_delay'
+      });
+    }
+  }
+
+  const longest = waits
+    .filter(wait => wait.until > now)
+    .sort((a, b) => b.until - a.until)[0];
+
+  return longest ? { retryAfter: Math.ceil((longest.until - now) / 1000), reason: longest.reason } : null;
+};
+
+/**
+ * Count a failed attempt from an IP address
+ * @param {string} ip - Client IP address
+ */
+const recordIpFailure = (ip) => {
+  const now = Date.now();
+  const entry = getIpEntry(ip);
+
+  if (entry) {
+    entry.count++;
+    entry.lastAt = now;
+  } else {
+    if (ipFailures.size >= SWEEP_THRESHOLD) sweep();
+    ipFailures.set(ip, { count: 1, firstAt: now, lastAt: now });
+  }
+};
+
+/**
+ * Count a failed attempt on an account, locking it after too many
+ * @param {object} user - User document (saved by the caller)
+ * @returns {boolean} - Whether this failure locked the account
+ */
+const recordAccountFailure = (user) => {
+  const { maxFailedAttempts, lockoutMinutes } = config.loginSecurity;
+
+  user.failedLoginAttempts = (user.failedLoginAttempts || 0) + 1;
+  user.lastFailedLoginAt = new Date();
+
+  if (user.failedLoginAttempts >= maxFailedAttempts) {
+    user.lockedUntil = new Date(Date.now() + lockoutMinutes * 60 * 1000);
+    user.failedLoginAttempts = 0;
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Clear the failed attempts of an account
+ * @param {object} user - User document (saved by the caller)
+ */
+const resetAccount = (user) => {
+  user.failedLoginAttempts = 0;
+  user.lastFailedLoginAt = undefined;
+  user.lockedUntil = undefined;
+};
+
+module.exports = {
+  delayFor,
+  checkAttempt,
+  recordIpFailure,
+  recordAccountFailure,
+  resetAccount
+};
@@ -0,0 +1,85 @@
+/**
+ * Mailer Utility
+ * Sends email through a pluggable transport: SMTP in production, or a file
+ * or console transport for development (config.mail.transport)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+
+/**
+ * SMTP transport (nodemailer)
+ */
+const smtpTransport = () => {
+  // Required lazily so development setups do not need SMTP settings
+  const nodemailer = require('nodemailer');
+  const { host, port, secure, user, pass } = config.mail.smtp;
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return (message) => transporter.sendMail(message);
+};
+
+/**
+ * File transport: writes each message as a JSON file in config.mail.fileDir
+ */
+const fileTransport = () => {
+  const directory = path.resolve(config.mail.fileDir);
+
+  return async (message) => {
+    await fs.promises.mkdir(directory, { recursive: true });
+    const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${message.to}.json`;
+    await fs.promises.writeFile(path.join(directory, fileName), JSON.stringify(message, null, 2));
+  };
+};
+
+/**
+ * Console transport: prints each message (not written to the log files,
+ * since messages can carry reset links)
+ */
+const consoleTransport = () => {
+  return async (message) => {
+    console.log('Email (console transport):', JSON.stringify(message, null, 2));
+  };
+};
+
+const TRANSPORTS = {
+  smtp: smtpTransport,
+  file: fileTransport,
+  console: consoleTransport
+};
+
+let send = null;
+
+/**
+ * Get the configured transport, creating it on first use
+ * @returns {Function} - async (message) => void
+ */
+const getTransport = () => {
+  if (!send) {
+    const createTransport = TRANSPORTS[config.mail.transport];
+    if (!createTransport) {
+      throw new Error(`Unknown mail transport: ${config.mail.transport}`);
+    }
+    send = createTransport();
+  }
+  return send;
+};
+
+/**
+ * Send an email
+ * @param {object} message - { to, subject, text, html }
+ */
+const sendMail = async (message) => {
+  await getTransport()({ from: config.mail.from, ...message });
+};
+
+module.exports = {
+  sendMail
+};
@@ -0,0 +1,126 @@
+/**
+ * Password Reset Utility
+ * Issues and consumes single-use password reset tokens sent by email
+ */
+
+const PasswordResetToken = require('../models/PasswordResetToken');
+const config = require('../config/config');
+const cryptoUtil = require('./crypto');
+const mailer = require('./mailer');
+
+/**
+ * Build the reset email
+ * @param {object} user - User document
+ * @param {string} link - Reset link carrying the token
+ * @param {Date} expiresAt - Token expiry
+ * @param {string} purpose - 'self' or 'admin'
+ * @returns {object} - { to, subject, text }
+ */
+const buildResetEmail = (user, link, expiresAt, purpose) => {
+  const intro = purpose === 'admin' ?
+    'An administrator has reset the password of your UL Physics Department records account. You must choose a new password before you can continue using the system.' :
+    'We received a request to reset the password of your UL Physics Department records account. If you did not make this request, you can ignore this email.';
+
+  return {
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hello ${user.name},`,
+      '',
+      intro,
+      '',
+      `Choose a new password here: ${link}`,
+      '',
+      `This link can be used once and expires at ${expiresAt.toUTCString()}.`
+    ].join('\n')
+  };
+};
+
+/**
+ * Issue a reset token for a user and email it to them
+ * Earlier unused tokens of the user stop working.
+ * @param {object} user - User document
+ * @param {object} options - { purpose: 'self'|'admin', requestedBy, requestIp }
+ * @returns {Promise<object>} - The stored token document (holding only the hash)
+ */
+const issueResetToken = async (user, options = {}) => {
+  const purpose = options.purpose || 'self';
+  const ttlMs = purpose === 'admin' ?
+    config.passwordReset.adminTokenTtlHours * 60 * 60 * 1000 :
+    config.passwordReset.tokenTtlMinutes * 60 * 1000;
+
+  await PasswordResetToken.deleteMany({ user: user._id, usedAt: null });
+
+  const token = cryptoUtil.generateToken();
+  const resetToken = await PasswordResetToken.create({
+    user: user._id,
+    tokenHash: cryptoUtil.hashToken(token),
+    purpose,
+    requestedBy: options.requestedBy,
+    requestIp: options.requestIp,
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+
+  const link = `${config.passwordReset.url}?token=${token}`;
+
+  try {
+    await mailer.sendMail(buildResetEmail(user, link, resetToken.expiresAt, purpose));
+  } catch (error) {
+    // A token nobody received is useless
+    await resetToken.deleteOne();
+    throw error;
+  }
+
+  return resetToken;
+};
+
+/**
+ * Check whether a user was sent a reset token recently
+ * @param {object} user - User document
+ * @param {number} seconds - Look-back period
+ * @returns {Promise<boolean>}
+ */
+const issuedRecently = async (user, seconds = 60) => {
+  const recent = await PasswordResetToken.exists({
+    user: user._id,
+    usedAt: null,
+    createdAt: { $gt: new Date(Date.now() - seconds * 1000) }
+  });
+  return !!recent;
+};
+
+/**
+ * Consume a reset token: marks it used if it is valid
+ * @param {string} token - Token from the reset link
+ * @returns {Promise<object|null>} - The token document, or null when invalid, used or expired
+ */
+const consumeResetToken = async (token) => {
+  if (!token || typeof token !== 'string') return null;
+
+  const now = new Date();
+  return PasswordResetToken.findOneAndUpdate(
+    { tokenHash: cryptoUtil.hashToken(token), usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } },
+    { new: true }
+  );
+};
+
+/**
+ * Set a user's password
+ * @param {object} user - User document (saved by the caller)
+ * @param {string} password - New password
+ * @param {object} options - { mustChange } to require another change after the next login
+ */
+const setPassword = (user, password, options = {}) => {
+  const { salt, hash } = cryptoUtil.encryptPassword(password);
+  user.password = { salt, hash };
+  user.passwordChangedAt = new Date();
+  user.mustChangePassword = !!options.mustChange;
+};
+
+module.exports = {
+  issueResetToken,
+  issuedRecently,
+  consumeResetToken,
+  setPassword
+};
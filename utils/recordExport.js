@@ -0,0 +1,206 @@
+/**
+ * Record Export Utility
+ * Streams student records from a query cursor as CSV, XLSX or JSON
+ */
+
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const csv = require('./csv');
+
+// Exportable columns with their header labels, in default export order
+const EXPORT_COLUMNS = {
+  studentId: 'Student ID',
+  studentName: 'Student Name',
+  courseCode: 'Course Code',
+  courseName: 'Course Name',
+  grade: 'Grade',
+  numericGrade: 'Numeric Grade',
+  instructor: 'Instructor',
+  yearCompleted: 'Year Completed',
+  semester: 'Semester',
+  session: 'Session',
+  gradeMismatch: 'Grade Mismatch',
+  status: 'Status',
+  createdAt: 'Created At',
+  updatedAt: 'Updated At'
+};
+
+// Columns exported when none are selected
+const DEFAULT_COLUMNS = [
+  'studentId', 'studentName', 'courseCode', 'courseName', 'grade',
+  'numericGrade', 'instructor', 'yearCompleted', 'semester', 'session'
+];
+
+// Supported formats with their content types
+const FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  json: 'application/json; charset=utf-8'
+};
+
+/**
+ * Create an error carrying an HTTP status code
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Parse the export format
+ * @param {string} format - Requested format (defaults to csv)
+ * @returns {string}
+ */
+const parseFormat = (format) => {
+  const value = (format || 'csv').toLowerCase();
+
+  if (!FORMATS[value]) {
+    throw httpError(400, `Format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+  }
+
+  return value;
+};
+
+/**
+ * Parse the selected columns
+ * @param {string|string[]} columns - Comma-separated column names (defaults to DEFAULT_COLUMNS)
+ * @returns {string[]}
+ */
+const parseColumns = (columns) => {
+  if (!columns) return DEFAULT_COLUMNS;
+
+  const selected = (Array.isArray(columns) ? columns.join(',') : String(columns))
+    .split(',')
+    .map(column => column.trim())
+    .filter(Boolean);
+  const unknown = selected.filter(column => !EXPORT_COLUMNS[column]);
+
+  if (unknown.length > 0) {
+    throw httpError(400, `Unknown columns: ${unknown.join(', ')}. Available columns: ${Object.keys(EXPORT_COLUMNS).join(', ')}`);
+  }
+
+  return selected.length > 0 ? [...new Set(selected)] : DEFAULT_COLUMNS;
+};
+
+/**
+ * Write a chunk to a response, waiting when its buffer is full
+ * @param {object} res - Writable response
+ * @param {string} chunk - Data to write
+ */
+const write = async (res, chunk) => {
+  if (!res.write(chunk)) {
+    await once(res, 'drain');
+  }
+};
+
+/**
+ * Stream records as CSV
+ * @returns {Promise<number>} - Number of records written
+ */
+const writeCsv = async (cursor, columns, res) => {
+  let count = 0;
+
+  // Byte order mark so spreadsheet programs read the file as UTF-8
+  await write(res, '\ufeff' + csv.formatRow(columns.map(column => EXPORT_COLUMNS[column])));
+
+  for await (const record of cursor) {
+    await write(res, csv.formatRow(columns.map(column => record[column])));
+    count++;
+  }
+
+  res.end();
+  return count;
+};
+
+/**
+ * Stream records as an XLSX workbook
+ * @returns {Promise<number>} - Number of records written
+ */
+const writeXlsx = async (cursor, columns, res) => {
+  let count = 0;
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: res,
+    useStyles: true,
+    useSharedStrings: false
+  });
+  const worksheet = workbook.addWorksheet('Student Records');
+
+  worksheet.columns = columns.map(column => ({
+    header: EXPORT_COLUMNS[column],
+    key: column,
+    width: Math.max(12, EXPORT_COLUMNS[column].length + 2)
+  }));
+  worksheet.getRow(1).font = { bold: true };
+
+  for await (const record of cursor) {
+    worksheet.addRow(columns.reduce((row, column) => {
+      row[column] = record[column];
+      return row;
+    }, {})).commit();
+    count++;
+  }
+
+  await worksheet.commit();
+  await workbook.commit();
+  return count;
+};
+
+/**
+ * Stream records as a JSON array
+ * @returns {Promise<number>} - Number of records written
+ */
+const writeJson = async (cursor, columns, res) => {
+  let count = 0;
+
+  await write(res, '[');
+
+  for await (const record of cursor) {
+    const row = columns.reduce((result, column) => {
+      result[column] = record[column] === undefined ? null : record[column];
+      return result;
+    }, {});
+
+    await write(res, (count > 0 ? ',\n' : '\n') + JSON.stringify(row));
+    count++;
+  }
+
+  res.end(count > 0 ? '\n]\n' : ']\n');
+  return count;
+};
+
+const WRITERS = {
+  csv: writeCsv,
+  xlsx: writeXlsx,
+  json: writeJson
+};
+
+/**
+ * Stream the records of a cursor to a response as an attachment
+ * Records are read one at a time, so exports of any size use constant memory.
+ * @param {object} cursor - Mongoose query cursor of lean records
+ * @param {object} options - { format, columns, fileName (without extension) }
+ * @param {object} res - Express response
+ * @returns {Promise<number>} - Number of records written
+ */
+const streamRecords = (cursor, options, res) => {
+  const { format, columns, fileName } = options;
+
+  res.status(200);
+  res.setHeader('Content-Type', FORMATS[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}.${format}"`);
+
+  return WRITERS[format](cursor, columns, res);
+};
+
+module.exports = {
+  EXPORT_COLUMNS,
+  DEFAULT_COLUMNS,
+  FORMATS,
+  parseFormat,
+  parseColumns,
+  streamRecords
+};
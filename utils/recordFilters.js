@@ -0,0 +1,66 @@
+/**
+ * Record Filters Utility
+ * Builds student record queries from request query parameters, shared by
+ * the record list and the record export
+ */
+
+const gradeWorkflow = require('./gradeWorkflow');
+
+/**
+ * Create a case-insensitive regex matching a literal search term
+ * @param {string} term - Search term
+ * @returns {RegExp}
+ */
+const createSafeRegex = (term) => {
+  const escapedTerm = String(term).replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&');
+  return new RegExp(escapedTerm, 'i');
+};
+
+/**
+ * Build a student record filter from query parameters
+ * courseCode, studentId, studentName and instructor match partially;
+ * grade, yearCompleted, semester and status match exactly (they are dropdown selections).
+ * @param {object} query - Request query parameters
+ * @returns {object} - MongoDB filter
+ */
+const buildRecordFilter = (query = {}) => {
+  const filter = {};
+
+  // Handle text-based searches with consistent regex approach
+  ['courseCode', 'studentId', 'studentName', 'instructor'].forEach(field => {
+    if (query[field]) {
+      filter[field] = { $regex: createSafeRegex(query[field]) };
+    }
+  });
+
+  if (query.grade) filter.grade = query.grade;
+  if (query.yearCompleted) filter.yearCompleted = parseInt(query.yearCompleted);
+  if (query.semester) filter.semester = query.semester;
+  if (query.status) filter.status = gradeWorkflow.statusCondition(query.status);
+
+  return filter;
+};
+
+/**
+ * Build sort options from query parameters (newest year first by default)
+ * @param {object} query - Request query parameters ({ sortField, sortDirection })
+ * @returns {object} - Mongoose sort options
+ */
+const buildSortOptions = (query = {}) => {
+  const sortOptions = {};
+
+  if (query.sortField) {
+    sortOptions[query.sortField] = query.sortDirection === 'desc' ? -1 : 1;
+  } else {
+    sortOptions.yearCompleted = -1;
+    sortOptions.semester = 1;
+  }
+
+  return sortOptions;
+};
+
+module.exports = {
+  createSafeRegex,
+  buildRecordFilter,
+  buildSortOptions
+};
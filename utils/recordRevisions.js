@@ -0,0 +1,109 @@
+/**
+ * Record Revisions Utility
+ * Stores every change to a student record as an immutable revision
+ */
+
+const RecordRevision = require('../models/RecordRevision');
+const auditTrail = require('./auditTrail');
+
+// Student record fields tracked in revisions and restored on revert
+const TRACKED_FIELDS = [
+  'studentId',
+  'studentName',
+  'courseCode',
+  'courseName',
+  'grade',
+  'numericGrade',
+  'instructor',
+  'yearCompleted',
+  'semester',
+  'session'
+];
+
+/**
+ * Take a snapshot of the tracked fields of a record
+ * @param {object} record - Student record document or plain object
+ * @returns {object}
+ */
+const snapshot = (record) => {
+  const source = record && typeof record.toObject === 'function' ? record.toObject() : (record || {});
+
+  return TRACKED_FIELDS.reduce((result, field) => {
+    result[field] = source[field] === undefined ? null : source[field];
+    return result;
+  }, {});
+};
+
+/**
+ * Record revisions for one or more record changes
+ * A record's first tracked change also stores a baseline revision holding
+ * its prior state, so records created before history existed can be reverted.
+ * @param {Array<object>} entries - { record, before, action, revertedFrom }
+ * @param {object} user - Authenticated user making the change
+ * @param {object} options - { session } to write within a transaction
+ * @returns {Promise<Array>} - Created revisions
+ */
+const recordRevisions = async (entries, user, options = {}) => {
+  const session = options.session || null;
+  const revisions = [];
+
+  if (entries.length === 0) return [];
+
+  const recordIds = entries.map(entry => entry.record._id);
+  const latest = await RecordRevision.aggregate([
+    { $match: { record: { $in: recordIds } } },
+    { $group: { _id: '$record', revision: { $max: '$revision' } } }
+  ]).session(session);
+  const nextRevision = new Map(latest.map(item => [item._id.toString(), item.revision + 1]));
+
+  for (const { record, before, action, revertedFrom } of entries) {
+    const key = record._id.toString();
+    const changes = auditTrail.diff(before ? snapshot(before) : {}, snapshot(record), TRACKED_FIELDS);
+
+    // Nothing tracked changed, nothing to store
+    if (before && changes.length === 0) continue;
+
+    if (before && !nextRevision.has(key)) {
+      revisions.push({
+        record: record._id,
+        revision: 1,
+        action: 'baseline',
+        snapshot: snapshot(before)
+      });
+      nextRevision.set(key, 2);
+    }
+
+    const revision = nextRevision.get(key) || 1;
+    nextRevision.set(key, revision + 1);
+
+    revisions.push({
+      record: record._id,
+      revision,
+      action,
+      changes,
+      snapshot: snapshot(record),
+      changedBy: user ? user.id : undefined,
+      changedByName: user ? (user.name || user.username) : '',
+      revertedFrom
+    });
+  }
+
+  if (revisions.length === 0) return [];
+
+  return RecordRevision.insertMany(revisions, { session });
+};
+
+/**
+ * Record a single revision
+ * @param {object} entry - { record, before, action, revertedFrom }
+ * @param {object} user - Authenticated user making the change
+ * @param {object} options - { session } to write within a transaction
+ */
+const recordRevision = (entry, user, options) => recordRevisions([entry], user, options);
+
+module.exports = {
+  TRACKED_FIELDS,
+  snapshot,
+  recordRevision,
+  recordRevisions
+};
@@ -0,0 +1,69 @@
+/**
+ * Record Scope Utility
+ * Restricts instructors to the records of the catalog courses assigned to them;
+ * users with records:all keep department-wide access
+ */
+
+const Course = require('../models/Course');
+const authMiddleware = require('../middleware/auth');
+
+/**
+ * Load the record scope of a user
+ * @param {object} user - Authenticated user
+ * @returns {Promise<{courseIds: string[], codes: string[]}|null>} - Assigned courses, or null for department-wide access
+ */
+const loadScope = async (user) => {
+  if (authMiddleware.hasPermission(user, 'records:all')) return null;
+
+  const courses = await Course.find({ instructors: user.id }).select('code');
+
+  return {
+    courseIds: courses.map(course => course._id.toString()),
+    codes: courses.map(course => course.code)
+  };
+};
+
+/**
+ * Restrict a record filter to a scope
+ * @param {object} filter - Record filter (never filters on the course link itself)
+ * @param {object|null} scope - Scope from loadScope()
+ * @returns {object}
+ */
+const applyScope = (filter, scope) => {
+  if (!scope) return filter;
+  return { ...filter, course: { $in: scope.courseIds } };
+};
+
+/**
+ * Check whether a record (or new record values) falls within a scope
+ * Records are matched by their linked course, values not yet linked by course code.
+ * @param {object|null} scope - Scope from loadScope()
+ * @param {object} record - Student record or record values
+ * @returns {boolean}
+ */
+const inScope = (scope, record) => {
+  if (!scope) return true;
+
+  if (record.course) {
+    return scope.courseIds.includes(record.course.toString());
+  }
+
+  return scope.codes.includes(Course.normalizeCode(record.courseCode));
+};
+
+/**
+ * Describe why a record is out of scope
+ * @param {object} record - Student record or record values
+ * @returns {{statusCode: number, message: string}}
+ */
+const scopeError = (record) => ({
+  statusCode: 403,
+  message: `Course ${record.courseCode} is not assigned to you`
+});
+
+module.exports = {
+  loadScope,
+  applyScope,
+  inScope,
+  scopeError
+};
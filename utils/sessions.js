@@ -0,0 +1,151 @@
+/**
+ * Sessions Utility
+ * Stores login sessions in MongoDB so they survive restarts, and lets
+ * users list and revoke them
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const MongoStore = require('connect-mongo');
+const config = require('../config/config');
+
+/**
+ * Resolve the MongoDB client once mongoose has connected
+ * The store is created when the app starts, before the connection is open.
+ * @returns {Promise<object>} - MongoClient
+ */
+const connectedClient = () => {
+  if (mongoose.connection.readyState === 1) {
+    return Promise.resolve(mongoose.connection.getClient());
+  }
+
+  return new Promise(resolve => {
+    mongoose.connection.once('connected', () => resolve(mongoose.connection.getClient()));
+  });
+};
+
+// Session store shared with express-session; sessions are stored as documents
+// (not JSON strings) so they can be queried by user
+const store = MongoStore.create({
+  clientPromise: connectedClient(),
+  collectionName: config.sessions.collectionName,
+  stringify: false,
+  touchAfter: config.sessions.touchAfterSeconds
+});
+
+/**
+ * Get the sessions collection
+ * @returns {object} - MongoDB collection
+ */
+const collection = () => mongoose.connection.collection(config.sessions.collectionName);
+
+/**
+ * Derive the ID a session is shown under
+ * Raw session IDs are bearer credentials and never leave the server.
+ * @param {string} sessionId - express-session ID
+ * @returns {string}
+ */
+const publicId = (sessionId) => {
+  return crypto.createHash('sha256').update(String(sessionId)).digest('hex').slice(0, 24);
+};
+
+/**
+ * Record where a session was started from
+ * @param {object} req - Express request (after login)
+ * @param {string} ip - Client IP
+ */
+const startSession = (req, ip) => {
+  const now = new Date();
+
+  req.session.meta = {
+    ip,
+    userAgent: req.headers['user-agent'] || '',
+    createdAt: now,
+    lastSeenAt: now
+  };
+};
+
+/**
+ * Update the last-seen time of the current session
+ * Written at most once per interval so that reads do not save the session every request.
+ * @param {object} req - Express request
+ */
+const touchSession = (req) => {
+  if (!req.session || !req.session.user) return;
+
+  const meta = req.session.meta || {};
+  const lastSeenAt = meta.lastSeenAt ? new Date(meta.lastSeenAt).getTime() : 0;
+
+  if (Date.now() - lastSeenAt >= config.sessions.lastSeenIntervalSeconds * 1000) {
+    req.session.meta = { ...meta, lastSeenAt: new Date() };
+  }
+};
+
+/**
+ * List the active sessions of a user
+ * @param {string} userId - User ID
+ * @param {string} currentSessionId - Session ID of the request, flagged as current
+ * @returns {Promise<Array<object>>} - Most recently seen first
+ */
+const listUserSessions = async (userId, currentSessionId) => {
+  const docs = await collection()
+    .find({ 'session.user.id': String(userId), expires: { $gt: new Date() } })
+    .toArray();
+
+  return docs
+    .map(doc => {
+      const meta = doc.session.meta || {};
+      return {
+        id: publicId(doc._id),
+        current: doc._id === currentSessionId,
+        ip: meta.ip || null,
+        userAgent: meta.userAgent || null,
+        createdAt: meta.createdAt || null,
+        lastSeenAt: meta.lastSeenAt || null,
+        expiresAt: doc.expires
+      };
+    })
+    .sort((a, b) => new Date(b.lastSeenAt || 0) - new Date(a.lastSeenAt || 0));
+};
+
+/**
+ * Revoke one session of a user
+ * @param {string} userId - User ID
+ * @param {string} id - Public session ID (from listUserSessions)
+ * @returns {Promise<boolean>} - Whether a session was revoked
+ */
+const revokeSession = async (userId, id) => {
+  const docs = await collection()
+    .find({ 'session.user.id': String(userId) }, { projection: { _id: 1 } })
+    .toArray();
+  const match = docs.find(doc => publicId(doc._id) === id);
+
+  if (!match) return false;
+
+  await collection().deleteOne({ _id: match._id });
+  return true;
+};
+
+/**
+ * Revoke all sessions of a user
+ * @param {string} userId - User ID
+ * @param {object} options - { exceptSessionId } to keep the caller's own session
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+const revokeUserSessions = async (userId, options = {}) => {
+  const filter = { 'session.user.id': String(userId) };
+  if (options.exceptSessionId) filter._id = { $ne: options.exceptSessionId };
+
+  const result = await collection().deleteMany(filter);
+  return result.deletedCount;
+};
+
+module.exports = {
+  store,
+  publicId,
+  startSession,
+  touchSession,
+  listUserSessions,
+  revokeSession,
+  revokeUserSessions
+};
@@ -0,0 +1,90 @@
+/**
+ * Soft Delete Plugin
+ * Mongoose schema plugin that moves deleted documents to a trash state
+ * instead of removing them. Trashed documents are left out of queries and
+ * aggregations unless the query asks for them:
+ *   - with the withDeleted() query helper, or
+ *   - by filtering on `deleted` itself (e.g. { deleted: true } lists the trash)
+ * deleteOne/deleteMany still remove documents permanently (used when purging).
+ */
+
+const mongoose = require('mongoose');
+
+// Query operations that leave out trashed documents
+const FILTERED_OPERATIONS = [
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'countDocuments',
+  'distinct',
+  'updateOne',
+  'updateMany'
+];
+
+/**
+ * Add { deleted: { $ne: true } } to a query unless it asks for trashed documents
+ */
+function excludeDeleted() {
+  if (this._withDeleted || this.getFilter().deleted !== undefined) return;
+  this.where({ deleted: { $ne: true } });
+}
+
+/**
+ * Add a leading $match stage to an aggregation unless it matches on `deleted` itself
+ */
+function excludeDeletedFromAggregate() {
+  const pipeline = this.pipeline();
+  const first = pipeline[0];
+
+  if (first && first.$match && first.$match.deleted !== undefined) return;
+  pipeline.unshift({ $match: { deleted: { $ne: true } } });
+}
+
+/**
+ * Soft delete plugin
+ * @param {object} schema - Mongoose schema
+ */
+const softDelete = (schema) => {
+  schema.add({
+    deleted: {
+      type: Boolean,
+      default: false,
+      index: true
+    },
+    deletedAt: {
+      type: Date
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  });
+
+  schema.pre(FILTERED_OPERATIONS, excludeDeleted);
+  schema.pre('aggregate', excludeDeletedFromAggregate);
+
+  // Include trashed documents in a query
+  schema.query.withDeleted = function() {
+    this._withDeleted = true;
+    return this;
+  };
+
+  // Move the document to the trash
+  schema.methods.softDelete = function(userId) {
+    this.deleted = true;
+    this.deletedAt = new Date();
+    this.deletedBy = userId;
+    // Older documents may not satisfy newer validators; trashing must not depend on them
+    return this.save({ validateBeforeSave: false });
+  };
+
+  // Take the document out of the trash
+  schema.methods.restore = function() {
+    this.deleted = false;
+    this.deletedAt = undefined;
+    this.deletedBy = undefined;
+    return this.save({ validateBeforeSave: false });
+  };
+};
+
+module.exports = softDelete;
@@ -0,0 +1,307 @@
+/**
+ * Spreadsheet Import Utility
+ * Reads uploaded CSV and Excel files, detects the header row and maps
+ * columns to student record fields
+ */
+
+const path = require('path');
+const ExcelJS = require('exceljs');
+const csv = require('./csv');
+const academicTerms = require('./academicTerms');
+
+// Header names recognized for each student record field (compared case-insensitively,
+// ignoring punctuation and spacing)
+const HEADER_SYNONYMS = {
+  studentId: ['studentid', 'id', 'idno', 'idnumber', 'studentno', 'studentnumber', 'regno', 'registrationnumber', 'matricno'],
+  studentName: ['studentname', 'name', 'fullname', 'student'],
+  courseCode: ['coursecode', 'code', 'course', 'courseno', 'coursenumber'],
+  courseName: ['coursename', 'coursetitle', 'title', 'description'],
+  grade: ['grade', 'lettergrade', 'letter'],
+  numericGrade: ['numericgrade', 'score', 'mark', 'marks', 'total', 'percentage', 'numeric'],
+  instructor: ['instructor', 'lecturer', 'teacher', 'professor', 'facultymember'],
+  yearCompleted: ['yearcompleted', 'year', 'academicyear'],
+  semester: ['semester', 'term'],
+  session: ['session', 'academicsession']
+};
+
+// Fields that must be mapped for an upload to be processed
+const REQUIRED_FIELDS = ['studentId', 'courseCode'];
+
+// Number of leading rows searched for the header row
+const HEADER_SEARCH_ROWS = 10;
+
+/**
+ * Normalize a header cell for comparison ("Student ID #" -> "studentid")
+ * @param {*} value - Header cell
+ * @returns {string}
+ */
+const normalizeHeader = (value) => {
+  return (value === undefined || value === null ? '' : String(value)).toLowerCase().replace(/[^a-z0-9]/g, '');
+};
+
+/**
+ * Convert an ExcelJS cell value to a plain string, number or date
+ * @param {*} value - ExcelJS cell value
+ * @returns {*}
+ */
+const plainCellValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date || typeof value !== 'object') return value;
+  if (value.richText) return value.richText.map(part => part.text).join('');
+  if (value.text !== undefined) return value.text;
+  if (value.result !== undefined) return plainCellValue(value.result);
+  if (value.error) return '';
+  return String(value);
+};
+
+/**
+ * Read the rows of an Excel workbook
+ * @param {Buffer} buffer - .xlsx file contents
+ * @param {string|number} sheet - Worksheet name or 1-based index (defaults to the first sheet)
+ * @returns {Promise<Array<Array>>} - Rows of cell values, row N of the sheet at index N - 1
+ */
+const readXlsx = async (buffer, sheet) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const worksheet = sheet ?
+    workbook.getWorksheet(isNaN(sheet) ? sheet : parseInt(sheet)) :
+    workbook.worksheets[0];
+
+  if (!worksheet) {
+    const error = new Error(sheet ? `Worksheet '${sheet}' not found` : 'Workbook has no worksheets');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    // row.values is 1-based; drop the empty first slot
+    rows[rowNumber - 1] = row.values.slice(1).map(plainCellValue);
+  });
+
+  // Rows skipped by ExcelJS are empty
+  for (let i = 0; i < rows.length; i++) {
+    if (!rows[i]) rows[i] = [];
+  }
+
+  return rows;
+};
+
+/**
+ * Read the rows of an uploaded CSV or Excel file
+ * @param {object} file - Multer file ({ originalname, buffer })
+ * @param {object} options - { sheet }
+ * @returns {Promise<Array<Array>>} - Rows of cell values, file row N at index N - 1
+ */
+const readRows = async (file, options = {}) => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+
+  if (extension === '.csv') {
+    return csv.parse(file.buffer.toString('utf8'));
+  }
+
+  if (extension === '.xlsx') {
+    return readXlsx(file.buffer, options.sheet);
+  }
+
+  const error = new Error('Only .csv and .xlsx files are supported');
+  error.statusCode = 400;
+  throw error;
+};
+
+/**
+ * Map header cells to record fields using the built-in header synonyms
+ * @param {Array} headers - Header row cells
+ * @returns {object} - Column index keyed by field
+ */
+const autoMapColumns = (headers) => {
+  const columns = {};
+  const normalized = headers.map(normalizeHeader);
+
+  Object.entries(HEADER_SYNONYMS).forEach(([field, synonyms]) => {
+    // Synonyms are tried in order so the most specific header wins ("Course Code" over "Course")
+    const index = synonyms
+      .map(synonym => normalized.findIndex((header, column) => header === synonym &&
+        !Object.values(columns).includes(column)))
+      .find(column => column !== -1);
+
+    if (index !== undefined) columns[field] = index;
+  });
+
+  return columns;
+};
+
+/**
+ * Map header cells to record fields using a saved column mapping
+ * @param {Array} headers - Header row cells
+ * @param {object} mapping - Header name keyed by field
+ * @returns {{columns: object, missing: string[]}} - Column index keyed by field, and unmatched headers
+ */
+const applyMapping = (headers, mapping) => {
+  const normalized = headers.map(normalizeHeader);
+  const columns = {};
+  const missing = [];
+
+  Object.entries(mapping).forEach(([field, header]) => {
+    if (!header) return;
+    const index = normalized.indexOf(normalizeHeader(header));
+    if (index === -1) {
+      missing.push(header);
+    } else {
+      columns[field] = index;
+    }
+  });
+
+  return { columns, missing };
+};
+
+/**
+ * Find the header row: the row among the first few that names the most known fields
+ * @param {Array<Array>} rows - File rows
+ * @param {object} mapping - Optional saved mapping whose headers are searched for instead
+ * @returns {number} - Index of the header row, or -1 when none is found
+ */
+const detectHeaderRow = (rows, mapping) => {
+  let bestIndex = -1;
+  let bestScore = 1;
+
+  rows.slice(0, HEADER_SEARCH_ROWS).forEach((row, index) => {
+    const score = mapping ?
+      Object.keys(applyMapping(row, mapping).columns).length :
+      Object.keys(autoMapColumns(row)).length;
+
+    if (score > bestScore) {
+      bestScore = score;
+      bestIndex = index;
+    }
+  });
+
+  return bestIndex;
+};
+
+/**
+ * Convert a cell to a trimmed string
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+const cellText = (value) => {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  return String(value).trim();
+};
+
+/**
+ * Build a record from a data row, reporting invalid cells
+ * @param {Array} row - Data row
+ * @param {object} columns - Column index keyed by field
+ * @returns {{record: object, errors: string[]}}
+ */
+const buildRecord = (row, columns) => {
+  const record = {};
+  const errors = [];
+
+  Object.entries(columns).forEach(([field, index]) => {
+    const text = cellText(row[index]);
+    if (text === '') return;
+
+    if (field === 'numericGrade') {
+      const value = Number(text);
+      if (isNaN(value) || value < 0 || value > 100) {
+        errors.push(`Numeric grade '${text}' must be a number between 0 and 100`);
+      } else {
+        record.numericGrade = value;
+      }
+    } else if (field === 'yearCompleted') {
+      const value = parseInt(text);
+      if (isNaN(value)) {
+        errors.push(`Year completed '${text}' must be a number`);
+      } else {
+        record.yearCompleted = value;
+      }
+    } else if (field === 'semester') {
+      const semester = academicTerms.normalizeSemester(text);
+      if (!semester) {
+        errors.push(`Semester '${text}' must be one of: First, Second, Third, 1, 2, 3`);
+      } else {
+        record.semester = semester;
+      }
+    } else {
+      record[field] = text;
+    }
+  });
+
+  REQUIRED_FIELDS.forEach(field => {
+    if (!record[field]) errors.push(`${field} is required`);
+  });
+
+  return { record, errors };
+};
+
+/**
+ * Extract student records from file rows
+ * @param {Array<Array>} rows - File rows
+ * @param {object} mapping - Optional saved mapping (header name keyed by field)
+ * @returns {object} - { headerRow, columns, headers, items: [{ row, record, errors }] }
+ */
+const extractRecords = (rows, mapping) => {
+  const headerIndex = detectHeaderRow(rows, mapping);
+
+  if (headerIndex === -1) {
+    const error = new Error('Could not detect a header row in the first ' + HEADER_SEARCH_ROWS + ' rows');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const headers = rows[headerIndex].map(cellText);
+  let columns;
+
+  if (mapping) {
+    const mapped = applyMapping(headers, mapping);
+    if (mapped.missing.length > 0) {
+      const error = new Error(`Columns not found in file: ${mapped.missing.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    columns = mapped.columns;
+  } else {
+    columns = autoMapColumns(headers);
+  }
+
+  const unmapped = REQUIRED_FIELDS.filter(field => columns[field] === undefined);
+  if (unmapped.length > 0) {
+    const error = new Error(`Required columns not mapped: ${unmapped.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const items = [];
+  for (let index = headerIndex + 1; index < rows.length; index++) {
+    const row = rows[index];
+
+    // Skip blank lines
+    if (!row || row.every(cell => cellText(cell) === '')) continue;
+
+    const { record, errors } = buildRecord(row, columns);
+    items.push({ row: index + 1, record, errors });
+  }
+
+  return {
+    headerRow: headerIndex + 1,
+    headers,
+    columns: Object.entries(columns).reduce((result, [field, index]) => {
+      result[field] = headers[index];
+      return result;
+    }, {}),
+    items
+  };
+};
+
+module.exports = {
+  HEADER_SYNONYMS,
+  REQUIRED_FIELDS,
+  readRows,
+  autoMapColumns,
+  detectHeaderRow,
+  extractRecords
+};
@@ -0,0 +1,133 @@
+/**
+ * TOTP Utility
+ * Time-based one-time passwords (RFC 6238) as used by authenticator apps
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Standard authenticator app settings
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encode bytes as base32 (no padding)
+ * @param {Buffer} buffer - Bytes
+ * @returns {string}
+ */
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+/**
+ * Decode a base32 string (spaces, padding and case are ignored)
+ * @param {string} text - Base32 text
+ * @returns {Buffer}
+ */
+const base32Decode = (text) => {
+  const clean = String(text).toUpperCase().replace(/[\s=]/g, '');
+  let bits = '';
+
+  for (const char of clean) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error('Invalid base32 character');
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random secret
+ * @returns {string} - Base32 secret (160 bits)
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Compute the one-time password for a time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step counter
+ * @returns {string}
+ */
+const codeForStep = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % (10 ** DIGITS);
+
+  return String(binary).padStart(DIGITS, '0');
+};
+
+/**
+ * Get the time step for a moment
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {number}
+ */
+const stepAt = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+/**
+ * Verify a code, allowing for clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {object} options - { window: steps accepted either side of now, afterStep: reject steps up to this one (replays) }
+ * @returns {number|null} - The matching time step, or null when the code is wrong
+ */
+const verify = (secret, code, options = {}) => {
+  const window = options.window === undefined ? 1 : options.window;
+  const normalized = String(code || '').replace(/\s/g, '');
+
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null;
+
+  const now = stepAt();
+  for (let step = now - window; step <= now + window; step++) {
+    if (options.afterStep !== undefined && options.afterStep !== null && step <= options.afterStep) continue;
+
+    const expected = codeForStep(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return step;
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI that authenticator apps import (usually via QR code)
+ * @param {string} secret - Base32 secret
+ * @param {string} account - Account label (e.g. username)
+ * @param {string} issuer - Service name shown in the app
+ * @returns {string}
+ */
+const otpauthUri = (secret, account, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  generateSecret,
+  codeForStep,
+  stepAt,
+  verify,
+  otpauthUri,
+  base32Encode,
+  base32Decode
+};
@@ -0,0 +1,49 @@
+/**
+ * Transactions Utility
+ * Runs work inside a MongoDB transaction where the deployment supports it
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Check whether an error means the deployment does not support transactions
+ * (standalone servers only support them on replica sets and sharded clusters)
+ * @param {Error} error - Error raised when starting or running a transaction
+ * @returns {boolean}
+ */
+const isTransactionUnsupported = (error) => {
+  return !!error && (
+    error.code === 20 ||
+    /Transaction numbers are only allowed on a replica set member or mongos/i.test(error.message || '')
+  );
+};
+
+/**
+ * Run work atomically
+ * The work runs inside a transaction; when transactions are not supported it
+ * runs without a session and must undo its own partial writes on failure.
+ * @param {Function} work - async (session|null) => result; may be retried by the driver
+ * @returns {Promise<*>} - Result of the work
+ */
+const runAtomically = async (work) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } catch (error) {
+    if (!isTransactionUnsupported(error)) throw error;
+  } finally {
+    await session.endSession();
+  }
+
+  return work(null);
+};
+
+module.exports = {
+  isTransactionUnsupported,
+  runAtomically
+};
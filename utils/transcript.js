@@ -0,0 +1,201 @@
+/**
+ * Transcript Utility
+ * Builds academic transcripts from student records and renders them for printing
+ */
+
+const config = require('../config/config');
+const academicTerms = require('./academicTerms');
+
+/**
+ * Average the numeric grades of a set of records
+ * @param {Array<object>} records - Student records
+ * @returns {number|null} - Average rounded to two decimals, or null when no grades exist
+ */
+const averageGrade = (records) => {
+  const grades = records
+    .map(record => record.numericGrade)
+    .filter(grade => typeof grade === 'number' && !isNaN(grade));
+
+  if (grades.length === 0) return null;
+
+  const total = grades.reduce((sum, grade) => sum + grade, 0);
+  return Math.round((total / grades.length) * 100) / 100;
+};
+
+/**
+ * Build a structured transcript for a student
+ * @param {string} studentId - Student ID
+ * @param {Array<object>} records - All records of the student
+ * @param {object} gpa - Optional GPA computed by utils/gpa computeGpa for the same records
+ * @returns {object} - Transcript grouped by term with term and cumulative averages
+ */
+const buildTranscript = (studentId, records, gpa) => {
+  const completed = [];
+  const termGpas = new Map(
+    (gpa ? gpa.terms : []).map(term => [academicTerms.getTermKey(term.session, term.semester), term])
+  );
+
+  const terms = academicTerms.groupByTerm(records).map(term => {
+    completed.push(...term.records);
+    const termGpa = termGpas.get(academicTerms.getTermKey(term.session, term.semester));
+
+    return {
+      session: term.session,
+      semester: term.semester,
+      courses: term.records
+        .sort((a, b) => (a.courseCode || '').localeCompare(b.courseCode || ''))
+        .map(record => ({
+          courseCode: record.courseCode,
+          courseName: record.courseName,
+          grade: record.grade,
+          numericGrade: record.numericGrade,
+          instructor: record.instructor
+        })),
+      courseCount: term.records.length,
+      termAverage: averageGrade(term.records),
+      cumulativeAverage: averageGrade(completed),
+      termGpa: termGpa ? termGpa.gpa : null,
+      cumulativeGpa: termGpa ? termGpa.cumulativeGpa : null
+    };
+  });
+
+  // Use the most recent name on file for the student
+  const latest = records.reduce((current, record) => {
+    if (!current) return record;
+    return new Date(record.updatedAt || 0) > new Date(current.updatedAt || 0) ? record : current;
+  }, null);
+
+  return {
+    institution: config.transcript.institution,
+    department: config.transcript.department,
+    student: {
+      studentId,
+      studentName: latest ? latest.studentName : ''
+    },
+    terms,
+    summary: {
+      totalCourses: records.length,
+      cumulativeAverage: averageGrade(records),
+      creditsEarned: gpa ? gpa.cumulative.credits : null,
+      cumulativeGpa: gpa ? gpa.cumulative.gpa : null
+    },
+    signatory: {
+      name: config.transcript.chairmanName,
+      title: config.transcript.chairmanTitle
+    },
+    issuedAt: new Date()
+  };
+};
+
+/**
+ * Escape a value for inclusion in HTML
+ * @param {*} value - Value to escape
+ * @returns {string}
+ */
+const escapeHtml = (value) => {
+  if (value === undefined || value === null) return '';
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * Format an average for display
+ * @param {number|null} value - Average
+ * @returns {string}
+ */
+const formatAverage = (value) => (value === null || value === undefined ? '-' : value.toFixed(2));
+
+/**
+ * Render a transcript as a printable HTML document
+ * @param {object} transcript - Transcript from buildTranscript
+ * @returns {string} - HTML document
+ */
+const renderTranscriptHtml = (transcript) => {
+  const issueDate = new Date(transcript.issuedAt).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+
+  const termSections = transcript.terms.map(term => `
+    <section class="term">
+      <h3>${escapeHtml(term.session)} &mdash; ${escapeHtml(term.semester)} Semester</h3>
+      <table>
+        <thead>
+          <tr><th>Course Code</th><th>Course Title</th><th>Grade</th><th>Score</th></tr>
+        </thead>
+        <tbody>
+          ${term.courses.map(course => `
+          <tr>
+            <td>${escapeHtml(course.courseCode)}</td>
+            <td>${escapeHtml(course.courseName)}</td>
+            <td>${escapeHtml(course.grade)}</td>
+            <td>${escapeHtml(course.numericGrade)}</td>
+          </tr>`).join('')}
+        </tbody>
+        <tfoot>
+          <tr><td colspan="3">Term Average</td><td>${formatAverage(term.termAverage)}</td></tr>
+          <tr><td colspan="3">Cumulative Average</td><td>${formatAverage(term.cumulativeAverage)}</td></tr>
+          <tr><td colspan="3">Semester GPA</td><td>${formatAverage(term.termGpa)}</td></tr>
+          <tr><td colspan="3">Cumulative GPA</td><td>${formatAverage(term.cumulativeGpa)}</td></tr>
+        </tfoot>
+      </table>
+    </section>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Academic Transcript - ${escapeHtml(transcript.student.studentId)}</title>
+  <style>
+    body { font-family: "Times New Roman", serif; margin: 2cm; color: #000; }
+    header { text-align: center; border-bottom: 2px solid #000; margin-bottom: 1em; }
+    header h1 { margin: 0; font-size: 1.6em; }
+    header h2 { margin: 0.2em 0; font-size: 1.2em; font-weight: normal; }
+    .student { margin-bottom: 1em; }
+    .term { page-break-inside: avoid; margin-bottom: 1.5em; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { border: 1px solid #000; padding: 4px 6px; text-align: left; }
+    tfoot td { font-weight: bold; }
+    .summary { margin-top: 1em; font-weight: bold; }
+    .signature { margin-top: 4em; width: 40%; }
+    .signature .line { border-top: 1px solid #000; padding-top: 4px; }
+    @media print { body { margin: 1cm; } }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(transcript.institution)}</h1>
+    <h2>${escapeHtml(transcript.department)}</h2>
+    <h2>Official Academic Transcript</h2>
+  </header>
+  <div class="student">
+    <div><strong>Student Name:</strong> ${escapeHtml(transcript.student.studentName)}</div>
+    <div><strong>Student ID:</strong> ${escapeHtml(transcript.student.studentId)}</div>
+    <div><strong>Date of Issue:</strong> ${escapeHtml(issueDate)}</div>
+  </div>
+  ${termSections}
+  <div class="summary">
+    Total Courses: ${transcript.summary.totalCourses}
+    &nbsp;&nbsp; Cumulative Average: ${formatAverage(transcript.summary.cumulativeAverage)}
+    &nbsp;&nbsp; Cumulative GPA: ${formatAverage(transcript.summary.cumulativeGpa)}
+  </div>
+  <div class="signature">
+    <div class="line">${escapeHtml(transcript.signatory.name)}</div>
+    <div>${escapeHtml(transcript.signatory.title)}</div>
+  </div>
+</body>
+</html>
+`;
+};
+
+module.exports = {
+  averageGrade,
+  buildTranscript,
+  escapeHtml,
+  renderTranscriptHtml
+};
@@ -0,0 +1,110 @@
+/**
+ * Trash Utility
+ * Permanently removes trashed student records and users, on demand or
+ * on a schedule once they are past the retention period
+ */
+
+const StudentRecord = require('../models/Student');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const ApiToken = require('../models/ApiToken');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const config = require('../config/config');
+const auditTrail = require('./auditTrail');
+const logger = require('./logger');
+
+/**
+ * Get the time before which trashed items are due for purging
+ * @returns {Date}
+ */
+const retentionCutoff = () => new Date(Date.now() - config.trash.retentionDays * 24 * 60 * 60 * 1000);
+
+/**
+ * Get the time a trashed item will be purged
+ * @param {Date} deletedAt - When the item was trashed
+ * @returns {Date|null}
+ */
+const purgeDate = (deletedAt) => {
+  return deletedAt ? new Date(new Date(deletedAt).getTime() + config.trash.retentionDays * 24 * 60 * 60 * 1000) : null;
+};
+
+/**
+ * Permanently delete trashed student records
+ * @param {object} filter - Extra conditions (e.g. on deletedAt)
+ * @returns {Promise<number>} - Records deleted
+ */
+const purgeRecords = async (filter = {}) => {
+  const result = await StudentRecord.deleteMany({ ...filter, deleted: true });
+  return result.deletedCount;
+};
+
+/**
+ * Permanently delete trashed users along with their course assignments and tokens
+ * @param {object} filter - Extra conditions (e.g. on deletedAt)
+ * @returns {Promise<number>} - Users deleted
+ */
+const purgeUsers = async (filter = {}) => {
+  const users = await User.find({ ...filter, deleted: true }).select('_id').lean();
+  const ids = users.map(user => user._id);
+
+  if (ids.length === 0) return 0;
+
+  await Course.updateMany({ instructors: { $in: ids } }, { $pull: { instructors: { $in: ids } } });
+  await ApiToken.deleteMany({ user: { $in: ids } });
+  await PasswordResetToken.deleteMany({ user: { $in: ids } });
+
+  const result = await User.deleteMany({ _id: { $in: ids }, deleted: true });
+  return result.deletedCount;
+};
+
+/**
+ * Purge trashed items
+ * @param {object} options - { all } to empty the trash instead of only purging expired items
+ * @returns {Promise<object>} - { records, users, cutoff }
+ */
+const purge = async (options = {}) => {
+  const cutoff = options.all ? null : retentionCutoff();
+  const filter = cutoff ? { deletedAt: { $lt: cutoff } } : {};
+
+  return {
+    records: await purgeRecords(filter),
+    users: await purgeUsers(filter),
+    cutoff
+  };
+};
+
+/**
+ * Purge expired trash now and then on an interval
+ * @returns {object|null} - The interval timer, or null when the scheduled purge is disabled
+ */
+const startPurgeSchedule = () => {
+  const hours = config.trash.purgeIntervalHours;
+  if (!hours || hours <= 0) return null;
+
+  const run = async () => {
+    try {
+      const result = await purge();
+      if (result.records === 0 && result.users === 0) return;
+
+      logger.info('Purged expired trash', result);
+      await auditTrail.recordSystem(auditTrail.ACTIONS.TRASH_PURGE, {
+        details: { ...result, scheduled: true }
+      });
+    } catch (error) {
+      logger.error('Error purging expired trash', { error: error.message });
+    }
+  };
+
+  run();
+  const timer = setInterval(run, hours * 60 * 60 * 1000);
+  // Do not keep the process alive just for the purge
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  retentionCutoff,
+  purgeDate,
+  purge,
+  startPurgeSchedule
+};
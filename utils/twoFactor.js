@@ -0,0 +1,180 @@
+/**
+ * Two-Factor Authentication Utility
+ * TOTP enrollment, login verification and recovery codes
+ * TOTP secrets are stored encrypted with ENCRYPTION_KEY; recovery codes are stored hashed.
+ */
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const config = require('../config/config');
+const cryptoUtil = require('./crypto');
+const totp = require('./totp');
+
+// Hidden two-factor fields, selected when verifying or changing them
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+/**
+ * Check whether a user's role must use two-factor authentication
+ * @param {object} user - User ({ userType })
+ * @returns {boolean}
+ */
+const isRequired = (user) => config.twoFactor.requiredRoles.includes(user.userType);
+
+/**
+ * Check whether a user still has to enroll in two-factor authentication
+ * @param {object} user - User document
+ * @returns {boolean}
+ */
+const setupRequired = (user) => isRequired(user) && !(user.twoFactor && user.twoFactor.enabled);
+
+/**
+ * Normalize a recovery code for comparison ("abcd-ef12" and "ABCDEF12" match)
+ * @param {string} code - Recovery code
+ * @returns {string}
+ */
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+
+/**
+ * Generate a fresh set of recovery codes
+ * @returns {{codes: string[], hashes: string[]}} - Codes to show once, and hashes to store
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: config.twoFactor.recoveryCodeCount }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map(code => cryptoUtil.hashToken(normalizeRecoveryCode(code)))
+  };
+};
+
+/**
+ * Start enrollment: store a pending secret until the user confirms a code from it
+ * @param {object} user - User document (saved by the caller)
+ * @returns {Promise<object>} - { secret, otpauthUri, qrCode } where qrCode is a PNG data URL
+ */
+const startSetup = async (user) => {
+  const secret = totp.generateSecret();
+  const otpauthUri = totp.otpauthUri(secret, user.username, config.twoFactor.issuer);
+
+  user.twoFactor.pendingSecret = cryptoUtil.encryptSecret(secret);
+
+  return {
+    secret,
+    otpauthUri,
+    qrCode: await QRCode.toDataURL(otpauthUri)
+  };
+};
+
+/**
+ * Finish enrollment with a code generated from the pending secret
+ * @param {object} user - User document selected with SECRET_FIELDS (saved by the caller)
+ * @param {string} code - Code from the authenticator app
+ * @returns {string[]|null} - Recovery codes to show once, or null when the code is wrong
+ */
+const confirmSetup = (user, code) => {
+  if (!user.twoFactor.pendingSecret) return null;
+
+  const secret = cryptoUtil.decryptSecret(user.twoFactor.pendingSecret);
+  const step = totp.verify(secret, code, { window: config.twoFactor.window });
+  if (step === null) return null;
+
+  const { codes, hashes } = generateRecoveryCodes();
+
+  user.twoFactor.enabled = true;
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.recoveryCodes = hashes;
+  user.twoFactor.enabledAt = new Date();
+
+  return codes;
+};
+
+/**
+ * Check a code from the authenticator app
+ * A code is accepted once; replaying it (or an earlier one) fails.
+ * @param {object} user - User document selected with SECRET_FIELDS (saved by the caller)
+ * @param {string} code - Code from the authenticator app
+ * @returns {boolean}
+ */
+const verifyCode = (user, code) => {
+  if (!user.twoFactor.enabled || !user.twoFactor.secret) return false;
+
+  const secret = cryptoUtil.decryptSecret(user.twoFactor.secret);
+  const step = totp.verify(secret, code, {
+    window: config.twoFactor.window,
+    afterStep: user.twoFactor.lastUsedStep
+  });
+  if (step === null) return false;
+
+  user.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+/**
+ * Use up a recovery code
+ * @param {object} user - User document selected with SECRET_FIELDS (saved by the caller)
+ * @param {string} recoveryCode - Recovery code
+ * @returns {boolean}
+ */
+const useRecoveryCode = (user, recoveryCode) => {
+  const hash = cryptoUtil.hashToken(normalizeRecoveryCode(recoveryCode));
+  const index = (user.twoFactor.recoveryCodes || []).indexOf(hash);
+  if (index === -1) return false;
+
+  user.twoFactor.recoveryCodes.splice(index, 1);
+  return true;
+};
+
+/**
+ * Verify the second login step with either an app code or a recovery code
+ * @param {object} user - User document selected with SECRET_FIELDS (saved by the caller)
+ * @param {object} body - { code } or { recoveryCode }
+ * @returns {string|null} - 'totp' or 'recovery', or null when verification failed
+ */
+const verifyLogin = (user, { code, recoveryCode }) => {
+  if (code) return verifyCode(user, code) ? 'totp' : null;
+  if (recoveryCode) return useRecoveryCode(user, recoveryCode) ? 'recovery' : null;
+  return null;
+};
+
+/**
+ * Turn two-factor authentication off and forget the secret and recovery codes
+ * @param {object} user - User document (saved by the caller)
+ */
+const disable = (user) => {
+  user.twoFactor.enabled = false;
+  user.twoFactor.secret = undefined;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.recoveryCodes = [];
+  user.twoFactor.lastUsedStep = undefined;
+  user.twoFactor.enabledAt = undefined;
+};
+
+/**
+ * Describe a user's two-factor status
+ * @param {object} user - User document selected with SECRET_FIELDS
+ * @returns {object}
+ */
+const status = (user) => ({
+  enabled: !!user.twoFactor.enabled,
+  enabledAt: user.twoFactor.enabledAt || null,
+  required: isRequired(user),
+  recoveryCodesRemaining: user.twoFactor.enabled ? (user.twoFactor.recoveryCodes || []).length : 0
+});
+
+module.exports = {
+  SECRET_FIELDS,
+  isRequired,
+  setupRequired,
+  generateRecoveryCodes,
+  startSetup,
+  confirmSetup,
+  verifyCode,
+  verifyLogin,
+  disable,
+  status
+};
@@ -0,0 +1,839 @@
+/**
+ * Upload Batches Utility
+ * Plans bulk uploads as batches (dry run), commits them atomically and undoes them
+ */
+
+const mongoose = require('mongoose');
+const StudentRecord = require('../models/Student');
+const UploadBatch = require('../models/UploadBatch');
+const Course = require('../models/Course');
+const config = require('../config/config');
+const auditTrail = require('./auditTrail');
+const recordRevisions = require('./recordRevisions');
+const gradingScale = require('./gradingScale');
+const academicTerms = require('./academicTerms');
+const transactions = require('./transactions');
+const gradeWorkflow = require('./gradeWorkflow');
+const academicPeriods = require('./academicPeriods');
+const recordScope = require('./recordScope');
+const instructorNames = require('./instructorNames');
+
+// Record fields compared and restored by batches
+const BATCH_FIELDS = [...recordRevisions.TRACKED_FIELDS, 'gradeMismatch', 'instructorUser'];
+
+// A batch is stored as one document, so it must stay under MongoDB's 16 MB limit
+const MAX_BATCH_BYTES = 15 * 1024 * 1024;
+
+/**
+ * Create an error carrying an HTTP status code
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Take a snapshot of the batch fields of a record
+ * @param {object} record - Student record document or plain object
+ * @returns {object}
+ */
+const batchSnapshot = (record) => {
+  const source = typeof record.toObject === 'function' ? record.toObject() : record;
+  return {
+    ...recordRevisions.snapshot(source),
+    gradeMismatch: !!source.gradeMismatch,
+    instructorUser: source.instructorUser || null
+  };
+};
+
+/**
+ * Get the numeric grade of an uploaded row, or undefined when it was left blank
+ * @param {object} item - Uploaded row
+ * @returns {*}
+ */
+const uploadedNumericGrade = (item) => {
+  return item.numericGrade !== undefined && item.numericGrade !== null && item.numericGrade !== '' ?
+    item.numericGrade :
+    undefined;
+};
+
+/**
+ * Merge an uploaded row into an existing record's values
+ * Blank cells keep the existing value.
+ * @param {object} existing - Snapshot of the existing record
+ * @param {object} item - Uploaded row
+ * @returns {object} - Merged values
+ */
+const mergeRow = (existing, item) => {
+  const numericGrade = uploadedNumericGrade(item);
+
+  return {
+    ...existing,
+    studentName: item.studentName || existing.studentName,
+    courseName: item.courseName || existing.courseName,
+    // A new numeric grade without a letter re-derives the letter
+    grade: item.grade || (numericGrade !== undefined ? '' : existing.grade),
+    numericGrade: numericGrade !== undefined ? numericGrade : existing.numericGrade,
+    instructor: item.instructor || existing.instructor,
+    yearCompleted: item.yearCompleted || existing.yearCompleted,
+    semester: academicTerms.normalizeSemester(item.semester) || item.semester || existing.semester,
+    session: item.session || existing.session
+  };
+};
+
+/**
+ * Build the values of a new record from an uploaded row
+ * @param {object} item - Uploaded row
+ * @returns {object}
+ */
+const newRecordValues = (item) => {
+  const numericGrade = uploadedNumericGrade(item);
+
+  return {
+    studentId: item.studentId,
+    studentName: item.studentName || '',
+    courseCode: item.courseCode,
+    courseName: item.courseName || '',
+    grade: item.grade || '',
+    numericGrade: numericGrade !== undefined ? numericGrade : null,
+    instructor: item.instructor || 'Unknown',
+    yearCompleted: item.yearCompleted || new Date().getFullYear(),
+    semester: academicTerms.normalizeSemester(item.semester) || item.semester || 'First',
+    session: item.session || '',
+    // New grades start as drafts until submitted for approval
+    status: 'draft'
+  };
+};
+
+/**
+ * Link record values to the instructor's account
+ * Records an instructor uploads without an instructor name are theirs; other
+ * names are linked through confirmed aliases. A record whose name is unchanged
+ * keeps its existing link.
+ * @param {object} values - Record values (updated in place)
+ * @param {object|null} before - Existing record values, for updates
+ * @param {Map<string, object>} instructorUsers - Accounts confirmed for instructor names
+ * @param {object} user - Authenticated user uploading the rows
+ */
+const linkInstructor = (values, before, instructorUsers, user) => {
+  if (!before && values.instructor === 'Unknown' && user.userType === config.userRoles.INSTRUCTOR) {
+    values.instructor = user.name || user.username;
+    values.instructorUser = user.id;
+    return;
+  }
+
+  if (before && values.instructor === before.instructor) return;
+
+  values.instructorUser = instructorUsers.get(instructorNames.normalizeName(values.instructor)) || null;
+};
+
+/**
+ * Check record values against the grading scale and schema validators
+ * @param {object} values - Record values (grade is derived in place when missing)
+ * @param {Array<object>} scales - Stored grading scales, newest first
+ * @returns {string[]} - Problems found
+ */
+const checkValues = (values, scales) => {
+  const gradeCheck = gradingScale.checkGrade(values, scales);
+  if (gradeCheck.error) {
+    return [gradeCheck.error];
+  }
+  values.grade = gradeCheck.grade;
+  values.gradeMismatch = gradeCheck.gradeMismatch;
+
+  const validationError = new StudentRecord(values).validateSync();
+  return validationError ? Object.values(validationError.errors).map(error => error.message) : [];
+};
+
+/**
+ * Split an array into chunks
+ * @param {Array} items - Items to split
+ * @param {number} size - Maximum chunk size
+ * @returns {Array<Array>}
+ */
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let index = 0; index < items.length; index += size) {
+    chunks.push(items.slice(index, index + size));
+  }
+  return chunks;
+};
+
+/**
+ * Key a row or record by its unique {studentId, courseCode} pair
+ * @param {object} row - Row or record
+ * @returns {string}
+ */
+const recordKey = (row) => `${row.studentId}|${row.courseCode}`;
+
+// Rows matching a trashed record are rejected rather than recreating it
+const trashedMessage = 'A deleted record for this student and course is in the trash; restore it instead';
+
+/**
+ * Find the existing records for a chunk of rows in one query
+ * Trashed records are included: they still hold their student and course.
+ * @param {Array<{studentId: string, courseCode: string}>} keys - Unique keys of the rows
+ * @returns {Promise<Map<string, object>>} - Plain records keyed by recordKey()
+ */
+const findExisting = async (keys) => {
+  if (keys.length === 0) return new Map();
+
+  const records = await StudentRecord.find({
+    $or: keys.map(({ studentId, courseCode }) => ({ studentId, courseCode }))
+  }).withDeleted().lean();
+
+  return new Map(records.map(record => [recordKey(record), record]));
+};
+
+/**
+ * Plan a row against its existing record, if any
+ * @param {object} planned - { row, studentId, courseCode }
+ * @param {object} item - Uploaded row
+ * @param {object|undefined} existing - Existing plain record
+ * @param {Array<object>} scales - Stored grading scales, newest first
+ * @param {object} user - Authenticated user uploading the rows
+ * @param {object|null} scope - Record scope of the user
+ * @param {Map<string, object>} instructorUsers - Accounts confirmed for instructor names
+ * @returns {object} - Planned batch row
+ */
+const planRow = (planned, item, existing, scales, user, scope, instructorUsers) => {
+  if (!recordScope.inScope(scope, existing || planned)) {
+    return {
+      ...planned,
+      action: 'reject',
+      recordId: existing ? existing._id : undefined,
+      issues: [recordScope.scopeError(planned).message]
+    };
+  }
+
+  if (existing && existing.deleted) {
+    return {
+      ...planned,
+      action: 'reject',
+      recordId: existing._id,
+      issues: [trashedMessage]
+    };
+  }
+
+  if (!existing) {
+    const values = newRecordValues({ ...item, ...planned });
+    linkInstructor(values, null, instructorUsers, user);
+    const problems = checkValues(values, scales);
+
+    return problems.length > 0 ?
+      { ...planned, action: 'reject', issues: problems } :
+      { ...planned, action: 'create', data: values };
+  }
+
+  const statusError = gradeWorkflow.editError(user, existing);
+  if (statusError) {
+    return { ...planned, action: 'reject', recordId: existing._id, issues: [statusError.message] };
+  }
+
+  const before = batchSnapshot(existing);
+  const values = mergeRow(before, item);
+  linkInstructor(values, before, instructorUsers, user);
+  const problems = checkValues(values, scales);
+
+  if (problems.length > 0) {
+    return { ...planned, action: 'reject', recordId: existing._id, issues: problems };
+  }
+
+  const changes = auditTrail.diff(before, values, BATCH_FIELDS);
+
+  return {
+    ...planned,
+    action: changes.length > 0 ? 'update' : 'unchanged',
+    recordId: existing._id,
+    data: changes.reduce((result, change) => {
+      result[change.field] = values[change.field];
+      return result;
+    }, {}),
+    before,
+    changes,
+    previewUpdatedAt: existing.updatedAt
+  };
+};
+
+/**
+ * Get the record states a batch row changes (before and after), for period checks
+ * @param {object} row - Batch row that creates or updates a record
+ * @returns {Array<object>}
+ */
+const periodRecords = (row) => {
+  return row.action === 'create' ? [row.data] : [row.before, { ...row.before, ...row.data }];
+};
+
+/**
+ * Check whether a batch row writes a record
+ * @param {object} row - Batch row
+ * @returns {boolean}
+ */
+const isWrite = (row) => row.action === 'create' || row.action === 'update';
+
+/**
+ * Reject planned rows that would change records in closed academic periods
+ * Rows covered by an active override of the uploading user are kept.
+ * @param {Array<object>} rows - Planned batch rows
+ * @param {object} user - Authenticated user uploading the rows
+ * @returns {Promise<Array<object>>}
+ */
+const rejectClosedPeriods = async (rows, user) => {
+  const closed = await academicPeriods.findClosedPeriods(rows.filter(isWrite).flatMap(periodRecords));
+  if (closed.size === 0) return rows;
+
+  return rows.map(row => {
+    if (!isWrite(row)) return row;
+
+    const period = periodRecords(row)
+      .map(record => closed.get(academicPeriods.periodKey(record)))
+      .find(match => match && !match.findOverride(user.id));
+
+    if (!period) return row;
+
+    return {
+      row: row.row,
+      studentId: row.studentId,
+      courseCode: row.courseCode,
+      recordId: row.recordId,
+      action: 'reject',
+      issues: [academicPeriods.closedError(period).message]
+    };
+  });
+};
+
+/**
+ * Check that a batch only changes records in open periods (or periods the user has an override for)
+ * @param {object} batch - UploadBatch document
+ * @param {object} req - Express request (provides the acting user)
+ * @returns {Promise<Array>} - Overrides the change relies on
+ */
+const assertPeriodsOpen = async (batch, req) => {
+  const { error, overrides } = await academicPeriods.checkPeriods(
+    req.user,
+    batch.rows.filter(isWrite).flatMap(periodRecords)
+  );
+
+  if (error) {
+    throw httpError(error.statusCode, error.message);
+  }
+
+  return overrides;
+};
+
+/**
+ * Work out what each uploaded row would do, without writing anything
+ * Rows are looked up a chunk at a time, one query per chunk.
+ * @param {Array<{row: number, record: object, errors: string[]}>} items - Uploaded rows
+ * @param {object} user - Authenticated user uploading the rows
+ * @returns {Promise<Array<object>>} - Planned batch rows, in upload order
+ */
+const planRows = async (items, user) => {
+  const scales = await gradingScale.loadScales();
+  const scope = await recordScope.loadScope(user);
+  const seen = new Map();
+  const rows = [];
+
+  for (const itemChunk of chunk(items, config.uploads.chunkSize)) {
+    const entries = itemChunk.map(({ row, record: item, errors }) => {
+      const planned = {
+        row,
+        studentId: item.studentId ? String(item.studentId).trim() : item.studentId,
+        courseCode: item.courseCode ? String(item.courseCode).trim() : item.courseCode
+      };
+      const issues = [...(errors || [])];
+
+      if (!errors) {
+        if (!planned.studentId) issues.push('studentId is required');
+        if (!planned.courseCode) issues.push('courseCode is required');
+      }
+
+      const key = recordKey(planned);
+      if (issues.length === 0 && seen.has(key)) {
+        issues.push(`Duplicate of row ${seen.get(key)} for this student and course`);
+      }
+      if (issues.length === 0) seen.set(key, row);
+
+      return { planned, item, issues };
+    });
+
+    const existing = await findExisting(
+      entries.filter(entry => entry.issues.length === 0).map(entry => entry.planned)
+    );
+    const instructorUsers = await instructorNames.resolveInstructorUsers(
+      entries.map(entry => entry.item.instructor).filter(Boolean)
+    );
+
+    const chunkRows = entries.map(({ planned, item, issues }) => issues.length > 0 ?
+      { ...planned, action: 'reject', issues } :
+      planRow(planned, item, existing.get(recordKey(planned)), scales, user, scope, instructorUsers));
+
+    rows.push(...await rejectClosedPeriods(chunkRows, user));
+  }
+
+  return rows;
+};
+
+/**
+ * Plan a batch from uploaded rows (not yet saved)
+ * @param {object} req - Express request (provides the acting user)
+ * @param {Array<{row: number, record: object, errors: string[]}>} items - Uploaded rows
+ * @param {object} source - { type, fileName, mapping }
+ * @returns {Promise<object>} - UploadBatch document in preview status
+ */
+const planBatch = async (req, items, source = {}) => {
+  if (items.length > config.uploads.maxRows) {
+    throw httpError(413, `Uploads are limited to ${config.uploads.maxRows} rows; split the file into smaller uploads`);
+  }
+
+  const rows = await planRows(items, req.user);
+
+  const summary = rows.reduce((result, row) => {
+    result[row.action]++;
+    return result;
+  }, { total: rows.length, create: 0, update: 0, unchanged: 0, reject: 0 });
+
+  const batch = new UploadBatch({
+    status: 'preview',
+    source,
+    summary,
+    rows,
+    createdBy: req.user.id,
+    expiresAt: new Date(Date.now() + config.uploads.previewTtlHours * 60 * 60 * 1000)
+  });
+
+  if (mongoose.mongo.BSON.calculateObjectSize(batch.toObject()) > MAX_BATCH_BYTES) {
+    throw httpError(413, 'The upload is too large to preview as one batch; split the file into smaller uploads');
+  }
+
+  return batch;
+};
+
+/**
+ * Undo the partial writes of a chunk when no transaction is available
+ * Only records still carrying this commit's timestamp are touched.
+ * @param {Array<object>} rows - Applied batch rows
+ * @param {Date} committedAt - Timestamp written by the commit
+ */
+const compensate = async (rows, committedAt) => {
+  const operations = rows.map(row => row.action === 'create' ?
+    { deleteOne: { filter: { studentId: row.studentId, courseCode: row.courseCode, createdAt: committedAt } } } :
+    {
+      updateOne: {
+        filter: { _id: row.recordId, updatedAt: committedAt },
+        update: { $set: { ...row.before, updatedAt: row.previewUpdatedAt } }
+      }
+    });
+
+  if (operations.length > 0) {
+    await StudentRecord.bulkWrite(operations, { ordered: false, timestamps: false });
+  }
+};
+
+/**
+ * Look up the catalog course ids for course codes
+ * bulkWrite skips the record save hook, so courses are linked here.
+ * @param {string[]} codes - Course codes
+ * @param {object|null} session - Transaction session
+ * @returns {Promise<Map<string, object>>} - Course id keyed by normalized code
+ */
+const findCourseIds = async (codes, session) => {
+  const courses = await Course.findByCodes([...new Set(codes)]).select('code').session(session);
+  return new Map(courses.map(course => [course.code, course._id]));
+};
+
+/**
+ * Build the bulkWrite operation applying a batch row
+ * Creates upsert on the {studentId, courseCode} unique index and only insert,
+ * so a record created since the preview is detected rather than overwritten;
+ * updates only match a record still as it was at preview time.
+ * @param {object} row - Batch row
+ * @param {object} values - Extra fields to set ({ updatedBy, course })
+ * @param {Date} committedAt - Timestamp written by the commit
+ * @returns {object}
+ */
+const writeOperation = (row, values, committedAt) => {
+  if (row.action === 'create') {
+    return {
+      updateOne: {
+        filter: { studentId: row.studentId, courseCode: row.courseCode },
+        update: {
+          $setOnInsert: { ...row.data, ...values, statusChangedAt: committedAt, createdAt: committedAt, updatedAt: committedAt }
+        },
+        upsert: true
+      }
+    };
+  }
+
+  return {
+    updateOne: {
+      filter: { _id: row.recordId, updatedAt: row.previewUpdatedAt },
+      update: { $set: { ...row.data, updatedBy: values.updatedBy, updatedAt: committedAt } }
+    }
+  };
+};
+
+/**
+ * Apply a chunk of batch rows with a single bulkWrite
+ * @param {Array<object>} rows - Batch rows to create or update
+ * @param {object} req - Express request (provides the acting user)
+ * @param {Date} committedAt - Timestamp written by the commit
+ * @param {object|null} session - Transaction session
+ */
+const applyChunk = async (rows, req, committedAt, session) => {
+  const courseIds = await findCourseIds(
+    rows.filter(row => row.action === 'create').map(row => Course.normalizeCode(row.courseCode)),
+    session
+  );
+
+  const operations = rows.map(row => {
+    const values = { updatedBy: req.user.id };
+    const courseId = courseIds.get(Course.normalizeCode(row.courseCode));
+    if (courseId) values.course = courseId;
+    return writeOperation(row, values, committedAt);
+  });
+
+  let result;
+  try {
+    result = await StudentRecord.bulkWrite(operations, { session, ordered: false, timestamps: false });
+  } catch (error) {
+    if (error.code === 11000 || (error.writeErrors && error.writeErrors.some(writeError => writeError.code === 11000))) {
+      throw httpError(409, 'Records for this batch were created after the preview; upload the records again');
+    }
+    throw error;
+  }
+
+  const upsertedIds = result.upsertedIds || {};
+  const conflict = rows.find((row, index) => row.action === 'create' && !upsertedIds[index]);
+  if (conflict) {
+    throw httpError(409, `Row ${conflict.row}: a record for ${conflict.studentId} / ${conflict.courseCode} was created after the preview`);
+  }
+
+  const updates = rows.filter(row => row.action === 'update');
+  if (result.matchedCount < updates.length) {
+    const applied = await StudentRecord.find({
+      _id: { $in: updates.map(row => row.recordId) },
+      updatedAt: committedAt
+    }).select('_id').session(session).lean();
+    const appliedIds = new Set(applied.map(record => record._id.toString()));
+    const stale = updates.find(row => !appliedIds.has(row.recordId.toString())) || updates[0];
+
+    throw httpError(409, `Row ${stale.row}: the record for ${stale.studentId} / ${stale.courseCode} changed after the preview`);
+  }
+
+  rows.forEach((row, index) => {
+    if (row.action === 'create') row.recordId = upsertedIds[index];
+    row.committedUpdatedAt = committedAt;
+  });
+
+  await recordRevisions.recordRevisions(rows.map(row => row.action === 'create' ?
+    { record: { _id: row.recordId, ...row.data }, action: 'create' } :
+    { record: { ...row.before, ...row.data, _id: row.recordId }, before: row.before, action: 'update' }
+  ), req.user, { session });
+};
+
+/**
+ * Apply the planned rows of a batch, a chunk at a time
+ * @param {object} batch - UploadBatch document in preview status
+ * @param {object} req - Express request (provides the acting user)
+ * @param {object|null} session - Transaction session, or null when transactions are unavailable
+ */
+const applyBatch = async (batch, req, session) => {
+  const committedAt = new Date();
+  const applied = [];
+  const rows = batch.rows.filter(isWrite);
+
+  try {
+    for (const rowChunk of chunk(rows, config.uploads.chunkSize)) {
+      applied.push(rowChunk);
+      await applyChunk(rowChunk, req, committedAt, session);
+    }
+
+    batch.status = 'committed';
+    batch.committedBy = req.user.id;
+    batch.committedAt = committedAt;
+    batch.expiresAt = undefined;
+    await batch.save({ session });
+  } catch (error) {
+    if (!session) {
+      for (const rowChunk of applied) {
+        await compensate(rowChunk, committedAt);
+      }
+    }
+    throw error;
+  }
+};
+
+/**
+ * Build the audit entries of the records written by a committed batch
+ * @param {object} batch - Committed UploadBatch document
+ * @returns {Array<object>}
+ */
+const recordAuditEntries = (batch) => {
+  return batch.rows
+    .filter(isWrite)
+    .map(row => ({
+      action: row.action === 'create' ? auditTrail.ACTIONS.RECORD_CREATE : auditTrail.ACTIONS.RECORD_UPDATE,
+      targetType: 'StudentRecord',
+      targetId: row.recordId,
+      before: row.action === 'update' ? row.before : undefined,
+      after: row.action === 'create' ? row.data : { ...row.before, ...row.data },
+      details: { batchId: batch._id }
+    }));
+};
+
+/**
+ * Commit a previewed batch atomically
+ * @param {object} batch - UploadBatch document in preview status
+ * @param {object} req - Express request (provides the acting user)
+ * @param {object} options - { skipRejected } to commit the valid rows of a batch with rejected rows
+ * @returns {Promise<object>} - The committed batch
+ */
+const commitBatch = async (batch, req, options = {}) => {
+  if (batch.status !== 'preview') {
+    throw httpError(400, `Batch has already been ${batch.status}`);
+  }
+
+  if (batch.expiresAt && batch.expiresAt < new Date()) {
+    throw httpError(410, 'Batch preview has expired; upload the records again');
+  }
+
+  if (batch.summary.reject > 0 && !options.skipRejected) {
+    throw httpError(400, `Batch has ${batch.summary.reject} rejected rows; fix them or commit with skipRejected`);
+  }
+
+  // Course assignments may have changed, and periods closed, since the preview
+  const scope = await recordScope.loadScope(req.user);
+  const outOfScope = batch.rows.find(row => isWrite(row) && !recordScope.inScope(scope, row));
+  if (outOfScope) {
+    throw httpError(403, `Row ${outOfScope.row}: ${recordScope.scopeError(outOfScope).message}`);
+  }
+
+  const overrides = await assertPeriodsOpen(batch, req);
+
+  await transactions.runAtomically(session => applyBatch(batch, req, session));
+
+  await academicPeriods.logOverrideUse(req, overrides, { action: 'bulk upload', batchId: batch._id });
+
+  await auditTrail.record(req, auditTrail.ACTIONS.BULK_UPLOAD, {
+    targetType: 'UploadBatch',
+    targetId: batch._id,
+    details: { ...batch.toObject().source, ...batch.toObject().summary }
+  });
+
+  for (const entries of chunk(recordAuditEntries(batch), config.uploads.chunkSize)) {
+    await auditTrail.recordMany(req, entries);
+  }
+
+  return batch;
+};
+
+/**
+ * Revert the rows of a committed batch
+ * @param {object} batch - UploadBatch document in committed status
+ * @param {object} req - Express request (provides the acting user)
+ * @param {object} options - { force } to undo rows edited after the commit
+ * @param {object|null} session - Transaction session, or null when transactions are unavailable
+ * @returns {Promise<object>} - { revisionEntries, deleted, skipped }
+ */
+const revertBatch = async (batch, req, options, session) => {
+  const journal = { deleted: [], restored: [] };
+  const revisionEntries = [];
+  const deleted = [];
+  const skipped = [];
+
+  try {
+    for (const row of batch.rows) {
+      if (!isWrite(row)) continue;
+
+      const record = await StudentRecord.findById(row.recordId).session(session);
+
+      if (!record) {
+        skipped.push({ row: row.row, reason: 'Record no longer exists' });
+        continue;
+      }
+
+      // Undoing is a change like any other: submitted, approved and locked grades stay as they are
+      const editError = gradeWorkflow.editError(req.user, record);
+      if (editError) {
+        throw httpError(editError.statusCode, `Row ${row.row}: the record for ${row.studentId} / ${row.courseCode}: ${editError.message}`);
+      }
+
+      if (!options.force && record.updatedAt.getTime() !== new Date(row.committedUpdatedAt).getTime()) {
+        throw httpError(409, `Row ${row.row}: the record for ${row.studentId} / ${row.courseCode} was edited after the upload; undo with force to discard those edits`);
+      }
+
+      if (row.action === 'create') {
+        await record.deleteOne({ session });
+        journal.deleted.push(record.toObject());
+        deleted.push(record);
+      } else {
+        const before = record.toObject();
+        Object.assign(record, row.before);
+        record.updatedBy = req.user.id;
+        await record.save({ session });
+
+        journal.restored.push({ id: record._id, previous: batchSnapshot(before) });
+        revisionEntries.push({ record, before, action: 'revert' });
+      }
+    }
+
+    await recordRevisions.recordRevisions(revisionEntries, req.user, { session });
+
+    batch.status = 'undone';
+    batch.undoneBy = req.user.id;
+    batch.undoneAt = new Date();
+    await batch.save({ session });
+
+    return { revisionEntries, deleted, skipped };
+  } catch (error) {
+    if (!session) {
+      if (journal.deleted.length > 0) {
+        await StudentRecord.collection.insertMany(journal.deleted);
+      }
+      for (const { id, previous } of journal.restored) {
+        await StudentRecord.updateOne({ _id: id }, { $set: previous });
+      }
+    }
+    throw error;
+  }
+};
+
+/**
+ * Check that a user may undo a batch as the records stand now
+ * The records must still be in the user's scope and editable by them, and
+ * neither the uploaded values nor the current ones may be in a closed period.
+ * @param {object} batch - UploadBatch document in committed status
+ * @param {object} req - Express request (provides the acting user)
+ * @returns {Promise<Array>} - Overrides the undo relies on
+ */
+const assertUndoAllowed = async (batch, req) => {
+  const rows = batch.rows.filter(isWrite);
+  const records = await StudentRecord.find({ _id: { $in: rows.map(row => row.recordId) } });
+  const recordsById = new Map(records.map(record => [record._id.toString(), record]));
+  const scope = await recordScope.loadScope(req.user);
+
+  for (const row of rows) {
+    const record = recordsById.get(String(row.recordId));
+    if (!record) continue;
+
+    if (!recordScope.inScope(scope, record)) {
+      throw httpError(403, `Row ${row.row}: ${recordScope.scopeError(record).message}`);
+    }
+
+    const editError = gradeWorkflow.editError(req.user, record);
+    if (editError) {
+      throw httpError(editError.statusCode, `Row ${row.row}: the record for ${row.studentId} / ${row.courseCode}: ${editError.message}`);
+    }
+  }
+
+  const { error, overrides } = await academicPeriods.checkPeriods(
+    req.user,
+    [...rows.flatMap(periodRecords), ...records]
+  );
+
+  if (error) {
+    throw httpError(error.statusCode, error.message);
+  }
+
+  return overrides;
+};
+
+/**
+ * Undo a committed batch atomically
+ * Created records are removed and updated records restored to their state before the upload.
+ * @param {object} batch - UploadBatch document in committed status
+ * @param {object} req - Express request (provides the acting user)
+ * @param {object} options - { force } to undo rows edited after the commit
+ * @returns {Promise<object>} - { batch, deletedCount, restoredCount, skipped }
+ */
+const undoBatch = async (batch, req, options = {}) => {
+  if (batch.status !== 'committed') {
+    throw httpError(400, batch.status === 'preview' ?
+      'Batch has not been committed; discard the preview instead' :
+      'Batch has already been undone');
+  }
+
+  const overrides = await assertUndoAllowed(batch, req);
+
+  const { revisionEntries, deleted, skipped } = await transactions.runAtomically(
+    session => revertBatch(batch, req, options, session)
+  );
+
+  await academicPeriods.logOverrideUse(req, overrides, { action: 'undo bulk upload', batchId: batch._id });
+
+  await auditTrail.recordMany(req, [
+    {
+      action: auditTrail.ACTIONS.UPLOAD_BATCH_UNDO,
+      targetType: 'UploadBatch',
+      targetId: batch._id,
+      details: {
+        deleted: deleted.length,
+        restored: revisionEntries.length,
+        skipped: skipped.length,
+        force: !!options.force
+      }
+    },
+    ...deleted.map(record => ({
+      action: auditTrail.ACTIONS.RECORD_DELETE,
+      targetType: 'StudentRecord',
+      targetId: record._id,
+      before: record,
+      details: { batchId: batch._id }
+    })),
+    ...revisionEntries.map(({ record, before }) => ({
+      action: auditTrail.ACTIONS.RECORD_UPDATE,
+      targetType: 'StudentRecord',
+      targetId: record._id,
+      before,
+      after: record,
+      details: { batchId: batch._id, undo: true }
+    }))
+  ]);
+
+  return {
+    batch,
+    deletedCount: deleted.length,
+    restoredCount: revisionEntries.length,
+    skipped
+  };
+};
+
+/**
+ * Summarize a batch as per-row upload results
+ * @param {object} batch - UploadBatch document
+ * @returns {object} - { created, updated, unchanged, errors, details }
+ */
+const toResults = (batch) => {
+  const committed = batch.status !== 'preview';
+  const labels = committed ?
+    { create: 'created', update: 'updated', unchanged: 'unchanged', reject: 'error' } :
+    { create: 'create', update: 'update', unchanged: 'unchanged', reject: 'error' };
+
+  return {
+    created: batch.summary.create,
+    updated: batch.summary.update,
+    unchanged: batch.summary.unchanged,
+    errors: batch.summary.reject,
+    details: batch.rows.map(row => ({
+      row: row.row,
+      studentId: row.studentId || 'Unknown',
+      courseCode: row.courseCode || 'Unknown',
+      status: labels[row.action],
+      id: row.recordId,
+      changes: row.changes,
+      error: row.issues && row.issues.length > 0 ? row.issues.join('; ') : undefined
+    }))
+  };
+};
+
+module.exports = {
+  planBatch,
+  commitBatch,
+  undoBatch,
+  toResults
+};